@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const DEFAULT_DB_FILE = path.join(__dirname, 'data', 'api-keys.db');
+const DEFAULT_TIERS_FILE = path.join(__dirname, 'config', 'api-tiers.json');
+
+// Requests without a key; every other tier can be issued to a key
+const ANONYMOUS_TIER = 'anonymous';
+const USAGE_HISTORY_DAYS = 30;
+
+let db = null;
+let statements = null;
+let tiers = null;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+function loadTiers(file = process.env.API_TIERS_FILE || DEFAULT_TIERS_FILE) {
+  const loaded = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!loaded[ANONYMOUS_TIER]) {
+    throw new Error(`API tiers must define "${ANONYMOUS_TIER}"`);
+  }
+  Object.entries(loaded).forEach(([name, tier]) => {
+    if (!(tier.requestsPerMinute > 0)) {
+      throw new Error(`API tier ${name}: requestsPerMinute must be a positive number`);
+    }
+    if (tier.dailyQuota !== null && !(tier.dailyQuota > 0)) {
+      throw new Error(`API tier ${name}: dailyQuota must be a positive number or null`);
+    }
+  });
+  tiers = loaded;
+  return tiers;
+}
+
+function getTier(name) {
+  if (!tiers) loadTiers();
+  return tiers[name] ? { name, ...tiers[name] } : null;
+}
+
+function listTiers() {
+  if (!tiers) loadTiers();
+  return Object.entries(tiers).map(([name, tier]) => ({ name, ...tier }));
+}
+
+function openApiKeys(file = process.env.API_KEYS_DB || DEFAULT_DB_FILE) {
+  if (file !== ':memory:') {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+  }
+
+  db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id TEXT PRIMARY KEY,
+      key_hash TEXT NOT NULL UNIQUE,
+      key_prefix TEXT NOT NULL,
+      name TEXT,
+      tier TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      last_used_at TEXT,
+      revoked_at TEXT
+    );
+    CREATE TABLE IF NOT EXISTS api_key_usage (
+      key_id TEXT NOT NULL,
+      day TEXT NOT NULL,
+      requests INTEGER NOT NULL,
+      PRIMARY KEY (key_id, day)
+    );
+  `);
+
+  statements = {
+    insert: db.prepare(`
+      INSERT INTO api_keys (id, key_hash, key_prefix, name, tier, created_at)
+      VALUES (@id, @keyHash, @keyPrefix, @name, @tier, @createdAt)
+    `),
+    all: db.prepare('SELECT * FROM api_keys ORDER BY created_at'),
+    get: db.prepare('SELECT * FROM api_keys WHERE id = ?'),
+    byHash: db.prepare('SELECT * FROM api_keys WHERE key_hash = ?'),
+    revoke: db.prepare('UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL'),
+    touch: db.prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?'),
+    addUsage: db.prepare(`
+      INSERT INTO api_key_usage (key_id, day, requests) VALUES (?, ?, ?)
+      ON CONFLICT (key_id, day) DO UPDATE SET requests = requests + excluded.requests
+    `),
+    usageOn: db.prepare('SELECT requests FROM api_key_usage WHERE key_id = ? AND day = ?'),
+    usageHistory: db.prepare('SELECT day, requests FROM api_key_usage WHERE key_id = ? ORDER BY day DESC LIMIT ?')
+  };
+
+  console.log(`🔑 API keys: ${file}`);
+  return db;
+}
+
+function toApiKey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    tier: row.tier,
+    keyPrefix: row.key_prefix,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at,
+    active: !row.revoked_at
+  };
+}
+
+function validateApiKeyRequest({ name, tier }) {
+  if (name !== undefined && (typeof name !== 'string' || name.length > 100)) {
+    return 'name must be a string of at most 100 characters';
+  }
+  const issuable = listTiers().map(t => t.name).filter(t => t !== ANONYMOUS_TIER);
+  if (!issuable.includes(tier)) {
+    return `tier must be one of ${issuable.join(', ')}`;
+  }
+  return null;
+}
+
+// Only the hash is stored, so the key itself is returned from here and nowhere else
+function createApiKey({ name = null, tier }) {
+  const key = `tss_${crypto.randomBytes(24).toString('hex')}`;
+  const row = {
+    id: `key_${crypto.randomBytes(8).toString('hex')}`,
+    keyHash: hashKey(key),
+    keyPrefix: key.slice(0, 12),
+    name,
+    tier,
+    createdAt: new Date().toISOString()
+  };
+  statements.insert.run(row);
+
+  return { ...toApiKey(statements.get.get(row.id)), key };
+}
+
+function listApiKeys() {
+  const day = today();
+  return statements.all.all().map(row => {
+    const usage = statements.usageOn.get(row.id, day);
+    return { ...toApiKey(row), requestsToday: usage ? usage.requests : 0 };
+  });
+}
+
+function getApiKey(id) {
+  const row = statements.get.get(id);
+  if (!row) return null;
+  return {
+    ...toApiKey(row),
+    usage: statements.usageHistory.all(id, USAGE_HISTORY_DAYS)
+  };
+}
+
+function revokeApiKey(id) {
+  return statements.revoke.run(new Date().toISOString(), id).changes > 0;
+}
+
+// Active key record for a presented key, or null when unknown or revoked
+function resolveApiKey(key) {
+  const row = statements.byHash.get(hashKey(key));
+  return row && !row.revoked_at ? toApiKey(row) : null;
+}
+
+function getUsageToday(id) {
+  const usage = statements.usageOn.get(id, today());
+  return usage ? usage.requests : 0;
+}
+
+function recordUsage(id, requests = 1) {
+  statements.addUsage.run(id, today(), requests);
+  statements.touch.run(new Date().toISOString(), id);
+}
+
+module.exports = {
+  ANONYMOUS_TIER,
+  loadTiers,
+  getTier,
+  listTiers,
+  openApiKeys,
+  validateApiKeyRequest,
+  createApiKey,
+  listApiKeys,
+  getApiKey,
+  revokeApiKey,
+  resolveApiKey,
+  getUsageToday,
+  recordUsage
+};
@@ -0,0 +1,84 @@
+// v2 responses carry typed values: numbers instead of "5.00%" or numeric strings, booleans
+// instead of "0"/"1" flags, and null whenever the value is unknown. Raw uint256 amounts stay
+// decimal strings because they do not fit in a JSON number.
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const n = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(n) ? n : null;
+};
+
+const toInteger = (value) => {
+  const n = toNumber(value);
+  return n === null ? null : Math.round(n);
+};
+
+const toFlag = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  return value === true || value === 1 || value === '1';
+};
+
+// GoPlus and the Solana analyzer report holder shares as fractions of supply
+const toHolder = (holder) => {
+  const fraction = toNumber(holder.percent);
+  return {
+    address: holder.address,
+    balance: holder.balance === undefined || holder.balance === null ? null : String(holder.balance),
+    percent: fraction === null ? null : parseFloat((fraction * 100).toFixed(4)),
+    tag: holder.tag || null,
+    isContract: toFlag(holder.is_contract),
+    isLocked: toFlag(holder.is_locked)
+  };
+};
+
+function toV2ScanResult(result) {
+  const { security } = result;
+  return {
+    ...result,
+    apiVersion: 2,
+    chainId: /^\d+$/.test(String(result.chainId)) ? Number(result.chainId) : null,
+    security: {
+      ...security,
+      buyTax: toNumber(security.buyTax),
+      sellTax: toNumber(security.sellTax),
+      liquidityTotal: toNumber(security.liquidityTotal),
+      lpHolderCount: toInteger(security.lpHolderCount),
+      holderCount: toInteger(security.holderCount),
+      topHolders: (security.topHolders || []).map(toHolder)
+    }
+  };
+}
+
+function toV2BatchResult(batch) {
+  return {
+    ...batch,
+    results: batch.results.map(result => result.status === 'ok'
+      ? { ...result, data: toV2ScanResult(result.data) }
+      : result)
+  };
+}
+
+const toV2Pair = (pair) => ({
+  ...pair,
+  priceUsd: toNumber(pair.priceUsd)
+});
+
+function toV2MarketData(market) {
+  return {
+    ...market,
+    pairs: market.pairs.map(toV2Pair),
+    mainPair: {
+      ...market.mainPair,
+      priceUsd: toNumber(market.mainPair.priceUsd),
+      liquidity: toNumber(market.mainPair.liquidity),
+      volume24h: toNumber(market.mainPair.volume24h),
+      priceChange24h: toNumber(market.mainPair.priceChange24h)
+    }
+  };
+}
+
+module.exports = {
+  toV2ScanResult,
+  toV2BatchResult,
+  toV2MarketData
+};
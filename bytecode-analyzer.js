@@ -0,0 +1,157 @@
+const { ethers } = require('ethers');
+const SIGNATURES = require('./config/function-signatures.json');
+// { "<keccak256 of runtime code without metadata>": "<template label>" }, filled from confirmed
+// honeypots with `npm run export:honeypot-templates` so fresh installs recognise them too
+const HONEYPOT_TEMPLATES = require('./config/honeypot-templates.json');
+
+const OP_EQ = 0x14;
+const OP_PUSH4 = 0x63;
+const OP_PUSH1 = 0x60;
+const OP_PUSH32 = 0x7f;
+const OP_CALLCODE = 0xf2;
+const OP_DELEGATECALL = 0xf4;
+const OP_SELFDESTRUCT = 0xff;
+
+// Dispatcher pattern is PUSH4 <selector> followed by EQ within a couple of instructions
+const SELECTOR_EQ_WINDOW = 3;
+
+// EIP-1167 and its PUSH0 variant (EIP-7511); the implementation sits between prefix and suffix
+const MINIMAL_PROXIES = [
+  { prefix: '363d3d373d3d3d363d73', suffix: '5af43d82803e903d91602b57fd5bf3' },
+  { prefix: '365f5f375f5f365f73', suffix: '5af43d5f5f3e5f3d91602a57fd5bf3' }
+];
+
+const SELECTOR_DB = {};
+Object.entries(SIGNATURES).forEach(([category, signatures]) => {
+  signatures.forEach(signature => {
+    SELECTOR_DB[ethers.id(signature).slice(0, 10)] = { signature, category };
+  });
+});
+
+const TEMPLATE_HASHES = Object.fromEntries(
+  Object.entries(HONEYPOT_TEMPLATES).map(([hash, label]) => [hash.toLowerCase(), label])
+);
+
+function disassemble(code) {
+  const ops = [];
+  for (let pc = 0; pc < code.length; pc++) {
+    const op = code[pc];
+    if (op >= OP_PUSH1 && op <= OP_PUSH32) {
+      const size = op - OP_PUSH1 + 1;
+      ops.push({ op, pc, data: code.subarray(pc + 1, pc + 1 + size) });
+      pc += size;
+    } else {
+      ops.push({ op, pc });
+    }
+  }
+  return ops;
+}
+
+// Solidity appends CBOR metadata whose length is the last two bytes; it differs between
+// otherwise identical builds, so hashes and opcode scans ignore it
+function stripMetadata(code) {
+  if (code.length < 2) return code;
+  const length = code.readUInt16BE(code.length - 2);
+  const start = code.length - 2 - length;
+  if (start > 0 && (code[start] === 0xa1 || code[start] === 0xa2)) {
+    return code.subarray(0, start);
+  }
+  return code;
+}
+
+function detectMinimalProxy(hex) {
+  for (const { prefix, suffix } of MINIMAL_PROXIES) {
+    if (hex.startsWith(prefix) && hex.endsWith(suffix) && hex.length === prefix.length + 40 + suffix.length) {
+      return { implementation: ethers.getAddress('0x' + hex.slice(prefix.length, prefix.length + 40)) };
+    }
+  }
+  return null;
+}
+
+function extractSelectors(ops) {
+  const selectors = new Set();
+  ops.forEach((instruction, i) => {
+    if (instruction.op !== OP_PUSH4) return;
+    const window = ops.slice(i + 1, i + 1 + SELECTOR_EQ_WINDOW);
+    if (window.some(next => next.op === OP_EQ)) {
+      selectors.add('0x' + Buffer.from(instruction.data).toString('hex').padStart(8, '0'));
+    }
+  });
+  return [...selectors];
+}
+
+// findFlaggedByCodeHash(codeHash) returns a previously scanned honeypot sharing this code, if any
+function analyzeBytecode(codeHex, { findFlaggedByCodeHash = () => null } = {}) {
+  const hex = (codeHex || '0x').replace(/^0x/, '').toLowerCase();
+  if (hex.length === 0) {
+    return {
+      available: false,
+      isContract: false,
+      message: 'No contract code at this address'
+    };
+  }
+
+  const code = Buffer.from(hex, 'hex');
+  const minimalProxy = detectMinimalProxy(hex);
+  const runtime = stripMetadata(code);
+  const codeHash = ethers.keccak256(runtime);
+  const ops = disassemble(runtime);
+
+  const selectors = extractSelectors(ops);
+  const knownFunctions = selectors
+    .filter(selector => SELECTOR_DB[selector])
+    .map(selector => ({ selector, ...SELECTOR_DB[selector] }));
+
+  const categories = {};
+  knownFunctions.forEach(fn => {
+    categories[fn.category] = (categories[fn.category] || 0) + 1;
+  });
+
+  const opcodes = {
+    selfdestruct: ops.some(i => i.op === OP_SELFDESTRUCT),
+    delegatecall: ops.some(i => i.op === OP_DELEGATECALL),
+    callcode: ops.some(i => i.op === OP_CALLCODE)
+  };
+
+  // Bundled templates first, then code this instance's scan history flagged as a honeypot elsewhere
+  let templateMatch = null;
+  if (TEMPLATE_HASHES[codeHash]) {
+    templateMatch = { label: TEMPLATE_HASHES[codeHash], source: 'bundled' };
+  } else {
+    const flagged = findFlaggedByCodeHash(codeHash);
+    if (flagged) {
+      templateMatch = { label: `Same code as honeypot ${flagged.address}`, source: 'scanHistory', ...flagged };
+    }
+  }
+
+  const notes = [];
+  if (templateMatch) notes.push('matches a known honeypot template');
+  if (opcodes.selfdestruct) notes.push('contains SELFDESTRUCT');
+  if (minimalProxy) notes.push(`minimal proxy to ${minimalProxy.implementation}`);
+  else if (opcodes.delegatecall) notes.push('contains DELEGATECALL');
+  const capabilities = Object.keys(categories).filter(c => c !== 'ownership');
+  if (capabilities.length > 0) notes.push(`exposes ${capabilities.join(', ')} functions`);
+
+  const message = notes.length > 0
+    ? `Bytecode ${notes.join('; ')}`
+    : `${selectors.length} functions found, none matching known risky signatures`;
+  console.log(`   🧬 Bytecode Analysis: ${message}`);
+
+  return {
+    available: true,
+    isContract: true,
+    codeSize: code.length,
+    codeHash,
+    selectorCount: selectors.length,
+    knownFunctions,
+    categories,
+    opcodes,
+    minimalProxy,
+    templateMatch,
+    message
+  };
+}
+
+module.exports = {
+  analyzeBytecode
+};
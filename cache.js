@@ -0,0 +1,202 @@
+const { recordCacheLookup } = require('./metrics');
+
+// Defaults in seconds. `ttl` is how long an entry is fresh; for `stale` seconds
+// after that it is still served while a background refresh runs.
+const DEFAULT_CACHE_TTLS = {
+  market: { ttl: 30, stale: 60 },
+  goplus: { ttl: 300, stale: 900 },
+  simulation: { ttl: 120, stale: 300 },
+  onchain: { ttl: 600, stale: 1800 },
+  explorer: { ttl: 21600, stale: 86400 },
+  deployer: { ttl: 3600, stale: 21600 },
+  funding: { ttl: 86400, stale: 604800 },
+  launch: { ttl: 3600, stale: 86400 },
+  bytecode: { ttl: 86400, stale: 604800 },
+  proxy: { ttl: 600, stale: 3600 },
+  pools: { ttl: 300, stale: 900 },
+  dexscreener: { ttl: 30, stale: 60 }
+};
+
+const cacheStats = {
+  hits: 0,
+  staleHits: 0,
+  misses: 0,
+  bypassed: 0,
+  refreshErrors: 0
+};
+
+const inFlight = new Map();
+let store = null;
+let ttls = {};
+
+function createMemoryStore(maxEntries) {
+  const entries = new Map();
+
+  return {
+    backend: 'memory',
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      // Re-insert so Map order tracks recency
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+    async set(key, value, ttlMs) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    size() {
+      return entries.size;
+    }
+  };
+}
+
+function createRedisStore(url) {
+  const Redis = require('ioredis');
+  const client = new Redis(url, { maxRetriesPerRequest: 1, enableOfflineQueue: false });
+  client.on('error', (error) => console.log(`   ⚠️  Redis cache error: ${error.message}`));
+
+  return {
+    backend: 'redis',
+    async get(key) {
+      const value = await client.get(key);
+      return value ? JSON.parse(value) : null;
+    },
+    async set(key, value, ttlMs) {
+      await client.set(key, JSON.stringify(value), 'PX', ttlMs);
+    },
+    size() {
+      return null;
+    }
+  };
+}
+
+function readTtlOverride(source, kind) {
+  const value = parseInt(process.env[`CACHE_${kind}_${source.toUpperCase()}`]);
+  return Number.isNaN(value) ? null : value;
+}
+
+// CACHE_BACKEND=redis with REDIS_URL selects Redis; anything else keeps an in-process LRU
+function configureCache(options = {}) {
+  const backend = options.backend || process.env.CACHE_BACKEND || 'memory';
+  store = backend === 'redis'
+    ? createRedisStore(options.redisUrl || process.env.REDIS_URL)
+    : createMemoryStore(options.maxEntries || parseInt(process.env.CACHE_MAX_ENTRIES) || 5000);
+
+  ttls = {};
+  Object.entries(DEFAULT_CACHE_TTLS).forEach(([source, defaults]) => {
+    ttls[source] = {
+      ttl: readTtlOverride(source, 'TTL') ?? defaults.ttl,
+      stale: readTtlOverride(source, 'STALE') ?? defaults.stale
+    };
+  });
+
+  console.log(`🗄️  Scan cache: ${store.backend}`);
+}
+
+function cacheKey(source, network, address) {
+  const normalized = network === 'solana' ? address : address.toLowerCase();
+  return `scan:${source}:${network}:${normalized}`;
+}
+
+async function refresh(key, source, fetcher, shouldCache) {
+  if (inFlight.has(key)) {
+    return inFlight.get(key);
+  }
+
+  const promise = (async () => {
+    const value = await fetcher();
+    if (shouldCache(value)) {
+      const { ttl, stale } = ttls[source];
+      await store.set(key, { value, storedAt: Date.now() }, (ttl + stale) * 1000).catch(error => {
+        console.log(`   ⚠️  Cache write failed: ${error.message}`);
+      });
+    }
+    return value;
+  })().finally(() => inFlight.delete(key));
+
+  inFlight.set(key, promise);
+  return promise;
+}
+
+// Returns { value, cached, age } where age is in seconds (0 for a live fetch).
+// shouldCache lets callers skip storing empty or failed lookups.
+async function withCache(source, network, address, fetcher, { fresh = false, shouldCache = (value) => value !== null } = {}) {
+  if (!store || !ttls[source]) {
+    return { value: await fetcher(), cached: false, age: 0 };
+  }
+
+  const key = cacheKey(source, network, address);
+
+  if (fresh) {
+    cacheStats.bypassed += 1;
+    recordCacheLookup(source, 'bypass');
+    return { value: await refresh(key, source, fetcher, shouldCache), cached: false, age: 0 };
+  }
+
+  let entry = null;
+  try {
+    entry = await store.get(key);
+  } catch (error) {
+    console.log(`   ⚠️  Cache read failed: ${error.message}`);
+  }
+
+  if (entry) {
+    const age = Math.floor((Date.now() - entry.storedAt) / 1000);
+
+    if (age < ttls[source].ttl) {
+      cacheStats.hits += 1;
+      recordCacheLookup(source, 'hit');
+      return { value: entry.value, cached: true, age };
+    }
+
+    cacheStats.staleHits += 1;
+    recordCacheLookup(source, 'stale');
+    refresh(key, source, fetcher, shouldCache).catch(error => {
+      cacheStats.refreshErrors += 1;
+      console.log(`   ⚠️  Background refresh of ${key} failed: ${error.message}`);
+    });
+    return { value: entry.value, cached: true, stale: true, age };
+  }
+
+  cacheStats.misses += 1;
+  recordCacheLookup(source, 'miss');
+  return { value: await refresh(key, source, fetcher, shouldCache), cached: false, age: 0 };
+}
+
+// Whether withCache would answer from the store (fresh or stale) without fetching.
+// Does not count as a lookup, so callers can plan batched fetches around it.
+async function isCached(source, network, address) {
+  if (!store || !ttls[source]) return false;
+  try {
+    return !!(await store.get(cacheKey(source, network, address)));
+  } catch (error) {
+    return false;
+  }
+}
+
+function getCacheStatus() {
+  const lookups = cacheStats.hits + cacheStats.staleHits + cacheStats.misses;
+  return {
+    backend: store ? store.backend : 'disabled',
+    entries: store ? store.size() : null,
+    ...cacheStats,
+    hitRatio: lookups > 0 ? parseFloat(((cacheStats.hits + cacheStats.staleHits) / lookups).toFixed(3)) : null,
+    ttls
+  };
+}
+
+module.exports = {
+  configureCache,
+  withCache,
+  isCached,
+  getCacheStatus
+};
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CHAINS_FILE = path.join(__dirname, 'config', 'chains.json');
+
+const REQUIRED_FIELDS = ['name', 'emoji', 'type', 'chainId', 'rpcs', 'explorerUrl', 'goplusId', 'dexscreenerId'];
+const CHAIN_TYPES = ['evm', 'solana'];
+
+// simulationDexes: Uniswap V2-style DEXes the honeypot simulator tries in order, each with a
+// factory (or a router to read it from) and its swap fee; pairs are found against wrappedToken
+function validateSimulationDexes(network, chain) {
+  if (!Array.isArray(chain.simulationDexes)) {
+    throw new Error(`Chain ${network}: simulationDexes must be an array`);
+  }
+  if (!chain.wrappedToken || !chain.wrappedToken.address) {
+    throw new Error(`Chain ${network}: simulationDexes needs wrappedToken.address`);
+  }
+  chain.simulationDexes.forEach((dex, index) => {
+    if (!dex.name || !(dex.factory || dex.router)) {
+      throw new Error(`Chain ${network}: simulationDexes[${index}] needs a name and a factory or router`);
+    }
+    if (!Number.isInteger(dex.feeBps) || dex.feeBps < 0 || dex.feeBps >= 10000) {
+      throw new Error(`Chain ${network}: simulationDexes[${index}].feeBps must be an integer below 10000`);
+    }
+  });
+}
+
+function validateChains(chains) {
+  Object.entries(chains).forEach(([network, chain]) => {
+    const missing = REQUIRED_FIELDS.filter(field => chain[field] === undefined);
+    if (missing.length > 0) {
+      throw new Error(`Chain ${network}: missing ${missing.join(', ')}`);
+    }
+    if (!CHAIN_TYPES.includes(chain.type)) {
+      throw new Error(`Chain ${network}: type must be one of ${CHAIN_TYPES.join(', ')}`);
+    }
+    if (!Array.isArray(chain.rpcs) || chain.rpcs.length === 0) {
+      throw new Error(`Chain ${network}: rpcs must be a non-empty array`);
+    }
+    if (chain.simulationDexes !== undefined) {
+      validateSimulationDexes(network, chain);
+    }
+  });
+  return chains;
+}
+
+// CHAINS_FILE points at an alternative registry, e.g. to add a testnet
+const CHAINS = validateChains(JSON.parse(fs.readFileSync(process.env.CHAINS_FILE || DEFAULT_CHAINS_FILE, 'utf8')));
+const NETWORKS = Object.keys(CHAINS);
+
+const getChain = (network) => CHAINS[network] || null;
+
+const isSupportedNetwork = (network) => !!CHAINS[network];
+
+const isEvmNetwork = (network) => !!CHAINS[network] && CHAINS[network].type === 'evm';
+
+// { network: value } for one registry field, skipping chains that leave it empty
+const mapChains = (field) => Object.fromEntries(
+  NETWORKS.filter(network => CHAINS[network][field]).map(network => [network, CHAINS[network][field]])
+);
+
+function getExplorerUrl(network, address) {
+  const chain = CHAINS[network];
+  return chain ? `${chain.explorerUrl}/token/${address}` : '#';
+}
+
+// Wallet or contract page; Solscan calls these accounts
+function getExplorerAddressUrl(network, address) {
+  const chain = CHAINS[network];
+  if (!chain) return '#';
+  return `${chain.explorerUrl}/${chain.type === 'solana' ? 'account' : 'address'}/${address}`;
+}
+
+module.exports = {
+  CHAINS,
+  NETWORKS,
+  getChain,
+  isSupportedNetwork,
+  isEvmNetwork,
+  mapChains,
+  getExplorerUrl,
+  getExplorerAddressUrl
+};
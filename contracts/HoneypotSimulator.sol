@@ -0,0 +1,144 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+// Never deployed. Its runtime bytecode is injected with an eth_call state
+// override by honeypot-simulator.js, so the buy -> transfer -> sell sequence
+// runs against live chain state without sending a transaction.
+// Swaps go straight through the Uniswap V2-style pair, the same way the
+// router's *SupportingFeeOnTransferTokens functions do.
+// Rebuild with: npm run build:simulator
+
+interface IERC20 {
+    function balanceOf(address account) external view returns (uint256);
+}
+
+interface IWrappedNative {
+    function deposit() external payable;
+    function transfer(address to, uint256 amount) external returns (bool);
+}
+
+interface IUniswapV2Pair {
+    function token0() external view returns (address);
+    function getReserves() external view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast);
+    function swap(uint256 amount0Out, uint256 amount1Out, address to, bytes calldata data) external;
+}
+
+contract HoneypotSimulator {
+    struct Result {
+        bool buyOk;
+        bool transferOk;
+        bool sellOk;
+        uint256 buyExpected;
+        uint256 buyReceived;
+        uint256 transferSent;
+        uint256 transferReceived;
+        uint256 sellExpected;
+        uint256 sellReceived;
+        uint256 buyGas;
+        uint256 sellGas;
+    }
+
+    address private constant TRANSFER_RECIPIENT = address(uint160(uint256(keccak256("token-safety-scanner.recipient"))));
+
+    struct Pool {
+        IUniswapV2Pair lp;
+        address token;
+        address wrappedNative;
+        uint256 feeBps;
+        bool tokenIsToken0;
+    }
+
+    function simulate(address pair, address token, address wrappedNative, uint256 amountIn, uint256 feeBps)
+        external
+        payable
+        returns (Result memory r)
+    {
+        IUniswapV2Pair lp = IUniswapV2Pair(pair);
+        Pool memory p = Pool(lp, token, wrappedNative, feeBps, lp.token0() == token);
+
+        _buy(p, r, amountIn);
+        if (!r.buyOk || r.buyReceived == 0) {
+            return r;
+        }
+        _transferCheck(p, r);
+        _sell(p, r);
+    }
+
+    function _buy(Pool memory p, Result memory r, uint256 amountIn) private {
+        (uint256 reserveToken, uint256 reserveNative) = _reserves(p);
+        r.buyExpected = _amountOut(amountIn, reserveNative, reserveToken, p.feeBps);
+        if (r.buyExpected == 0) {
+            return;
+        }
+
+        IWrappedNative(p.wrappedNative).deposit{value: amountIn}();
+        IWrappedNative(p.wrappedNative).transfer(address(p.lp), amountIn);
+
+        uint256 before = IERC20(p.token).balanceOf(address(this));
+        uint256 gasStart = gasleft();
+        try p.lp.swap(p.tokenIsToken0 ? r.buyExpected : 0, p.tokenIsToken0 ? 0 : r.buyExpected, address(this), "") {
+            r.buyOk = true;
+        } catch {
+            return;
+        }
+        r.buyGas = gasStart - gasleft();
+        r.buyReceived = IERC20(p.token).balanceOf(address(this)) - before;
+    }
+
+    function _transferCheck(Pool memory p, Result memory r) private {
+        r.transferSent = r.buyReceived / 10;
+        if (r.transferSent == 0) {
+            return;
+        }
+        uint256 recipientBefore = IERC20(p.token).balanceOf(TRANSFER_RECIPIENT);
+        if (_transfer(p.token, TRANSFER_RECIPIENT, r.transferSent)) {
+            r.transferOk = true;
+            r.transferReceived = IERC20(p.token).balanceOf(TRANSFER_RECIPIENT) - recipientBefore;
+        }
+    }
+
+    function _sell(Pool memory p, Result memory r) private {
+        uint256 sellAmount = IERC20(p.token).balanceOf(address(this));
+        (uint256 reserveToken, uint256 reserveNative) = _reserves(p);
+        r.sellExpected = _amountOut(sellAmount, reserveToken, reserveNative, p.feeBps);
+
+        uint256 gasStart = gasleft();
+        if (!_transfer(p.token, address(p.lp), sellAmount)) {
+            return;
+        }
+        uint256 actualIn = IERC20(p.token).balanceOf(address(p.lp)) - reserveToken;
+        uint256 amountOut = _amountOut(actualIn, reserveToken, reserveNative, p.feeBps);
+
+        uint256 nativeBefore = IERC20(p.wrappedNative).balanceOf(address(this));
+        try p.lp.swap(p.tokenIsToken0 ? 0 : amountOut, p.tokenIsToken0 ? amountOut : 0, address(this), "") {
+            r.sellOk = true;
+        } catch {
+            return;
+        }
+        r.sellGas = gasStart - gasleft();
+        r.sellReceived = IERC20(p.wrappedNative).balanceOf(address(this)) - nativeBefore;
+    }
+
+    function _reserves(Pool memory p) private view returns (uint256, uint256) {
+        (uint112 reserve0, uint112 reserve1,) = p.lp.getReserves();
+        return p.tokenIsToken0 ? (reserve0, reserve1) : (reserve1, reserve0);
+    }
+
+    function _amountOut(uint256 amountIn, uint256 reserveIn, uint256 reserveOut, uint256 feeBps)
+        private
+        pure
+        returns (uint256)
+    {
+        if (amountIn == 0 || reserveIn == 0 || reserveOut == 0) {
+            return 0;
+        }
+        uint256 amountInWithFee = amountIn * (10000 - feeBps);
+        return (amountInWithFee * reserveOut) / (reserveIn * 10000 + amountInWithFee);
+    }
+
+    // Tolerates tokens that return nothing from transfer (USDT-style)
+    function _transfer(address token, address to, uint256 amount) private returns (bool) {
+        (bool success, bytes memory data) = token.call(abi.encodeWithSelector(0xa9059cbb, to, amount));
+        return success && (data.length == 0 || abi.decode(data, (bool)));
+    }
+}
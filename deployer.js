@@ -0,0 +1,157 @@
+const MIXERS = require('./config/mixers.json');
+const { getTokenOutcome } = require('./scan-history');
+const { explorerRequest } = require('./explorer');
+
+const TX_HISTORY_LIMIT = 1000;
+const FUNDING_LOOKBACK = 50;
+const MAX_LISTED_DEPLOYMENTS = 25;
+const SERIAL_RUGGER_THRESHOLD = 2;
+
+// config/mixers.json only covers some chains; elsewhere a mixer-funded deployer cannot be told apart
+const hasMixerData = (network) => Object.keys(MIXERS[network] || {}).length > 0;
+
+async function getContractCreator(explorer, address) {
+  const result = await explorerRequest(explorer, {
+    module: 'contract',
+    action: 'getcontractcreation',
+    contractaddresses: address
+  });
+  return result[0] && result[0].contractCreator ? result[0].contractCreator.toLowerCase() : null;
+}
+
+function toFunding(network, tx, type) {
+  const from = tx.from.toLowerCase();
+  const mixer = (MIXERS[network] || {})[from] || null;
+
+  return {
+    address: from,
+    txHash: tx.hash,
+    value: tx.value,
+    type: type,
+    timestamp: new Date(parseInt(tx.timeStamp) * 1000).toISOString(),
+    isMixer: hasMixerData(network) ? !!mixer : null,
+    label: mixer
+  };
+}
+
+// Mixer withdrawals reach the recipient as internal transactions, so both lists are checked
+function findFundingSource(network, creator, transactions, internalTransactions) {
+  const isInbound = (tx) => tx.to && tx.to.toLowerCase() === creator && tx.value !== '0' && tx.isError !== '1';
+
+  const normal = transactions.slice(0, FUNDING_LOOKBACK).find(isInbound);
+  const internal = internalTransactions.find(isInbound);
+
+  if (normal && internal) {
+    return parseInt(internal.blockNumber) < parseInt(normal.blockNumber)
+      ? toFunding(network, internal, 'internal')
+      : toFunding(network, normal, 'normal');
+  }
+  if (normal) return toFunding(network, normal, 'normal');
+  if (internal) return toFunding(network, internal, 'internal');
+  return null;
+}
+
+// Explorer-side facts about a deployer; cheap enough to cache for hours
+async function fetchDeployerActivity(network, explorer, creator) {
+  const [transactions, internalTransactions] = await Promise.all([
+    explorerRequest(explorer, {
+      module: 'account',
+      action: 'txlist',
+      address: creator,
+      startblock: 0,
+      endblock: 99999999,
+      page: 1,
+      offset: TX_HISTORY_LIMIT,
+      sort: 'asc'
+    }),
+    explorerRequest(explorer, {
+      module: 'account',
+      action: 'txlistinternal',
+      address: creator,
+      startblock: 0,
+      endblock: 99999999,
+      page: 1,
+      offset: FUNDING_LOOKBACK,
+      sort: 'asc'
+    })
+  ]);
+
+  const deployments = transactions
+    .filter(tx => (!tx.to || tx.to === '') && tx.contractAddress && tx.isError !== '1' &&
+      tx.from.toLowerCase() === creator)
+    .map(tx => ({
+      address: tx.contractAddress.toLowerCase(),
+      txHash: tx.hash,
+      deployedAt: new Date(parseInt(tx.timeStamp) * 1000).toISOString()
+    }));
+
+  return {
+    creator: creator,
+    funding: findFundingSource(network, creator, transactions, internalTransactions),
+    deployments: deployments,
+    historyTruncated: transactions.length >= TX_HISTORY_LIMIT
+  };
+}
+
+// Joins explorer activity with our own scan history of the deployer's other contracts
+function buildDeployerReport(network, tokenAddress, activity) {
+  const others = activity.deployments.filter(d => d.address !== tokenAddress.toLowerCase());
+
+  const deployedTokens = others.map(deployment => {
+    const outcome = getTokenOutcome(network, deployment.address);
+    return {
+      ...deployment,
+      scanned: !!outcome,
+      lastLevel: outcome ? outcome.lastLevel : null,
+      honeypot: outcome ? outcome.honeypot : false,
+      rugged: outcome ? outcome.rugged : false
+    };
+  });
+
+  const flagged = deployedTokens.filter(t => t.honeypot || t.rugged);
+  const mixerDataAvailable = hasMixerData(network);
+  const fundedByMixer = mixerDataAvailable ? !!(activity.funding && activity.funding.isMixer) : null;
+  const isSerialRugger = flagged.length >= SERIAL_RUGGER_THRESHOLD;
+
+  let reputation, message;
+  if (isSerialRugger) {
+    reputation = 'malicious';
+    message = `DANGER: Deployer has ${flagged.length} other tokens flagged as honeypot or rug pull`;
+  } else if (flagged.length > 0 || fundedByMixer) {
+    reputation = 'suspicious';
+    message = fundedByMixer
+      ? `WARNING: Deployer was funded through ${activity.funding.label}`
+      : 'WARNING: Deployer has another token flagged as honeypot or rug pull';
+  } else {
+    reputation = 'clean';
+    message = `Deployer has ${others.length} other contracts, none flagged`;
+    if (!mixerDataAvailable) message += ` (mixer funding not checked: no mixer data for ${network})`;
+  }
+
+  console.log(`   👤 Deployer Analysis: ${message}`);
+
+  return {
+    available: true,
+    address: activity.creator,
+    funding: activity.funding,
+    fundedByMixer: fundedByMixer,
+    mixerDataAvailable: mixerDataAvailable,
+    deployedContractCount: others.length,
+    scannedContractCount: deployedTokens.filter(t => t.scanned).length,
+    flaggedTokenCount: flagged.length,
+    isSerialRugger: isSerialRugger,
+    historyTruncated: activity.historyTruncated,
+    deployedContracts: deployedTokens
+      .sort((a, b) => (b.honeypot || b.rugged) - (a.honeypot || a.rugged))
+      .slice(0, MAX_LISTED_DEPLOYMENTS),
+    reputation: reputation,
+    message: message
+  };
+}
+
+module.exports = {
+  getContractCreator,
+  findFundingSource,
+  fetchDeployerActivity,
+  buildDeployerReport
+};
@@ -0,0 +1,20 @@
+const axios = require('axios');
+
+// Etherscan-style APIs answer "no results" and rate limits alike with status 0;
+// only the former carries an array result
+async function explorerRequest(explorer, params) {
+  const query = new URLSearchParams({ ...params, apikey: explorer.apiKey }).toString();
+  const response = await axios.get(`${explorer.apiUrl}?${query}`, {
+    timeout: explorer.timeoutMs,
+    headers: { 'User-Agent': 'TokenScanner/1.3' }
+  });
+
+  if (response.data && Array.isArray(response.data.result)) {
+    return response.data.result;
+  }
+  throw new Error((response.data && (response.data.result || response.data.message)) || 'Explorer request failed');
+}
+
+module.exports = {
+  explorerRequest
+};
@@ -0,0 +1,9 @@
+// Only used by the test suite for an in-process chain; contracts are compiled with the pinned
+// solc package through scripts/build-simulator.js, which needs no compiler download.
+module.exports = {
+  networks: {
+    hardhat: {
+      chainId: 1
+    }
+  }
+};
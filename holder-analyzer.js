@@ -0,0 +1,187 @@
+const HOLDER_LABELS = require('./config/holder-labels.json');
+
+const HOLDER_CONCENTRATION_THRESHOLD = 15;
+const HIGH_CONCENTRATION_THRESHOLD = 50;
+const TOP_HOLDER_COUNT = 10;
+
+// Tokens (or LP) sent to these can never be moved again
+const BURN_ADDRESSES = [
+  '0x0000000000000000000000000000000000000000',
+  '0x000000000000000000000000000000000000dead',
+  '0xdead000000000000000042069420694206942069',
+  '1nc1nerator11111111111111111111111111111111'
+];
+
+// Held on behalf of the market rather than by anyone who can dump it
+const EXCLUDED_CATEGORIES = ['lp', 'burn', 'locker', 'cex'];
+
+// GoPlus tags holders with names like "UniswapV2", "PinkLock", "Binance 14" or "Null Address"
+const TAG_PATTERNS = [
+  { category: 'burn', pattern: /burn|dead|null address|black ?hole/i },
+  { category: 'locker', pattern: /lock|unicrypt|uncx|team finance|pinksale|vesting/i },
+  { category: 'lp', pattern: /uniswap|pancake|sushi|raydium|orca|meteora|camelot|aerodrome|velodrome|trader ?joe|\blp\b|pair|pool/i },
+  { category: 'cex', pattern: /binance|coinbase|kraken|okx|okex|bybit|kucoin|gate\.io|huobi|htx|bitget|mexc|crypto\.com|bitfinex|upbit/i }
+];
+
+// EVM addresses compare case-insensitively, Solana base58 addresses do not
+const normalizeAddress = (address) => {
+  if (!address) return '';
+  return address.startsWith('0x') ? address.toLowerCase() : address;
+};
+
+const isFlagSet = (value) => value === 1 || value === '1' || value === true;
+
+function classifyHolder(holder, network, pairAddresses) {
+  const address = normalizeAddress(holder.address);
+  const labels = HOLDER_LABELS[network] || {};
+  const known = labels[address];
+  const tag = holder.tag || null;
+
+  if (BURN_ADDRESSES.includes(address)) return { category: 'burn', label: tag || 'Burn address' };
+  if (pairAddresses.has(address)) return { category: 'lp', label: tag || 'Liquidity pool' };
+  if (known) return { category: known.type, label: known.label };
+  if (isFlagSet(holder.is_locked)) return { category: 'locker', label: tag || 'Locked' };
+
+  const match = tag && TAG_PATTERNS.find(({ pattern }) => pattern.test(tag));
+  if (match) return { category: match.category, label: tag };
+
+  return { category: isFlagSet(holder.is_contract) ? 'contract' : 'wallet', label: tag };
+}
+
+// Groups of { count, share }, where share is the whole group's share. Holders within a group
+// are assumed to hold equal amounts, which keeps the index meaningful when only the top holders
+// are listed individually and everyone else is one remainder group.
+function giniCoefficient(groups) {
+  const population = groups.reduce((sum, group) => sum + group.count, 0);
+  const total = groups.reduce((sum, group) => sum + group.share, 0);
+  if (population < 2 || total <= 0) return null;
+
+  const sorted = [...groups].sort((a, b) => a.share / a.count - b.share / b.count);
+  let cumulativeShare = 0;
+  let lorenzArea = 0;
+  sorted.forEach(group => {
+    const previous = cumulativeShare;
+    cumulativeShare += group.share / total;
+    lorenzArea += (group.count / population) * (previous + cumulativeShare);
+  });
+
+  return parseFloat(Math.max(0, 1 - lorenzArea).toFixed(4));
+}
+
+const unavailable = (message) => ({
+  available: false,
+  top10Percentage: 0,
+  effectiveTop10Percentage: 0,
+  isConcentrated: false,
+  risk: 'unknown',
+  message
+});
+
+// holders are GoPlus-shaped: percent is a fraction of total supply. Only the effective figure
+// (top holders' share of what is actually circulating) is scored.
+function analyzeHolderConcentration(holders, { network, pairAddresses = [], holderCount = null } = {}) {
+  if (!holders || holders.length === 0) {
+    return unavailable('Holder data not available');
+  }
+
+  try {
+    const pairs = new Set(pairAddresses.filter(Boolean).map(normalizeAddress));
+    const classified = holders.map(holder => ({
+      ...holder,
+      share: parseFloat(holder.percent || 0) * 100,
+      ...classifyHolder(holder, network, pairs)
+    }));
+
+    const sumShares = (list) => list.reduce((sum, holder) => sum + holder.share, 0);
+
+    const top10Percentage = sumShares(classified.slice(0, TOP_HOLDER_COUNT));
+
+    const excludedBreakdown = {};
+    classified
+      .filter(holder => EXCLUDED_CATEGORIES.includes(holder.category))
+      .forEach(holder => {
+        excludedBreakdown[holder.category] = (excludedBreakdown[holder.category] || 0) + holder.share;
+      });
+    const excludedPercentage = Object.values(excludedBreakdown).reduce((sum, share) => sum + share, 0);
+    const circulatingPercentage = Math.max(0, 100 - excludedPercentage);
+
+    const circulating = classified.filter(holder => !EXCLUDED_CATEGORIES.includes(holder.category));
+    const effectiveTop10Percentage = circulatingPercentage > 0
+      ? Math.min(100, sumShares(circulating.slice(0, TOP_HOLDER_COUNT)) / circulatingPercentage * 100)
+      : 0;
+
+    // Both indexes describe the circulating supply. Holders beyond the listed ones are treated
+    // as evenly spread: they add nothing to HHI and form one group for Gini when the count is known.
+    const circulatingShares = circulating.map(holder =>
+      circulatingPercentage > 0 ? holder.share / circulatingPercentage * 100 : 0);
+    const hhi = Math.round(circulatingShares.reduce((sum, share) => sum + share * share, 0));
+
+    const groups = circulatingShares.map(share => ({ count: 1, share }));
+    const remainingShare = 100 - circulatingShares.reduce((sum, share) => sum + share, 0);
+    const remainingHolders = holderCount ? holderCount - holders.length : 0;
+    if (remainingHolders > 0 && remainingShare > 0) {
+      groups.push({ count: remainingHolders, share: remainingShare });
+    }
+    const gini = giniCoefficient(groups);
+
+    // Without config/holder-labels.json entries, CEX and locker wallets are only caught by GoPlus tags
+    const labelsAvailable = Object.keys(HOLDER_LABELS[network] || {}).length > 0;
+
+    const isConcentrated = effectiveTop10Percentage > HOLDER_CONCENTRATION_THRESHOLD;
+    const scope = excludedPercentage > 0
+      ? `of circulating supply (${top10Percentage.toFixed(2)}% of total incl. LP, burned, CEX and locked)`
+      : 'of supply';
+
+    let risk, message;
+    if (effectiveTop10Percentage > HIGH_CONCENTRATION_THRESHOLD) {
+      risk = 'high';
+      message = `DANGER: Top 10 holders control ${effectiveTop10Percentage.toFixed(2)}% ${scope}`;
+    } else if (isConcentrated) {
+      risk = 'medium';
+      message = `WARNING: Top 10 holders control ${effectiveTop10Percentage.toFixed(2)}% ${scope}`;
+    } else {
+      risk = 'low';
+      message = `SAFE: Top 10 holders control only ${effectiveTop10Percentage.toFixed(2)}% ${scope}`;
+    }
+
+    console.log(`   📊 Holder Analysis: ${message}`);
+
+    const round = (value) => parseFloat(value.toFixed(2));
+    Object.keys(excludedBreakdown).forEach(category => {
+      excludedBreakdown[category] = round(excludedBreakdown[category]);
+    });
+
+    return {
+      available: true,
+      top10Percentage: round(top10Percentage),
+      effectiveTop10Percentage: round(effectiveTop10Percentage),
+      excludedPercentage: round(excludedPercentage),
+      circulatingPercentage: round(circulatingPercentage),
+      excludedBreakdown,
+      gini,
+      hhi,
+      isConcentrated,
+      labelsAvailable,
+      risk,
+      message,
+      top10Holders: classified.slice(0, TOP_HOLDER_COUNT).map(h => ({
+        address: h.address,
+        balance: h.balance,
+        percent: parseFloat(h.share.toFixed(4)),
+        tag: h.tag || 'Unknown',
+        category: h.category,
+        label: h.label || null,
+        excluded: EXCLUDED_CATEGORIES.includes(h.category)
+      }))
+    };
+  } catch (error) {
+    console.log(`   ⚠️  Holder analysis error: ${error.message}`);
+    return unavailable('Unable to analyze holder concentration');
+  }
+}
+
+module.exports = {
+  HOLDER_CONCENTRATION_THRESHOLD,
+  BURN_ADDRESSES,
+  analyzeHolderConcentration
+};
@@ -0,0 +1,203 @@
+const HOLDER_LABELS = require('./config/holder-labels.json');
+const MIXERS = require('./config/mixers.json');
+const { explorerRequest } = require('./explorer');
+const { findFundingSource } = require('./deployer');
+
+const WALLET_HISTORY_LOOKBACK = 50;
+const LAUNCH_TRANSFER_LIMIT = 1000;
+const CREATION_BLOCK_WINDOW = 50;
+const BUNDLE_MIN_WALLETS = 2;
+const BUNDLE_MIN_PERCENT = 5;
+const CLUSTER_WARNING_PERCENT = 15;
+
+const REASONS = {
+  sameFunder: 'same-funder',
+  createdTogether: 'created-together',
+  launchBlock: 'launch-block'
+};
+
+// First activity and funding source of a holder wallet; neither changes once the wallet exists
+async function fetchWalletActivity(network, explorer, wallet) {
+  const history = (action) => explorerRequest(explorer, {
+    module: 'account',
+    action,
+    address: wallet,
+    startblock: 0,
+    endblock: 99999999,
+    page: 1,
+    offset: WALLET_HISTORY_LOOKBACK,
+    sort: 'asc'
+  });
+  const [transactions, internalTransactions] = await Promise.all([history('txlist'), history('txlistinternal')]);
+
+  const firstBlocks = [transactions[0], internalTransactions[0]]
+    .filter(Boolean)
+    .map(tx => parseInt(tx.blockNumber));
+
+  return {
+    address: wallet,
+    firstBlock: firstBlocks.length > 0 ? Math.min(...firstBlocks) : null,
+    funding: findFundingSource(network, wallet, transactions, internalTransactions)
+  };
+}
+
+// The launch is the first buy out of a known pair, falling back to the liquidity add
+async function fetchLaunchActivity(explorer, token, pairAddresses) {
+  const transfers = await explorerRequest(explorer, {
+    module: 'account',
+    action: 'tokentx',
+    contractaddress: token,
+    startblock: 0,
+    endblock: 99999999,
+    page: 1,
+    offset: LAUNCH_TRANSFER_LIMIT,
+    sort: 'asc'
+  });
+
+  const pairs = new Set(pairAddresses.filter(Boolean).map(a => a.toLowerCase()));
+  const launchTransfer = transfers.find(tx => pairs.has(tx.from.toLowerCase())) ||
+    transfers.find(tx => pairs.has(tx.to.toLowerCase()));
+
+  if (!launchTransfer) {
+    return { launchBlock: null, recipients: [] };
+  }
+
+  const launchBlock = parseInt(launchTransfer.blockNumber);
+  const recipients = [...new Set(transfers
+    .filter(tx => parseInt(tx.blockNumber) === launchBlock)
+    .map(tx => tx.to.toLowerCase())
+    .filter(to => !pairs.has(to)))];
+
+  return { launchBlock, recipients };
+}
+
+// Exchange hot wallets and mixers fund thousands of unrelated wallets. Chains with no label or
+// mixer data cannot tell those apart from a real common funder, so funding links are skipped there.
+const hasFunderData = (network) =>
+  Object.keys(HOLDER_LABELS[network] || {}).length > 0 && Object.keys(MIXERS[network] || {}).length > 0;
+
+function isSharedFunder(network, funding) {
+  const known = (HOLDER_LABELS[network] || {})[funding.address];
+  return funding.isMixer || (known && known.type === 'cex');
+}
+
+function createUnionFind(size) {
+  const parent = [...Array(size).keys()];
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const union = (a, b) => { parent[find(a)] = find(b); };
+  return { find, union };
+}
+
+// holders: circulating wallets as { address, percent } with percent 0-100 of total supply
+function buildClusterReport(network, holders, wallets, launch, { creator = null } = {}) {
+  const members = holders.map(holder => {
+    const address = holder.address.toLowerCase();
+    const wallet = wallets.find(w => w && w.address === address) || {};
+    return {
+      address,
+      percent: holder.percent,
+      firstBlock: wallet.firstBlock === undefined ? null : wallet.firstBlock,
+      fundedBy: wallet.funding ? wallet.funding.address : null,
+      fundedByDeployer: !!(creator && wallet.funding && wallet.funding.address === creator),
+      boughtInLaunchBlock: launch.recipients.includes(address)
+    };
+  });
+
+  const { find, union } = createUnionFind(members.length);
+  const reasons = members.map(() => new Set());
+  const link = (a, b, reason) => {
+    union(a, b);
+    reasons[a].add(reason);
+    reasons[b].add(reason);
+  };
+
+  const sameFunderChecked = hasFunderData(network);
+  const byFunder = {};
+  members.forEach((member, i) => {
+    if (!sameFunderChecked) return;
+    const wallet = wallets.find(w => w && w.address === member.address);
+    if (!wallet || !wallet.funding || isSharedFunder(network, wallet.funding)) return;
+    (byFunder[member.fundedBy] = byFunder[member.fundedBy] || []).push(i);
+  });
+  Object.values(byFunder).forEach(group => group.slice(1).forEach(i => link(group[0], i, REASONS.sameFunder)));
+
+  const byFirstBlock = members
+    .map((member, i) => ({ i, block: member.firstBlock }))
+    .filter(entry => entry.block !== null)
+    .sort((a, b) => a.block - b.block);
+  byFirstBlock.slice(1).forEach((entry, n) => {
+    const previous = byFirstBlock[n];
+    if (entry.block - previous.block <= CREATION_BLOCK_WINDOW) {
+      link(previous.i, entry.i, REASONS.createdTogether);
+    }
+  });
+
+  const launchBuyers = members.map((member, i) => (member.boughtInLaunchBlock ? i : null)).filter(i => i !== null);
+  launchBuyers.slice(1).forEach(i => link(launchBuyers[0], i, REASONS.launchBlock));
+
+  const groups = {};
+  members.forEach((member, i) => {
+    (groups[find(i)] = groups[find(i)] || []).push(i);
+  });
+
+  const round = (value) => parseFloat(value.toFixed(2));
+  const clusters = Object.values(groups)
+    .filter(group => group.length >= 2)
+    .map(group => {
+      const clusterReasons = new Set();
+      group.forEach(i => reasons[i].forEach(reason => clusterReasons.add(reason)));
+      return {
+        size: group.length,
+        combinedPercent: round(group.reduce((sum, i) => sum + members[i].percent, 0)),
+        reasons: [...clusterReasons],
+        funders: [...new Set(group.map(i => members[i].fundedBy).filter(Boolean))],
+        members: group.map(i => members[i])
+      };
+    })
+    .sort((a, b) => b.combinedPercent - a.combinedPercent);
+
+  const launchBlockPercent = round(launchBuyers.reduce((sum, i) => sum + members[i].percent, 0));
+  const bundledLaunch = launchBuyers.length >= BUNDLE_MIN_WALLETS && launchBlockPercent >= BUNDLE_MIN_PERCENT;
+  const clusteredPercent = round(clusters.reduce((sum, cluster) => sum + cluster.combinedPercent, 0));
+  const largest = clusters[0] || null;
+
+  let risk, message;
+  if (bundledLaunch) {
+    risk = 'high';
+    message = `DANGER: Bundled launch - ${launchBuyers.length} top holders bought in the launch block and hold ${launchBlockPercent}% of supply`;
+  } else if (largest && largest.combinedPercent >= CLUSTER_WARNING_PERCENT) {
+    risk = 'medium';
+    message = `WARNING: ${largest.size} linked wallets hold ${largest.combinedPercent}% of supply`;
+  } else if (clusters.length > 0) {
+    risk = 'low';
+    message = `${clusters.length} wallet cluster${clusters.length > 1 ? 's' : ''} hold ${clusteredPercent}% of supply`;
+  } else {
+    risk = 'low';
+    message = 'No linked wallets among top holders';
+  }
+  if (!sameFunderChecked) message += ` (funding links not checked: no exchange/mixer data for ${network})`;
+
+  console.log(`   🕸️  Holder Clusters: ${message}`);
+
+  return {
+    available: true,
+    analyzedHolders: members.length,
+    launchBlock: launch.launchBlock,
+    launchBlockHolders: launchBuyers.length,
+    launchBlockPercent,
+    bundledLaunch,
+    clusterCount: clusters.length,
+    clusteredPercent,
+    largestClusterPercent: largest ? largest.combinedPercent : 0,
+    sameFunderChecked,
+    clusters,
+    risk,
+    message
+  };
+}
+
+module.exports = {
+  fetchWalletActivity,
+  fetchLaunchActivity,
+  buildClusterReport
+};
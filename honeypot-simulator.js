@@ -0,0 +1,140 @@
+const { ethers } = require('ethers');
+const { getChain } = require('./chains');
+
+// Runtime bytecode of contracts/HoneypotSimulator.sol (solc 0.8.24, optimizer 200 runs, cancun).
+// Generated by scripts/build-simulator.js; `npm run check:simulator` fails when it drifts from the source.
+const SIMULATOR_BYTECODE = '0x60806040526004361061001d575f3560e01c8063ddf8158014610021575b5f80fd5b61003461002f366004610ad1565b61004a565b6040516100419190610b28565b60405180910390f35b6100a26040518061016001604052805f151581526020015f151581526020015f151581526020015f81526020015f81526020015f81526020015f81526020015f81526020015f81526020015f81526020015f81525090565b5f8690505f6040518060a00160405280836001600160a01b03168152602001886001600160a01b03168152602001876001600160a01b03168152602001858152602001886001600160a01b0316846001600160a01b0316630dfe16816040518163ffffffff1660e01b8152600401602060405180830381865afa15801561012b573d5f803e3d5ffd5b505050506040513d601f19601f8201168201806040525081019061014f9190610bb7565b6001600160a01b031614905290506101688184876101a4565b8251158061017857506080830151155b1561018457505061019b565b61018e8184610459565b61019881846105d5565b50505b95945050505050565b5f806101af856108cf565b915091506101c38382848860600151610965565b606085018190525f036101d7575050505050565b84604001516001600160a01b031663d0e30db0846040518263ffffffff1660e01b81526004015f604051808303818588803b158015610214575f80fd5b505af1158015610226573d5f803e3d5ffd5b505050506040868101518751915163a9059cbb60e01b81526001600160a01b039283166004820152602481018790529116915063a9059cbb906044016020604051808303815f875af115801561027e573d5f803e3d5ffd5b505050506040513d601f19601f820116820180604052508101906102a29190610bd9565b5060208501516040516370a0823160e01b81523060048201525f916001600160a01b0316906370a0823190602401602060405180830381865afa1580156102eb573d5f803e3d5ffd5b505050506040513d601f19601f8201168201806040525081019061030f9190610bf8565b90505f5a9050865f01516001600160a01b031663022c0d9f8860800151610336575f61033c565b87606001515b896080015161034f578860600151610351565b5f5b6040516001600160e01b031960e085901b16815260048101929092526024820152306044820152608060648201525f608482015260a4015f604051808303815f87803b15801561039f575f80fd5b505af19250505080156103b0575060015b6103bd5750505050505050565b600186525a6103cc9082610c23565b61012087015260208701516040516370a0823160e01b815230600482015283916001600160a01b0316906370a0823190602401602060405180830381865afa15801561041a573d5f803e3d5ffd5b505050506040513d601f19601f8201168201806040525081019061043e9190610bf8565b6104489190610c23565b608090960195909552505050505050565b600a816080015161046a9190610c3c565b60a082018190525f0361047b575050565b60208201516040516370a0823160e01b8152739e19b3aac0015951464217269567c63543facce160048201525f916001600160a01b0316906370a0823190602401602060405180830381865afa1580156104d7573d5f803e3d5ffd5b505050506040513d601f19601f820116820180604052508101906104fb9190610bf8565b905061053283602001517f97a83ec86806ceb4b61a58469e19b3aac0015951464217269567c63543facce15f1c8460a001516109d6565b156105d05760016020838101919091528301516040516370a0823160e01b8152739e19b3aac0015951464217269567c63543facce1600482015282916001600160a01b0316906370a0823190602401602060405180830381865afa15801561059c573d5f803e3d5ffd5b505050506040513d601f19601f820116820180604052508101906105c09190610bf8565b6105ca9190610c23565b60c08301525b505050565b60208201516040516370a0823160e01b81523060048201525f916001600160a01b0316906370a0823190602401602060405180830381865afa15801561061d573d5f803e3d5ffd5b505050506040513d601f19601f820116820180604052508101906106419190610bf8565b90505f8061064e856108cf565b915091506106628383838860600151610965565b60e08501525f5a905061067d8660200151875f0151866109d6565b61068957505050505050565b602086015186516040516370a0823160e01b81526001600160a01b0391821660048201525f92869216906370a0823190602401602060405180830381865afa1580156106d7573d5f803e3d5ffd5b505050506040513d601f19601f820116820180604052508101906106fb9190610bf8565b6107059190610c23565b90505f6107188286868b60600151610965565b6040808a015190516370a0823160e01b81523060048201529192505f916001600160a01b03909116906370a0823190602401602060405180830381865afa158015610765573d5f803e3d5ffd5b505050506040513d601f19601f820116820180604052508101906107899190610bf8565b9050885f01516001600160a01b031663022c0d9f8a608001516107ac57836107ae565b5f5b8b608001516107bd575f6107bf565b845b6040516001600160e01b031960e085901b16815260048101929092526024820152306044820152608060648201525f608482015260a4015f604051808303815f87803b15801561080d575f80fd5b505af192505050801561081e575060015b61082d57505050505050505050565b600160408901525a61083f9085610c23565b61014089015260408981015190516370a0823160e01b815230600482015282916001600160a01b0316906370a0823190602401602060405180830381865afa15801561088d573d5f803e3d5ffd5b505050506040513d601f19601f820116820180604052508101906108b19190610bf8565b6108bb9190610c23565b610100909801979097525050505050505050565b5f805f80845f01516001600160a01b0316630902f1ac6040518163ffffffff1660e01b8152600401606060405180830381865afa158015610912573d5f803e3d5ffd5b505050506040513d601f19601f820116820180604052508101906109369190610c76565b5091509150846080015161094b57808261094e565b81815b6001600160701b0391821697911695509350505050565b5f841580610971575083155b8061097a575082155b1561098657505f6109ce565b5f61099383612710610c23565b61099d9087610cc2565b9050806109ac86612710610cc2565b6109b69190610cd9565b6109c08583610cc2565b6109ca9190610c3c565b9150505b949350505050565b5f805f856001600160a01b031663a9059cbb8686604051602401610a0f9291906001600160a01b03929092168252602082015260400190565b6040516020818303038152906040529060e01b6020820180516001600160e01b038381831617835250505050604051610a489190610cec565b5f604051808303815f865af19150503d805f8114610a81576040519150601f19603f3d011682016040523d82523d5f602084013e610a86565b606091505b5091509150818015610ab0575080511580610ab0575080806020019051810190610ab09190610bd9565b9695505050505050565b6001600160a01b0381168114610ace575f80fd5b50565b5f805f805f60a08688031215610ae5575f80fd5b8535610af081610aba565b94506020860135610b0081610aba565b93506040860135610b1081610aba565b94979396509394606081013594506080013592915050565b81511515815261016081016020830151610b46602084018215159052565b506040830151610b5a604084018215159052565b50606083015160608301526080830151608083015260a083015160a083015260c083015160c083015260e083015160e083015261010080840151818401525061012080840151818401525061014080840151818401525092915050565b5f60208284031215610bc7575f80fd5b8151610bd281610aba565b9392505050565b5f60208284031215610be9575f80fd5b81518015158114610bd2575f80fd5b5f60208284031215610c08575f80fd5b5051919050565b634e487b7160e01b5f52601160045260245ffd5b81810381811115610c3657610c36610c0f565b92915050565b5f82610c5657634e487b7160e01b5f52601260045260245ffd5b500490565b80516001600160701b0381168114610c71575f80fd5b919050565b5f805f60608486031215610c88575f80fd5b610c9184610c5b565b9250610c9f60208501610c5b565b9150604084015163ffffffff81168114610cb7575f80fd5b809150509250925092565b8082028115828204841417610c3657610c36610c0f565b80820180821115610c3657610c36610c0f565b5f82515f5b81811015610d0b5760208186018101518583015201610cf1565b505f92019182525091905056fea26469706673582212200ed4651a7951db1016b30e406b17d4a6bb0279c4f0ba6c78242006951fd9d07964736f6c63430008180033';
+
+const SIMULATOR_ABI = [
+  'function simulate(address pair, address token, address wrappedNative, uint256 amountIn, uint256 feeBps) payable returns ' +
+  '(tuple(bool buyOk, bool transferOk, bool sellOk, uint256 buyExpected, uint256 buyReceived, ' +
+  'uint256 transferSent, uint256 transferReceived, uint256 sellExpected, uint256 sellReceived, ' +
+  'uint256 buyGas, uint256 sellGas) r)'
+];
+
+const FACTORY_ABI = ['function getPair(address tokenA, address tokenB) view returns (address)'];
+const ROUTER_ABI = ['function factory() view returns (address)'];
+
+// Arbitrary addresses with no code: the simulator is placed at one, the caller is the other
+const SIMULATOR_ADDRESS = '0x00000000000000000000000000000000005afe01';
+const CALLER_ADDRESS = '0x00000000000000000000000000000000005afe02';
+
+const SIMULATION_AMOUNT = ethers.parseEther(process.env.SIMULATION_AMOUNT || '0.05');
+const SIMULATION_GAS_LIMIT = 8000000n;
+
+const simulatorInterface = new ethers.Interface(SIMULATOR_ABI);
+const resolvedFactories = new Map();
+
+function taxFromAmounts(expected, received) {
+  if (!expected || expected === 0n) return null;
+  if (received >= expected) return 0;
+  const lossPpm = ((expected - received) * 1000000n) / expected;
+  return Number(lossPpm) / 1000000;
+}
+
+// Uniswap V2-style DEXes from the chain registry (simulationDexes), tried in order
+function getSimulationDexes(network) {
+  const chain = getChain(network);
+  return chain && chain.type === 'evm' && chain.simulationDexes ? chain.simulationDexes : [];
+}
+
+function isSimulationSupported(network) {
+  return getSimulationDexes(network).length > 0;
+}
+
+// When only the router is known the factory is read from it on first use
+async function resolveFactory(provider, dex) {
+  if (dex.factory) return dex.factory;
+  if (!resolvedFactories.has(dex.router)) {
+    const router = new ethers.Contract(dex.router, ROUTER_ABI, provider);
+    resolvedFactories.set(dex.router, await router.factory());
+  }
+  return resolvedFactories.get(dex.router);
+}
+
+async function findPair(provider, dexes, tokenAddress, wrappedNative) {
+  for (const dex of dexes) {
+    const factory = new ethers.Contract(await resolveFactory(provider, dex), FACTORY_ABI, provider);
+    const pair = await factory.getPair(tokenAddress, wrappedNative);
+    if (pair !== ethers.ZeroAddress) return { dex, pair };
+  }
+  return null;
+}
+
+async function simulateHoneypot(provider, network, tokenAddress) {
+  const dexes = getSimulationDexes(network);
+  if (dexes.length === 0) {
+    throw new Error(`No simulation DEX for ${network}`);
+  }
+  const wrappedToken = getChain(network).wrappedToken;
+  const amountIn = ethers.formatEther(SIMULATION_AMOUNT);
+
+  const match = await findPair(provider, dexes, tokenAddress, wrappedToken.address);
+  if (!match) {
+    const names = dexes.map(dex => dex.name).join(' / ');
+    return {
+      dex: names,
+      amountIn,
+      simulated: false,
+      pair: null,
+      failureReason: `No ${names} pair against ${wrappedToken.symbol}`
+    };
+  }
+
+  const { dex, pair } = match;
+  const base = { dex: dex.name, amountIn };
+
+  const data = simulatorInterface.encodeFunctionData('simulate', [
+    pair,
+    tokenAddress,
+    wrappedToken.address,
+    SIMULATION_AMOUNT,
+    dex.feeBps
+  ]);
+
+  const balance = ethers.toQuantity(SIMULATION_AMOUNT * 10n);
+  const callResult = await provider.send('eth_call', [
+    {
+      from: CALLER_ADDRESS,
+      to: SIMULATOR_ADDRESS,
+      data,
+      gas: ethers.toQuantity(SIMULATION_GAS_LIMIT)
+    },
+    'latest',
+    {
+      [SIMULATOR_ADDRESS]: { code: SIMULATOR_BYTECODE, balance },
+      [CALLER_ADDRESS]: { balance }
+    }
+  ]);
+
+  const [r] = simulatorInterface.decodeFunctionResult('simulate', callResult);
+
+  let failureReason = null;
+  if (r.buyExpected === 0n) failureReason = 'Pair has no liquidity';
+  else if (!r.buyOk) failureReason = 'Buy reverted';
+  else if (r.buyReceived === 0n) failureReason = 'Buy returned no tokens';
+  else if (!r.sellOk) failureReason = 'Sell reverted';
+
+  const hasLiquidity = r.buyExpected > 0n;
+
+  return {
+    ...base,
+    simulated: hasLiquidity,
+    pair,
+    buySucceeded: r.buyOk,
+    sellSucceeded: r.sellOk,
+    transferSucceeded: r.transferOk,
+    isHoneypot: hasLiquidity && r.buyOk && r.buyReceived > 0n && !r.sellOk,
+    buyTax: r.buyOk ? taxFromAmounts(r.buyExpected, r.buyReceived) : null,
+    sellTax: r.sellOk ? taxFromAmounts(r.sellExpected, r.sellReceived) : null,
+    transferTax: r.transferOk ? taxFromAmounts(r.transferSent, r.transferReceived) : null,
+    buyGas: r.buyOk ? Number(r.buyGas) : null,
+    sellGas: r.sellOk ? Number(r.sellGas) : null,
+    failureReason
+  };
+}
+
+module.exports = {
+  isSimulationSupported,
+  simulateHoneypot
+};
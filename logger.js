@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// The request id follows a request through every await, so log lines and upstream calls made
+// while serving it can be tied together without passing it around. It is always generated here:
+// a caller's own X-Request-Id is only logged (clientRequestId), never sent on to upstreams.
+const requestContext = new AsyncLocalStorage();
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const INCOMING_ID_PATTERN = /^[\w.:-]{1,100}$/;
+
+// Noise from ethers retrying network detection; the RPC pool reports real failures itself
+const SUPPRESSED_ERRORS = ['JsonRpcProvider failed to detect network'];
+
+const original = {
+  log: console.log.bind(console),
+  info: console.info.bind(console),
+  warn: console.warn.bind(console),
+  error: console.error.bind(console)
+};
+
+let format = 'json';
+
+const getRequestId = () => {
+  const context = requestContext.getStore();
+  return context ? context.requestId : null;
+};
+
+const getClientRequestId = () => {
+  const context = requestContext.getStore();
+  return context ? context.clientRequestId : null;
+};
+
+// Existing log lines mark warnings and failures with emoji rather than a level
+function levelFor(method, message) {
+  if (method === 'error' || message.includes('❌')) return 'error';
+  if (method === 'warn' || message.includes('⚠️')) return 'warn';
+  return 'info';
+}
+
+function write(method, args, fields = {}) {
+  const message = util.format(...args);
+  if (SUPPRESSED_ERRORS.some(text => message.includes(text))) return;
+
+  const requestId = getRequestId();
+  const clientRequestId = getClientRequestId();
+
+  if (format === 'pretty') {
+    const prefix = requestId ? `[${requestId.slice(0, 8)}] ` : '';
+    const extra = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+    original[method](`${prefix}${message}${extra}`);
+    return;
+  }
+
+  const msg = message.trim();
+  if (!msg && Object.keys(fields).length === 0) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level: levelFor(method, msg),
+    msg,
+    ...(requestId && { requestId }),
+    ...(clientRequestId && { clientRequestId }),
+    ...fields
+  };
+  const error = args.find(arg => arg instanceof Error);
+  if (error) {
+    entry.error = { message: error.message, stack: error.stack };
+  }
+
+  const stream = entry.level === 'error' ? process.stderr : process.stdout;
+  stream.write(JSON.stringify(entry) + '\n');
+}
+
+// LOG_FORMAT=pretty keeps the plain console output (prefixed with the request id) for local runs
+function installConsoleLogger(options = {}) {
+  format = options.format || process.env.LOG_FORMAT || 'json';
+  console.log = (...args) => write('log', args);
+  console.info = (...args) => write('info', args);
+  console.warn = (...args) => write('warn', args);
+  console.error = (...args) => write('error', args);
+}
+
+// Structured line with extra fields, e.g. the access log
+function logEvent(message, fields) {
+  write('log', [message], fields);
+}
+
+function requestLogger(req, res, next) {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  const clientRequestId = incoming && INCOMING_ID_PATTERN.test(incoming) ? incoming : null;
+  const requestId = crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.set(REQUEST_ID_HEADER, requestId);
+
+  requestContext.run({ requestId, clientRequestId }, () => {
+    res.on('finish', () => {
+      logEvent(`${req.method} ${req.originalUrl} ${res.statusCode}`, {
+        method: req.method,
+        path: req.originalUrl,
+        route: req.route ? req.baseUrl + req.route.path : null,
+        status: res.statusCode,
+        durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6
+      });
+    });
+    next();
+  });
+}
+
+module.exports = {
+  REQUEST_ID_HEADER,
+  getRequestId,
+  installConsoleLogger,
+  logEvent,
+  requestLogger
+};
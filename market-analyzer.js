@@ -0,0 +1,144 @@
+// Signals read from DexScreener pair data. Thresholds are deliberately loose: low-liquidity
+// tokens are noisy, and each signal only has to say something a healthy market rarely does.
+const WASH_VOLUME_RATIO = 10;
+const MIN_TXNS_FOR_FLOW = 20;
+const ONE_SIDED_SELL_RATIO = 0.05;
+const NEW_PAIR_HOURS = 24;
+const FRAGMENTED_MIN_PAIRS = 5;
+const FRAGMENTED_MAIN_SHARE = 0.5;
+const MIN_PAIR_LIQUIDITY_USD = 1000;
+const PRICE_MOVE_LIMITS = { m5: 30, h1: 50, h24: 300 };
+const PRICE_CRASH_LIMIT = -80;
+
+const SEVERITY_RANK = { high: 3, medium: 2, low: 1 };
+
+const toNumber = (value) => {
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : null;
+};
+
+const round = (value, digits = 2) => (value === null ? null : parseFloat(value.toFixed(digits)));
+
+function analyzeMarket(pairs, { now = Date.now() } = {}) {
+  if (!pairs || pairs.length === 0) {
+    return {
+      available: false,
+      risk: 'unknown',
+      message: 'No trading pairs found'
+    };
+  }
+
+  const sorted = [...pairs].sort((a, b) =>
+    (toNumber(b.liquidity?.usd) || 0) - (toNumber(a.liquidity?.usd) || 0));
+  const mainPair = sorted[0];
+  const signals = [];
+
+  const mainLiquidity = toNumber(mainPair.liquidity?.usd);
+  const totalLiquidity = sorted.reduce((sum, pair) => sum + (toNumber(pair.liquidity?.usd) || 0), 0);
+
+  // Volume far beyond the liquidity it trades against is usually the same money going round
+  const volume24h = toNumber(mainPair.volume?.h24);
+  const volumeToLiquidity = mainLiquidity > 0 && volume24h !== null ? volume24h / mainLiquidity : null;
+  const washTrading = volumeToLiquidity !== null && volumeToLiquidity >= WASH_VOLUME_RATIO;
+  if (washTrading) {
+    signals.push({
+      id: 'wash-trading',
+      severity: 'medium',
+      message: `24h volume is ${round(volumeToLiquidity, 1)}x the pair's liquidity`
+    });
+  }
+
+  // Plenty of buys and (almost) no sells is what a honeypot looks like from the outside
+  const txns = mainPair.txns?.h24 || {};
+  const buys = parseInt(txns.buys) || 0;
+  const sells = parseInt(txns.sells) || 0;
+  const sellBuyRatio = buys > 0 ? sells / buys : null;
+  const honeypotLikeFlow = buys >= MIN_TXNS_FOR_FLOW && sellBuyRatio < ONE_SIDED_SELL_RATIO;
+  if (honeypotLikeFlow) {
+    signals.push({
+      id: 'one-sided-flow',
+      severity: 'high',
+      message: `${buys} buys but only ${sells} sells in 24h`
+    });
+  }
+
+  const createdTimes = sorted.map(pair => pair.pairCreatedAt).filter(Number.isFinite);
+  const pairAgeHours = createdTimes.length > 0 ? (now - Math.min(...createdTimes)) / 3600000 : null;
+  const newPair = pairAgeHours !== null && pairAgeHours < NEW_PAIR_HOURS;
+  if (newPair) {
+    signals.push({
+      id: 'new-pair',
+      severity: 'medium',
+      message: `Oldest pair was created ${round(pairAgeHours, 1)} hours ago`
+    });
+  }
+
+  const liquidPairs = sorted.filter(pair => (toNumber(pair.liquidity?.usd) || 0) >= MIN_PAIR_LIQUIDITY_USD);
+  const mainPairShare = totalLiquidity > 0 ? (mainLiquidity || 0) / totalLiquidity : null;
+  const fragmentedLiquidity = liquidPairs.length >= FRAGMENTED_MIN_PAIRS && mainPairShare < FRAGMENTED_MAIN_SHARE;
+  if (fragmentedLiquidity) {
+    signals.push({
+      id: 'fragmented-liquidity',
+      severity: 'low',
+      message: `Liquidity is split across ${liquidPairs.length} pairs; the largest holds ${round(mainPairShare * 100, 1)}%`
+    });
+  }
+
+  const priceChange = {
+    m5: toNumber(mainPair.priceChange?.m5),
+    h1: toNumber(mainPair.priceChange?.h1),
+    h6: toNumber(mainPair.priceChange?.h6),
+    h24: toNumber(mainPair.priceChange?.h24)
+  };
+  const extremeWindow = Object.entries(PRICE_MOVE_LIMITS)
+    .find(([window, limit]) => priceChange[window] !== null && Math.abs(priceChange[window]) >= limit);
+  const crashed = priceChange.h24 !== null && priceChange.h24 <= PRICE_CRASH_LIMIT;
+  const extremePriceMove = !!extremeWindow || crashed;
+  if (extremePriceMove) {
+    const [window, change] = extremeWindow ? [extremeWindow[0], priceChange[extremeWindow[0]]] : ['h24', priceChange.h24];
+    signals.push({
+      id: 'extreme-price-move',
+      severity: 'medium',
+      message: `Price moved ${change > 0 ? '+' : ''}${change}% in ${window}`
+    });
+  }
+
+  const worst = signals.reduce((max, signal) => Math.max(max, SEVERITY_RANK[signal.severity]), 0);
+  const risk = worst === 3 ? 'high' : worst === 2 ? 'medium' : 'low';
+  const prefix = { high: 'DANGER: ', medium: 'WARNING: ', low: '' }[risk];
+  const message = signals.length > 0
+    ? prefix + signals.map(signal => signal.message).join('; ')
+    : 'No market manipulation signals';
+
+  console.log(`   📈 Market Analysis: ${message}`);
+
+  return {
+    available: true,
+    pairCount: sorted.length,
+    mainPair: {
+      dexId: mainPair.dexId,
+      pairAddress: mainPair.pairAddress,
+      liquidityUsd: mainLiquidity,
+      volume24h
+    },
+    totalLiquidityUsd: round(totalLiquidity),
+    mainPairShare: round(mainPairShare, 3),
+    volumeToLiquidity: round(volumeToLiquidity),
+    txns24h: { buys, sells },
+    sellBuyRatio: round(sellBuyRatio, 3),
+    pairAgeHours: round(pairAgeHours, 1),
+    priceChange,
+    washTrading,
+    honeypotLikeFlow,
+    newPair,
+    fragmentedLiquidity,
+    extremePriceMove,
+    signals,
+    risk,
+    message
+  };
+}
+
+module.exports = {
+  analyzeMarket
+};
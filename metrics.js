@@ -0,0 +1,161 @@
+const client = require('prom-client');
+const { CHAINS } = require('./chains');
+const { REQUEST_ID_HEADER, getRequestId } = require('./logger');
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const httpRequests = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests served, by route and status code',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register]
+});
+
+const httpDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency, by route and status code',
+  labelNames: ['method', 'route', 'status'],
+  buckets: LATENCY_BUCKETS,
+  registers: [register]
+});
+
+const upstreamRequests = new client.Counter({
+  name: 'scanner_upstream_requests_total',
+  help: 'Calls to upstream services (GoPlus, explorers, DexScreener, RPC), by outcome',
+  labelNames: ['upstream', 'outcome'],
+  registers: [register]
+});
+
+const upstreamDuration = new client.Histogram({
+  name: 'scanner_upstream_request_duration_seconds',
+  help: 'Latency of calls to upstream services',
+  labelNames: ['upstream', 'outcome'],
+  buckets: LATENCY_BUCKETS,
+  registers: [register]
+});
+
+const cacheLookups = new client.Counter({
+  name: 'scanner_cache_lookups_total',
+  help: 'Scan cache lookups, by source and result (hit, stale, miss, bypass)',
+  labelNames: ['source', 'result'],
+  registers: [register]
+});
+
+// Hits (fresh or stale) over all lookups that consulted the cache, since startup
+const cacheTally = {};
+new client.Gauge({
+  name: 'scanner_cache_hit_ratio',
+  help: 'Share of cache lookups served from cache since startup, by source',
+  labelNames: ['source'],
+  registers: [register],
+  collect() {
+    this.reset();
+    Object.entries(cacheTally).forEach(([source, { hits, lookups }]) => {
+      if (lookups > 0) this.set({ source }, hits / lookups);
+    });
+  }
+});
+
+const scans = new client.Counter({
+  name: 'scanner_scans_total',
+  help: 'Completed token scans, by network and risk level',
+  labelNames: ['network', 'level'],
+  registers: [register]
+});
+
+const hostOf = (url) => {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return null;
+  }
+};
+
+const EXPLORER_HOSTS = new Set(Object.values(CHAINS).map(chain => hostOf(chain.explorerApi)).filter(Boolean));
+
+function classifyUpstream(url) {
+  const host = hostOf(url);
+  if (!host) return 'other';
+  if (host.endsWith('gopluslabs.io')) return 'goplus';
+  if (host.endsWith('dexscreener.com')) return 'dexscreener';
+  if (EXPLORER_HOSTS.has(host)) return 'explorer';
+  return 'other';
+}
+
+function observeHttpRequest(method, route, status, seconds) {
+  const labels = { method, route, status: String(status) };
+  httpRequests.inc(labels);
+  httpDuration.observe(labels, seconds);
+}
+
+function observeUpstream(upstream, ok, seconds) {
+  const labels = { upstream, outcome: ok ? 'success' : 'error' };
+  upstreamRequests.inc(labels);
+  upstreamDuration.observe(labels, seconds);
+}
+
+function recordCacheLookup(source, result) {
+  cacheLookups.inc({ source, result });
+  if (result === 'bypass') return;
+  const tally = cacheTally[source] || (cacheTally[source] = { hits: 0, lookups: 0 });
+  tally.lookups++;
+  if (result === 'hit' || result === 'stale') tally.hits++;
+}
+
+function countScan(network, level) {
+  scans.inc({ network, level: level || 'unknown' });
+}
+
+// Routes are labelled by their pattern, not the concrete URL, to keep label cardinality bounded
+function httpMetrics(req, res, next) {
+  const startedAt = process.hrtime.bigint();
+  res.on('finish', () => {
+    const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    observeHttpRequest(req.method, route, res.statusCode, seconds);
+  });
+  next();
+}
+
+// Times every call made through an axios instance and forwards the server-generated request id.
+// A request can name its upstream explicitly with `upstream` in its config.
+function instrumentAxios(instance) {
+  instance.interceptors.request.use(config => {
+    const requestId = getRequestId();
+    if (requestId) {
+      config.headers = config.headers || {};
+      config.headers[REQUEST_ID_HEADER] = requestId;
+    }
+    config.metadata = { startedAt: process.hrtime.bigint() };
+    return config;
+  });
+
+  const finish = (config, ok) => {
+    if (!config || !config.metadata) return;
+    const seconds = Number(process.hrtime.bigint() - config.metadata.startedAt) / 1e9;
+    observeUpstream(config.upstream || classifyUpstream(config.url), ok, seconds);
+  };
+
+  instance.interceptors.response.use(
+    response => {
+      finish(response.config, true);
+      return response;
+    },
+    error => {
+      finish(error.config, false);
+      return Promise.reject(error);
+    }
+  );
+}
+
+module.exports = {
+  register,
+  observeUpstream,
+  recordCacheLookup,
+  countScan,
+  httpMetrics,
+  instrumentAxios
+};
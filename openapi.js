@@ -0,0 +1,975 @@
+const Ajv = require('ajv');
+const { NETWORKS } = require('./chains');
+const { ANONYMOUS_TIER, listTiers } = require('./api-keys');
+
+// OpenAPI 3.0 document for the public API, plus request/response validation built from it.
+// Component schemas are plain JSON Schema (with OpenAPI's `nullable`), so Ajv can compile them.
+
+const API_VERSION = '2.0.0';
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const nullable = (schema) => ({ ...schema, nullable: true });
+const json = (schema, description = 'OK') => ({ description, content: { 'application/json': { schema } } });
+const errorResponse = (description) => json(ref('Error'), description);
+
+const ADDRESS_PATTERN = '^(0x[0-9a-fA-F]{40}|[1-9A-HJ-NP-Za-km-z]{32,44})$';
+
+const parameters = {
+  network: {
+    name: 'network', in: 'path', required: true,
+    description: 'Network name from the chain registry',
+    schema: { type: 'string', enum: NETWORKS }
+  },
+  address: {
+    name: 'address', in: 'path', required: true,
+    description: 'Token contract (EVM) or mint (Solana) address',
+    schema: { type: 'string', pattern: ADDRESS_PATTERN }
+  },
+  fresh: {
+    name: 'fresh', in: 'query', required: false,
+    description: 'Set to 1 to bypass cached provider data',
+    schema: { type: 'string', enum: ['0', '1'] }
+  },
+  limit: {
+    name: 'limit', in: 'query', required: false,
+    schema: { type: 'integer', minimum: 1, maximum: 500 }
+  },
+  id: {
+    name: 'id', in: 'path', required: true,
+    schema: { type: 'string', minLength: 1 }
+  }
+};
+
+// Nested analyses grow new fields often; only their stable core is pinned down
+const analysis = (properties = {}, required = []) => ({
+  type: 'object',
+  required: ['available', ...required],
+  properties: { available: { type: 'boolean' }, message: { type: 'string' }, ...properties }
+});
+
+// data is left out when the section failed
+const reportSection = (data) => ({
+  type: 'object',
+  required: ['status', 'durationMs'],
+  properties: {
+    status: { type: 'string', enum: ['ok', 'unavailable', 'error'] },
+    durationMs: { type: 'integer' },
+    error: { type: 'string' },
+    data
+  }
+});
+
+const schemas = {
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: { type: 'string' },
+      message: { type: 'string' }
+    }
+  },
+  TokenInfo: {
+    type: 'object',
+    required: ['name', 'symbol', 'decimals', 'totalSupply'],
+    properties: {
+      name: { type: 'string' },
+      symbol: { type: 'string' },
+      decimals: nullable({ type: 'integer' }),
+      totalSupply: { type: 'string', description: 'Raw supply as a decimal string' },
+      ownerAddress: nullable({ type: 'string' }),
+      verified: { type: 'boolean' }
+    }
+  },
+  Holder: {
+    type: 'object',
+    required: ['address', 'percent'],
+    properties: {
+      address: { type: 'string' },
+      balance: nullable({ type: 'string' }),
+      percent: nullable({ type: 'number', description: 'Share of supply, 0-100' }),
+      tag: nullable({ type: 'string' }),
+      isContract: nullable({ type: 'boolean' }),
+      isLocked: nullable({ type: 'boolean' })
+    },
+    additionalProperties: false
+  },
+  Security: {
+    type: 'object',
+    description: 'null means the data sources could not determine the value',
+    required: ['isHoneypot', 'buyTax', 'sellTax', 'isMintable', 'isProxy', 'topHolders'],
+    properties: {
+      isHoneypot: nullable({ type: 'boolean' }),
+      canSell: nullable({ type: 'boolean' }),
+      tradingCooldown: nullable({ type: 'boolean' }),
+      buyTax: nullable({ type: 'number', description: 'Percent, e.g. 5 for 5%' }),
+      sellTax: nullable({ type: 'number', description: 'Percent, e.g. 5 for 5%' }),
+      canModifyTax: nullable({ type: 'boolean' }),
+      ownerAddress: nullable({ type: 'string' }),
+      isOwnershipRenounced: nullable({ type: 'boolean' }),
+      canTakeBackOwnership: nullable({ type: 'boolean' }),
+      isMintable: nullable({ type: 'boolean' }),
+      canBurn: nullable({ type: 'boolean' }),
+      totalSupply: { type: 'string' },
+      hasBlacklist: nullable({ type: 'boolean' }),
+      canBlacklist: nullable({ type: 'boolean' }),
+      hasWhitelist: nullable({ type: 'boolean' }),
+      isProxy: nullable({ type: 'boolean' }),
+      isUpgradeable: nullable({ type: 'boolean' }),
+      liquidityTotal: nullable({ type: 'number' }),
+      lpHolderCount: nullable({ type: 'integer' }),
+      holderCount: nullable({ type: 'integer' }),
+      topHolders: { type: 'array', items: ref('Holder') }
+    },
+    additionalProperties: false
+  },
+  HoneypotSimulation: {
+    type: 'object',
+    required: ['simulated'],
+    properties: {
+      simulated: { type: 'boolean' },
+      dex: { type: 'string' },
+      pair: nullable({ type: 'string' }),
+      buySucceeded: { type: 'boolean' },
+      sellSucceeded: { type: 'boolean' },
+      isHoneypot: nullable({ type: 'boolean' }),
+      measured: {
+        type: 'object',
+        properties: {
+          buyTax: nullable({ type: 'number' }),
+          sellTax: nullable({ type: 'number' }),
+          transferTax: nullable({ type: 'number' })
+        }
+      },
+      mismatches: { type: 'array', items: { type: 'object' } },
+      failureReason: nullable({ type: 'string' })
+    }
+  },
+  RiskDetail: {
+    type: 'object',
+    required: ['id', 'severity', 'penalty', 'message'],
+    properties: {
+      id: { type: 'string' },
+      severity: { type: 'string', enum: ['critical', 'high', 'medium', 'low', 'info'] },
+      penalty: { type: 'number' },
+      message: { type: 'string' },
+      evidence: { type: 'object' }
+    }
+  },
+  RiskAssessment: {
+    type: 'object',
+    required: ['score', 'level', 'risks', 'riskDetails'],
+    properties: {
+      score: { type: 'number', minimum: 0, maximum: 100 },
+      level: { type: 'string' },
+      risks: { type: 'array', items: { type: 'string' } },
+      riskDetails: { type: 'array', items: ref('RiskDetail') }
+    }
+  },
+  ProviderStatus: {
+    type: 'object',
+    required: ['name', 'status'],
+    properties: {
+      name: { type: 'string' },
+      status: { type: 'string', enum: ['ok', 'no_data', 'error'] },
+      cached: { type: 'boolean' },
+      durationMs: { type: 'integer' },
+      error: { type: 'string' }
+    }
+  },
+  Detection: {
+    type: 'object',
+    required: ['network', 'alsoFoundOn', 'deployments'],
+    properties: {
+      network: { type: 'string', enum: NETWORKS },
+      alsoFoundOn: { type: 'array', items: { type: 'string', enum: NETWORKS } },
+      deployments: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['network', 'hasCode', 'pairCount', 'liquidityUsd'],
+          properties: {
+            network: { type: 'string', enum: NETWORKS },
+            hasCode: nullable({ type: 'boolean' }),
+            pairCount: { type: 'integer' },
+            liquidityUsd: { type: 'number' }
+          }
+        }
+      }
+    }
+  },
+  ScanResult: {
+    type: 'object',
+    required: ['apiVersion', 'address', 'network', 'chainId', 'tokenInfo', 'security', 'riskAssessment', 'timestamp', 'explorerUrl'],
+    properties: {
+      apiVersion: { type: 'integer', enum: [2] },
+      address: { type: 'string' },
+      network: { type: 'string', enum: NETWORKS },
+      chainId: nullable({ type: 'integer', description: 'EVM chain id; null for Solana' }),
+      tokenInfo: ref('TokenInfo'),
+      security: ref('Security'),
+      honeypotSimulation: ref('HoneypotSimulation'),
+      holderConcentration: ref('HolderConcentration'),
+      holderClusters: ref('HolderClusters'),
+      liquidityAnalysis: ref('LiquidityAnalysis'),
+      marketRisk: ref('MarketRisk'),
+      deployer: analysis({
+        address: nullable({ type: 'string' }),
+        reputation: { type: 'string' },
+        fundedByMixer: nullable({ type: 'boolean', description: 'null on chains with no mixer data' }),
+        mixerDataAvailable: { type: 'boolean' }
+      }),
+      sourceAnalysis: analysis(),
+      bytecodeAnalysis: analysis(),
+      proxy: {
+        type: 'object',
+        required: ['isProxy'],
+        properties: { resolved: { type: 'boolean' }, isProxy: nullable({ type: 'boolean' }), message: { type: 'string' } }
+      },
+      solanaAnalysis: nullable({ type: 'object' }),
+      verification: { type: 'object', required: ['verified'], properties: { verified: { type: 'boolean' } } },
+      riskAssessment: ref('RiskAssessment'),
+      dataSources: {
+        type: 'object',
+        properties: {
+          providers: { type: 'array', items: ref('ProviderStatus') },
+          fields: { type: 'object', additionalProperties: { type: 'string' } }
+        }
+      },
+      detection: ref('Detection'),
+      cached: { type: 'boolean' },
+      age: { type: 'integer' },
+      timestamp: { type: 'string', format: 'date-time' },
+      explorerUrl: { type: 'string' }
+    }
+  },
+  BatchRequest: {
+    type: 'object',
+    required: ['tokens'],
+    properties: {
+      tokens: {
+        type: 'array',
+        minItems: 1,
+        maxItems: 50,
+        items: {
+          type: 'object',
+          required: ['network', 'address'],
+          properties: {
+            network: { type: 'string' },
+            address: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+  BatchResult: {
+    type: 'object',
+    required: ['requested', 'scanned', 'succeeded', 'failed', 'results'],
+    properties: {
+      requested: { type: 'integer' },
+      scanned: { type: 'integer' },
+      succeeded: { type: 'integer' },
+      failed: { type: 'integer' },
+      durationMs: { type: 'integer' },
+      results: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['status'],
+          properties: {
+            network: nullable({ type: 'string' }),
+            address: nullable({ type: 'string' }),
+            status: { type: 'string', enum: ['ok', 'error'] },
+            code: { type: 'integer' },
+            error: { type: 'string' },
+            data: ref('ScanResult')
+          }
+        }
+      }
+    }
+  },
+  HolderConcentration: analysis({
+    top10Percentage: { type: 'number', description: 'Raw share of the top 10 holders, 0-100' },
+    effectiveTop10Percentage: { type: 'number', description: 'Top 10 share of circulating supply (excluding LP, burned, CEX and locked), 0-100. This is the scored figure.' },
+    excludedPercentage: { type: 'number' },
+    circulatingPercentage: { type: 'number' },
+    gini: nullable({ type: 'number', description: 'Gini index of circulating holdings, 0-1' }),
+    hhi: { type: 'integer', description: 'Herfindahl-Hirschman index of circulating holdings, 0-10000' },
+    isConcentrated: { type: 'boolean' },
+    labelsAvailable: { type: 'boolean', description: 'False on chains with no bundled exchange/locker labels; only GoPlus tags are used there' },
+    risk: { type: 'string' }
+  }, ['risk']),
+  HolderClusters: analysis({
+    bundledLaunch: { type: 'boolean', description: 'Several top holders bought in the launch block' },
+    launchBlock: nullable({ type: 'integer' }),
+    clusteredPercent: { type: 'number', description: 'Share of total supply held by linked wallets, 0-100' },
+    largestClusterPercent: { type: 'number' },
+    sameFunderChecked: { type: 'boolean', description: 'False on chains with no exchange/mixer data, where wallets are not linked by funder' },
+    clusters: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          size: { type: 'integer' },
+          combinedPercent: { type: 'number' },
+          reasons: { type: 'array', items: { type: 'string', enum: ['same-funder', 'created-together', 'launch-block'] } },
+          funders: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    },
+    risk: { type: 'string' }
+  }, ['risk']),
+  LiquidityAnalysis: analysis({
+    rugRisk: { type: 'string' },
+    rugRiskCause: nullable({
+      type: 'string',
+      enum: ['withdrawable', 'unsecured', 'lock-expired', 'held-by-owner', 'unlock-soon', 'partially-secured', null]
+    })
+  }, ['rugRisk']),
+  FullReport: {
+    type: 'object',
+    required: ['apiVersion', 'address', 'network', 'status', 'explorerUrl', 'generatedAt', 'durationMs', 'sections'],
+    properties: {
+      apiVersion: { type: 'integer', enum: [2] },
+      address: { type: 'string' },
+      network: { type: 'string', enum: NETWORKS },
+      status: {
+        type: 'string',
+        enum: ['complete', 'partial', 'failed'],
+        description: 'partial when at least one section failed; failed (HTTP 502) when all did'
+      },
+      riskAssessment: ref('RiskAssessment'),
+      tokenInfo: ref('TokenInfo'),
+      explorerUrl: nullable({ type: 'string' }),
+      generatedAt: { type: 'string', format: 'date-time' },
+      durationMs: { type: 'integer' },
+      sections: {
+        type: 'object',
+        required: ['security', 'market', 'holders', 'liquidity'],
+        properties: {
+          security: reportSection(ref('ScanResult')),
+          market: reportSection({ anyOf: [ref('MarketData'), analysis()] }),
+          holders: reportSection(analysis({
+            concentration: ref('HolderConcentration'),
+            clusters: ref('HolderClusters')
+          })),
+          liquidity: reportSection(ref('LiquidityAnalysis'))
+        }
+      }
+    }
+  },
+  MarketRisk: analysis({
+    pairCount: { type: 'integer' },
+    totalLiquidityUsd: { type: 'number' },
+    volumeToLiquidity: nullable({ type: 'number', description: '24h volume over liquidity of the main pair' }),
+    txns24h: { type: 'object', properties: { buys: { type: 'integer' }, sells: { type: 'integer' } } },
+    sellBuyRatio: nullable({ type: 'number' }),
+    pairAgeHours: nullable({ type: 'number' }),
+    washTrading: { type: 'boolean' },
+    honeypotLikeFlow: { type: 'boolean' },
+    newPair: { type: 'boolean' },
+    fragmentedLiquidity: { type: 'boolean' },
+    extremePriceMove: { type: 'boolean' },
+    signals: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'severity', 'message'],
+        properties: {
+          id: { type: 'string', enum: ['wash-trading', 'one-sided-flow', 'new-pair', 'fragmented-liquidity', 'extreme-price-move'] },
+          severity: { type: 'string', enum: ['high', 'medium', 'low'] },
+          message: { type: 'string' }
+        }
+      }
+    },
+    risk: { type: 'string', enum: ['high', 'medium', 'low', 'unknown'] }
+  }, ['risk']),
+  MarketData: {
+    type: 'object',
+    required: ['pairs', 'mainPair'],
+    properties: {
+      marketRisk: ref('MarketRisk'),
+      pairs: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            chainId: { type: 'string' },
+            dexId: { type: 'string' },
+            pairAddress: { type: 'string' },
+            priceUsd: nullable({ type: 'number' }),
+            url: { type: 'string' }
+          }
+        }
+      },
+      mainPair: {
+        type: 'object',
+        properties: {
+          symbol: { type: 'string' },
+          priceUsd: nullable({ type: 'number' }),
+          liquidity: nullable({ type: 'number' }),
+          volume24h: nullable({ type: 'number' }),
+          priceChange24h: nullable({ type: 'number' }),
+          pairUrl: { type: 'string' }
+        }
+      },
+      cached: { type: 'boolean' },
+      age: { type: 'integer' }
+    }
+  },
+  RiskRules: {
+    type: 'object',
+    required: ['levels', 'rules'],
+    properties: {
+      levels: { type: 'array', items: { type: 'object' } },
+      rules: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['id', 'severity', 'weight', 'message'],
+          properties: {
+            id: { type: 'string' },
+            type: { type: 'string' },
+            severity: { type: 'string' },
+            weight: { type: 'number' },
+            message: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+  ScanTimeline: {
+    type: 'object',
+    required: ['network', 'address', 'scanCount', 'scans', 'changes'],
+    properties: {
+      network: { type: 'string' },
+      address: { type: 'string' },
+      scanCount: { type: 'integer' },
+      scans: { type: 'array', items: { type: 'object' } },
+      changes: { type: 'array', items: { type: 'object' } }
+    }
+  },
+  ScanDiff: {
+    type: 'object',
+    required: ['network', 'address', 'from', 'to', 'changes'],
+    properties: {
+      network: { type: 'string' },
+      address: { type: 'string' },
+      from: { type: 'object' },
+      to: { type: 'object' },
+      changes: { type: 'array', items: { type: 'object' } }
+    }
+  },
+  WebhookRequest: {
+    type: 'object',
+    required: ['url'],
+    properties: {
+      url: { type: 'string', format: 'uri' },
+      networks: { type: 'array', items: { type: 'string', enum: NETWORKS } },
+      addresses: { type: 'array', items: { type: 'string' } },
+      minSeverity: { type: 'string', enum: ['info', 'low', 'medium', 'high', 'critical'] }
+    }
+  },
+  Webhook: {
+    type: 'object',
+    required: ['id', 'url', 'filters', 'createdAt'],
+    properties: {
+      id: { type: 'string' },
+      url: { type: 'string' },
+      secret: { type: 'string', description: 'Only returned when the webhook is created' },
+      filters: { type: 'object' },
+      createdAt: { type: 'string', format: 'date-time' },
+      deliveries: { type: 'array', items: { type: 'object' } }
+    }
+  },
+  ApiKeyRequest: {
+    type: 'object',
+    required: ['tier'],
+    properties: {
+      name: { type: 'string', maxLength: 100 },
+      tier: { type: 'string' }
+    }
+  },
+  ApiKey: {
+    type: 'object',
+    required: ['id', 'tier', 'keyPrefix', 'createdAt', 'active'],
+    properties: {
+      id: { type: 'string' },
+      name: nullable({ type: 'string' }),
+      tier: { type: 'string' },
+      keyPrefix: { type: 'string' },
+      key: { type: 'string', description: 'Only returned when the key is issued' },
+      createdAt: { type: 'string', format: 'date-time' },
+      lastUsedAt: nullable({ type: 'string', format: 'date-time' }),
+      revokedAt: nullable({ type: 'string', format: 'date-time' }),
+      active: { type: 'boolean' },
+      requestsToday: { type: 'integer' },
+      usage: { type: 'array', items: { type: 'object' } },
+      limits: { type: 'object' }
+    }
+  },
+  Health: {
+    type: 'object',
+    required: ['status', 'timestamp', 'version', 'networks'],
+    properties: {
+      status: { type: 'string' },
+      timestamp: { type: 'string', format: 'date-time' },
+      version: { type: 'string' },
+      networks: { type: 'array', items: { type: 'string' } },
+      rpc: { type: 'object' },
+      cache: { type: 'object' }
+    }
+  }
+};
+
+const rateLimited = {
+  '401': errorResponse('Unknown or revoked API key'),
+  '429': errorResponse('Per-minute rate limit or daily quota exceeded')
+};
+
+// Webhook subscriptions belong to the API key that created them
+const keyRequired = {
+  ...rateLimited,
+  '401': errorResponse('Missing, unknown or revoked API key'),
+  '503': errorResponse('API key storage is unavailable')
+};
+
+const legacy = (operation) => ({
+  ...operation,
+  tags: ['v1'],
+  description: 'v1 returns display-formatted values (taxes as "5.00%", counts as strings) and is kept for the Telegram bot. Prefer v2.'
+});
+
+function buildSpec() {
+  const tiers = listTiers()
+    .map(tier => `${tier.name}: ${tier.requestsPerMinute}/min, ${tier.dailyQuota === null ? 'unlimited' : `${tier.dailyQuota}/day`}`)
+    .join('; ');
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Token Safety Scanner API',
+      version: API_VERSION,
+      description: 'Honeypot, tax, ownership, liquidity and holder risk analysis for tokens. ' +
+        `Requests without an X-API-Key use the ${ANONYMOUS_TIER} tier. Tiers: ${tiers}. ` +
+        'Every rate-limited response carries X-RateLimit-Limit, X-RateLimit-Remaining and X-RateLimit-Reset headers.'
+    },
+    servers: [{ url: '/' }],
+    tags: [
+      { name: 'v2', description: 'Typed scan results' },
+      { name: 'history' },
+      { name: 'webhooks' },
+      { name: 'admin' },
+      { name: 'meta' },
+      { name: 'v1' }
+    ],
+    components: {
+      schemas,
+      securitySchemes: {
+        ApiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        AdminToken: { type: 'http', scheme: 'bearer' }
+      }
+    },
+    security: [{}, { ApiKey: [] }],
+    paths: {
+      '/api/v2/check-token/{network}/{address}': {
+        get: {
+          operationId: 'checkTokenV2',
+          tags: ['v2'],
+          summary: 'Scan a token on a network',
+          parameters: [parameters.network, parameters.address, parameters.fresh],
+          responses: {
+            '200': json(ref('ScanResult')),
+            '400': errorResponse('Unsupported network or malformed address'),
+            '404': errorResponse('No data source returned data for the token'),
+            ...rateLimited
+          }
+        }
+      },
+      '/api/v2/check-token/auto/{address}': {
+        get: {
+          operationId: 'checkTokenAutoV2',
+          tags: ['v2'],
+          summary: 'Detect the token\'s networks and scan the most liquid deployment',
+          parameters: [parameters.address, parameters.fresh],
+          responses: {
+            '200': json(ref('ScanResult')),
+            '400': errorResponse('Malformed address'),
+            '404': errorResponse('Token not found on any supported network'),
+            ...rateLimited
+          }
+        }
+      },
+      '/api/v2/check-tokens': {
+        post: {
+          operationId: 'checkTokensV2',
+          tags: ['v2'],
+          summary: 'Scan up to 50 tokens; each token counts against the daily quota',
+          parameters: [parameters.fresh],
+          requestBody: { required: true, content: { 'application/json': { schema: ref('BatchRequest') } } },
+          responses: {
+            '200': json(ref('BatchResult')),
+            '400': errorResponse('Malformed request body'),
+            ...rateLimited
+          }
+        }
+      },
+      '/api/v2/token-info/{address}': {
+        get: {
+          operationId: 'tokenInfoV2',
+          tags: ['v2'],
+          summary: 'DexScreener market data across chains',
+          parameters: [parameters.address, parameters.fresh],
+          responses: {
+            '200': json(ref('MarketData')),
+            '400': errorResponse('Malformed address'),
+            '404': errorResponse('No trading pairs found'),
+            ...rateLimited
+          }
+        }
+      },
+      '/api/report/{network}/{address}': {
+        get: {
+          operationId: 'fullReport',
+          tags: ['v2'],
+          summary: 'Security, market, holder and liquidity analyses in one document',
+          description: 'Sections run concurrently and fail independently; each reports its own status and timing. Values are typed as in v2.',
+          parameters: [parameters.network, parameters.address, parameters.fresh],
+          responses: {
+            '200': json(ref('FullReport')),
+            '400': errorResponse('Unsupported network or malformed address'),
+            '502': json(ref('FullReport'), 'Every section failed'),
+            ...rateLimited
+          }
+        }
+      },
+      '/api/report/{network}/{address}.pdf': {
+        get: {
+          operationId: 'fullReportPdf',
+          tags: ['v2'],
+          summary: 'The full report rendered as a branded PDF',
+          parameters: [
+            parameters.network,
+            parameters.address,
+            parameters.fresh,
+            { name: 'download', in: 'query', required: false, description: '1 to send the PDF as an attachment', schema: { type: 'string', enum: ['0', '1'] } }
+          ],
+          responses: {
+            '200': { description: 'PDF document', content: { 'application/pdf': { schema: { type: 'string', format: 'binary' } } } },
+            '400': errorResponse('Unsupported network or malformed address'),
+            '502': errorResponse('Every section failed'),
+            ...rateLimited
+          }
+        }
+      },
+      '/api/report/{network}/{address}.html': {
+        get: {
+          operationId: 'fullReportHtml',
+          tags: ['v2'],
+          summary: 'The full report rendered as a standalone HTML page',
+          parameters: [parameters.network, parameters.address, parameters.fresh],
+          responses: {
+            '200': { description: 'HTML page', content: { 'text/html': { schema: { type: 'string' } } } },
+            '400': errorResponse('Unsupported network or malformed address'),
+            '502': errorResponse('Every section failed'),
+            ...rateLimited
+          }
+        }
+      },
+      '/api/risk-rules': {
+        get: {
+          operationId: 'listRiskRules',
+          tags: ['meta'],
+          summary: 'Rule ids, severities and weights in effect for the caller',
+          responses: {
+            '200': json(ref('RiskRules')),
+            '401': errorResponse('Invalid or revoked API key')
+          }
+        }
+      },
+      '/api/history/{network}/{address}': {
+        get: {
+          operationId: 'getScanHistory',
+          tags: ['history'],
+          parameters: [parameters.network, parameters.address, parameters.limit],
+          responses: {
+            '200': json(ref('ScanTimeline')),
+            '400': errorResponse('Invalid token'),
+            '503': errorResponse('Scan history unavailable'),
+            ...rateLimited
+          }
+        }
+      },
+      '/api/history/{network}/{address}/diff': {
+        get: {
+          operationId: 'diffScans',
+          tags: ['history'],
+          parameters: [
+            parameters.network,
+            parameters.address,
+            { name: 'from', in: 'query', schema: { type: 'integer' } },
+            { name: 'to', in: 'query', schema: { type: 'integer' } }
+          ],
+          responses: {
+            '200': json(ref('ScanDiff')),
+            '404': errorResponse('Scans not found for this token'),
+            '503': errorResponse('Scan history unavailable'),
+            ...rateLimited
+          }
+        }
+      },
+      '/api/webhooks': {
+        post: {
+          operationId: 'createWebhook',
+          tags: ['webhooks'],
+          security: [{ ApiKey: [] }],
+          requestBody: { required: true, content: { 'application/json': { schema: ref('WebhookRequest') } } },
+          responses: { '201': json(ref('Webhook'), 'Created'), '400': errorResponse('Invalid subscription'), ...keyRequired }
+        },
+        get: {
+          operationId: 'listWebhooks',
+          tags: ['webhooks'],
+          security: [{ ApiKey: [] }],
+          responses: {
+            '200': json({ type: 'object', properties: { webhooks: { type: 'array', items: ref('Webhook') } } }),
+            ...keyRequired
+          }
+        }
+      },
+      '/api/webhooks/{id}': {
+        get: {
+          operationId: 'getWebhook',
+          tags: ['webhooks'],
+          security: [{ ApiKey: [] }],
+          parameters: [parameters.id, parameters.limit],
+          responses: { '200': json(ref('Webhook')), '404': errorResponse('Webhook not found'), ...keyRequired }
+        },
+        delete: {
+          operationId: 'deleteWebhook',
+          tags: ['webhooks'],
+          security: [{ ApiKey: [] }],
+          parameters: [parameters.id],
+          responses: { '204': { description: 'Deleted' }, '404': errorResponse('Webhook not found'), ...keyRequired }
+        }
+      },
+      '/api/webhooks/{id}/test': {
+        post: {
+          operationId: 'testWebhook',
+          tags: ['webhooks'],
+          security: [{ ApiKey: [] }],
+          parameters: [parameters.id],
+          responses: { '200': json({ type: 'object' }), '404': errorResponse('Webhook not found'), ...keyRequired }
+        }
+      },
+      '/api/admin/keys': {
+        post: {
+          operationId: 'createApiKey',
+          tags: ['admin'],
+          security: [{ AdminToken: [] }],
+          requestBody: { required: true, content: { 'application/json': { schema: ref('ApiKeyRequest') } } },
+          responses: { '201': json(ref('ApiKey'), 'Created'), '400': errorResponse('Invalid tier or name') }
+        },
+        get: {
+          operationId: 'listApiKeys',
+          tags: ['admin'],
+          security: [{ AdminToken: [] }],
+          responses: {
+            '200': json({
+              type: 'object',
+              properties: { keys: { type: 'array', items: ref('ApiKey') }, tiers: { type: 'array', items: { type: 'object' } } }
+            })
+          }
+        }
+      },
+      '/api/admin/keys/{id}': {
+        get: {
+          operationId: 'getApiKey',
+          tags: ['admin'],
+          security: [{ AdminToken: [] }],
+          parameters: [parameters.id],
+          responses: { '200': json(ref('ApiKey')), '404': errorResponse('API key not found') }
+        },
+        delete: {
+          operationId: 'revokeApiKey',
+          tags: ['admin'],
+          security: [{ AdminToken: [] }],
+          parameters: [parameters.id],
+          responses: { '204': { description: 'Revoked' }, '404': errorResponse('API key not found or already revoked') }
+        }
+      },
+      '/health': {
+        get: {
+          operationId: 'health',
+          tags: ['meta'],
+          responses: { '200': json(ref('Health')) }
+        }
+      },
+      '/metrics': {
+        get: {
+          operationId: 'metrics',
+          tags: ['meta'],
+          description: 'Prometheus metrics. Requires METRICS_TOKEN as a bearer token when the server sets one.',
+          responses: {
+            '200': { description: 'Prometheus text exposition format', content: { 'text/plain': { schema: { type: 'string' } } } },
+            '401': errorResponse('Missing or wrong metrics token')
+          }
+        }
+      },
+      '/api/check-token/{network}/{address}': {
+        get: legacy({
+          operationId: 'checkTokenV1',
+          parameters: [parameters.network, parameters.address, parameters.fresh],
+          responses: { '200': json({ type: 'object' }), ...rateLimited }
+        })
+      },
+      '/api/check-token/auto/{address}': {
+        get: legacy({
+          operationId: 'checkTokenAutoV1',
+          parameters: [parameters.address, parameters.fresh],
+          responses: { '200': json({ type: 'object' }), ...rateLimited }
+        })
+      },
+      '/api/check-tokens': {
+        post: legacy({
+          operationId: 'checkTokensV1',
+          requestBody: { required: true, content: { 'application/json': { schema: ref('BatchRequest') } } },
+          responses: { '200': json({ type: 'object' }), ...rateLimited }
+        })
+      },
+      '/api/token-info/{address}': {
+        get: legacy({
+          operationId: 'tokenInfoV1',
+          parameters: [parameters.address, parameters.fresh],
+          responses: { '200': json({ type: 'object' }), ...rateLimited }
+        })
+      }
+    }
+  };
+}
+
+const openApiSpec = buildSpec();
+
+// Formats are documentation only; types and patterns carry the validation
+const ajv = new Ajv({ allErrors: true, strict: false, formats: { 'date-time': true, uri: true } });
+ajv.addSchema({ $id: 'openapi.json', components: { schemas } });
+
+// Operation schemas refer to components relative to the document; point them at the registered copy
+const absoluteRefs = (schema) => JSON.parse(JSON.stringify(schema), (key, value) =>
+  key === '$ref' && value.startsWith('#/') ? `openapi.json${value}` : value);
+
+const schemaFor = (schema) => ajv.compile(absoluteRefs(schema));
+
+const operations = {};
+Object.values(openApiSpec.paths).forEach(pathItem => {
+  Object.values(pathItem).forEach(operation => {
+    operations[operation.operationId] = operation;
+  });
+});
+
+function findOperation(operationId) {
+  const operation = operations[operationId];
+  if (!operation) {
+    throw new Error(`Unknown OpenAPI operation: ${operationId}`);
+  }
+  return operation;
+}
+
+// Query and path values arrive as strings; integer parameters are coerced before checking
+function coerceParameter(value, schema) {
+  if (schema.type === 'integer' && /^-?\d+$/.test(value)) return parseInt(value);
+  return value;
+}
+
+const formatErrors = (location, errors) => errors.map(error => ({
+  in: location,
+  path: error.instancePath || '/',
+  message: error.message
+}));
+
+function validateRequest(operationId) {
+  const operation = findOperation(operationId);
+  const params = (operation.parameters || []).map(param => ({ ...param, validate: schemaFor(param.schema) }));
+  const body = operation.requestBody
+    ? schemaFor(operation.requestBody.content['application/json'].schema)
+    : null;
+
+  return (req, res, next) => {
+    const details = [];
+
+    params.forEach(param => {
+      const source = param.in === 'path' ? req.params : req.query;
+      const value = source[param.name];
+      if (value === undefined) {
+        if (param.required) details.push({ in: param.in, path: param.name, message: 'is required' });
+        return;
+      }
+      if (!param.validate(coerceParameter(value, param.schema))) {
+        details.push(...formatErrors(param.in, param.validate.errors).map(error => ({ ...error, path: param.name })));
+      }
+    });
+
+    if (body && !body(req.body || {})) {
+      details.push(...formatErrors('body', body.errors));
+    }
+
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Invalid request', details });
+    }
+    next();
+  };
+}
+
+// OPENAPI_RESPONSE_VALIDATION: "warn" (default) logs mismatches, "strict" turns them into 500s, "off" skips
+function validateResponse(operationId) {
+  const mode = process.env.OPENAPI_RESPONSE_VALIDATION || 'warn';
+  const operation = findOperation(operationId);
+  const validators = {};
+  Object.entries(operation.responses).forEach(([status, response]) => {
+    if (response.content) {
+      validators[status] = schemaFor(response.content['application/json'].schema);
+    }
+  });
+
+  return (req, res, next) => {
+    if (mode === 'off') return next();
+
+    const send = res.json.bind(res);
+    res.json = (payload) => {
+      const validate = validators[String(res.statusCode)];
+      if (validate && !validate(JSON.parse(JSON.stringify(payload)))) {
+        const details = formatErrors('response', validate.errors);
+        console.log(`   ⚠️  ${operationId} response does not match the OpenAPI schema: ` +
+          details.map(d => `${d.path} ${d.message}`).join('; '));
+        if (mode === 'strict') {
+          res.status(500);
+          return send({ error: 'Response failed schema validation', details });
+        }
+      }
+      return send(payload);
+    };
+    next();
+  };
+}
+
+const DOCS_HTML = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Token Safety Scanner API</title>
+  <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@5/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="https://unpkg.com/swagger-ui-dist@5/swagger-ui-bundle.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: '/openapi.json', dom_id: '#swagger-ui' });
+  </script>
+</body>
+</html>
+`;
+
+module.exports = {
+  openApiSpec,
+  validateRequest,
+  validateResponse,
+  DOCS_HTML
+};
@@ -0,0 +1,204 @@
+const { ethers } = require('ethers');
+const { explorerRequest } = require('./explorer');
+
+// EIP-1967 slots are keccak256(label) - 1 so they cannot collide with Solidity layout
+const eip1967Slot = (label) => ethers.toBeHex(BigInt(ethers.id(label)) - 1n, 32);
+
+const SLOTS = {
+  implementation: eip1967Slot('eip1967.proxy.implementation'),
+  admin: eip1967Slot('eip1967.proxy.admin'),
+  beacon: eip1967Slot('eip1967.proxy.beacon'),
+  proxiable: ethers.id('PROXIABLE'),
+  zeppelinos: ethers.id('org.zeppelinos.proxy.implementation')
+};
+
+const EVENTS = {
+  upgraded: ethers.id('Upgraded(address)'),
+  adminChanged: ethers.id('AdminChanged(address,address)'),
+  beaconUpgraded: ethers.id('BeaconUpgraded(address)')
+};
+
+const PROBE_ABI = [
+  'function implementation() view returns (address)',
+  'function owner() view returns (address)',
+  'function getThreshold() view returns (uint256)',
+  'function getOwners() view returns (address[])',
+  'function getMinDelay() view returns (uint256)',
+  'function delay() view returns (uint256)'
+];
+
+const RECENT_UPGRADE_DAYS = 7;
+
+async function tryCall(fn) {
+  try {
+    return await fn();
+  } catch {
+    return null;
+  }
+}
+
+async function readAddressSlot(provider, address, slot) {
+  const value = await provider.getStorage(address, slot);
+  if (!value || BigInt(value) === 0n) return null;
+  return ethers.getAddress(ethers.dataSlice(value, 12));
+}
+
+// EOA, Safe-style multisig, timelock, or a contract (e.g. ProxyAdmin) whose owner is followed once
+async function classifyController(provider, address, depth = 0) {
+  const code = await provider.getCode(address);
+  if (!code || code === '0x') {
+    return { address, type: 'eoa' };
+  }
+
+  const probe = new ethers.Contract(address, PROBE_ABI, provider);
+
+  const threshold = await tryCall(() => probe.getThreshold());
+  if (threshold !== null) {
+    const owners = await tryCall(() => probe.getOwners());
+    return {
+      address,
+      type: 'multisig',
+      threshold: Number(threshold),
+      ownerCount: owners ? owners.length : null
+    };
+  }
+
+  const minDelay = await tryCall(() => probe.getMinDelay()) ?? await tryCall(() => probe.delay());
+  if (minDelay !== null) {
+    return { address, type: 'timelock', minDelaySeconds: Number(minDelay) };
+  }
+
+  if (depth === 0) {
+    const owner = await tryCall(() => probe.owner());
+    if (owner && owner !== ethers.ZeroAddress) {
+      return { address, type: 'contract', owner: await classifyController(provider, owner, depth + 1) };
+    }
+  }
+
+  return { address, type: 'contract' };
+}
+
+async function resolveProxy(provider, address) {
+  const [implementation, admin, beacon, proxiable, zeppelinos] = await Promise.all([
+    readAddressSlot(provider, address, SLOTS.implementation),
+    readAddressSlot(provider, address, SLOTS.admin),
+    readAddressSlot(provider, address, SLOTS.beacon),
+    readAddressSlot(provider, address, SLOTS.proxiable),
+    readAddressSlot(provider, address, SLOTS.zeppelinos)
+  ]);
+
+  let standard = null;
+  let resolved = null;
+  if (beacon) {
+    standard = 'eip1967-beacon';
+    resolved = await tryCall(() => new ethers.Contract(beacon, PROBE_ABI, provider).implementation());
+  } else if (implementation) {
+    standard = admin ? 'eip1967-transparent' : 'eip1967';
+    resolved = implementation;
+  } else if (proxiable) {
+    standard = 'eip1822';
+    resolved = proxiable;
+  } else if (zeppelinos) {
+    standard = 'zeppelinos';
+    resolved = zeppelinos;
+  }
+
+  if (!standard) {
+    return { isProxy: false };
+  }
+
+  // Whoever can upgrade: the admin slot, the beacon's owner, or for UUPS the proxy's own owner()
+  let controller = null;
+  let controllerSource = null;
+  if (admin) {
+    controller = await classifyController(provider, admin);
+    controllerSource = 'eip1967.proxy.admin';
+  } else if (beacon) {
+    controller = await classifyController(provider, beacon);
+    controllerSource = 'beacon';
+  } else {
+    const owner = await tryCall(() => new ethers.Contract(address, PROBE_ABI, provider).owner());
+    if (owner && owner !== ethers.ZeroAddress) {
+      controller = await classifyController(provider, owner, 1);
+      controllerSource = 'owner()';
+    }
+  }
+
+  return {
+    isProxy: true,
+    standard,
+    implementation: resolved,
+    beacon,
+    admin: controller,
+    adminSource: controllerSource
+  };
+}
+
+function toEvent(log, type) {
+  const event = {
+    type,
+    blockNumber: parseInt(log.blockNumber, 16),
+    timestamp: new Date(parseInt(log.timeStamp, 16) * 1000).toISOString(),
+    txHash: log.transactionHash
+  };
+
+  if (type === 'adminChanged') {
+    const [previousAdmin, newAdmin] = ethers.AbiCoder.defaultAbiCoder().decode(['address', 'address'], log.data);
+    return { ...event, previousAdmin, newAdmin };
+  }
+  const target = ethers.getAddress(ethers.dataSlice(log.topics[1], 12));
+  return { ...event, [type === 'beaconUpgraded' ? 'beacon' : 'implementation']: target };
+}
+
+// Beacon proxies emit Upgraded from the beacon, not from the proxy itself
+async function fetchUpgradeHistory(explorer, address, beacon) {
+  const getLogs = (target, topic0) => explorerRequest(explorer, {
+    module: 'logs',
+    action: 'getLogs',
+    address: target,
+    fromBlock: 0,
+    toBlock: 'latest',
+    topic0
+  });
+
+  const [upgraded, adminChanged, beaconUpgraded] = await Promise.all([
+    getLogs(beacon || address, EVENTS.upgraded),
+    getLogs(address, EVENTS.adminChanged),
+    getLogs(address, EVENTS.beaconUpgraded)
+  ]);
+
+  return [
+    ...upgraded.map(log => toEvent(log, 'upgraded')),
+    ...adminChanged.map(log => toEvent(log, 'adminChanged')),
+    ...beaconUpgraded.map(log => toEvent(log, 'beaconUpgraded'))
+  ].sort((a, b) => b.blockNumber - a.blockNumber);
+}
+
+// Effective type of whoever can upgrade, looking through a ProxyAdmin to its owner
+function controllerType(admin) {
+  if (!admin) return 'unknown';
+  if (admin.type === 'contract' && admin.owner) return admin.owner.type;
+  return admin.type;
+}
+
+function summarizeUpgrades(upgrades) {
+  if (!upgrades) {
+    return { upgradeCount: null, lastUpgradeAt: null, recentlyUpgraded: false };
+  }
+
+  const implementationChanges = upgrades.filter(e => e.type !== 'adminChanged');
+  // The first Upgraded event is the initial deployment, not an upgrade
+  const upgradeCount = Math.max(implementationChanges.length - 1, 0);
+  const lastUpgradeAt = upgradeCount > 0 ? implementationChanges[0].timestamp : null;
+  const recentlyUpgraded = !!lastUpgradeAt &&
+    Date.now() - Date.parse(lastUpgradeAt) < RECENT_UPGRADE_DAYS * 24 * 60 * 60 * 1000;
+
+  return { upgradeCount, lastUpgradeAt, recentlyUpgraded };
+}
+
+module.exports = {
+  resolveProxy,
+  fetchUpgradeHistory,
+  controllerType,
+  summarizeUpgrades
+};
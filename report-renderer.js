@@ -0,0 +1,353 @@
+const PDFDocument = require('pdfkit');
+const { CHAINS, getExplorerUrl, getExplorerAddressUrl } = require('./chains');
+
+const BRAND = {
+  name: 'Token Safety Scanner',
+  color: '#1e3a8a',
+  muted: '#6b7280',
+  track: '#e5e7eb'
+};
+
+const LEVEL_COLORS = { safe: '#16a34a', warning: '#d97706', danger: '#dc2626' };
+const SEVERITY_COLORS = { critical: '#991b1b', high: '#dc2626', medium: '#d97706', low: '#2563eb', info: '#6b7280' };
+
+const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Pair URLs come from DexScreener; anything that is not plain http(s) is dropped
+const safeUrl = (url) => (typeof url === 'string' && /^https?:\/\//i.test(url) ? url : null);
+
+const formatUsd = (value) => {
+  if (value === null || value === undefined || isNaN(value)) return 'N/A';
+  const n = Number(value);
+  if (n >= 1e9) return `$${(n / 1e9).toFixed(2)}B`;
+  if (n >= 1e6) return `$${(n / 1e6).toFixed(2)}M`;
+  if (n >= 1e3) return `$${(n / 1e3).toFixed(2)}K`;
+  if (n >= 1) return `$${n.toFixed(2)}`;
+  return `$${n.toPrecision(4)}`;
+};
+
+const formatPercent = (value) => (value === null || value === undefined ? 'N/A' : `${Number(value).toFixed(2)}%`);
+
+const shortAddress = (address) => (address && address.length > 16
+  ? `${address.slice(0, 8)}...${address.slice(-6)}`
+  : address || '');
+
+// Everything both formats show, in display form
+function buildReportView(report) {
+  const { sections } = report;
+  const scan = sections.security.data || {};
+  const tokenInfo = report.tokenInfo || {};
+  const risk = report.riskAssessment || null;
+  const concentration = sections.holders.data ? sections.holders.data.concentration : null;
+  const market = sections.market.status === 'ok' ? sections.market.data : null;
+  const verification = scan.verification || null;
+  const chain = CHAINS[report.network];
+
+  const unavailable = Object.entries(sections)
+    .filter(([, section]) => section.status !== 'ok')
+    .map(([name, section]) => `${name}: ${section.error || (section.data && section.data.message) || 'not available'}`);
+
+  return {
+    title: tokenInfo.name ? `${tokenInfo.name} (${tokenInfo.symbol})` : shortAddress(report.address),
+    network: chain ? chain.name : report.network,
+    address: report.address,
+    explorerUrl: getExplorerUrl(report.network, report.address),
+    explorerName: chain ? chain.explorerName : 'Explorer',
+    score: risk ? risk.score : null,
+    level: risk ? risk.level : 'unknown',
+    levelColor: risk ? LEVEL_COLORS[risk.level] || BRAND.muted : BRAND.muted,
+    risks: risk
+      ? (risk.riskDetails || []).map(detail => ({ severity: detail.severity, message: detail.message }))
+      : [],
+    holderSummary: concentration && concentration.available ? concentration.message : null,
+    holders: concentration && concentration.top10Holders
+      ? concentration.top10Holders.map((holder, i) => ({
+        rank: i + 1,
+        address: holder.address,
+        url: getExplorerAddressUrl(report.network, holder.address),
+        label: holder.label || (holder.tag && holder.tag !== 'Unknown' ? holder.tag : holder.category),
+        excluded: holder.excluded,
+        percent: holder.percent
+      }))
+      : [],
+    verification: verification ? [
+      ['Source verified', verification.verified ? 'Yes' : 'No'],
+      ...(verification.contractName ? [['Contract name', verification.contractName]] : []),
+      ...(verification.compilerVersion ? [['Compiler', verification.compilerVersion]] : []),
+      ...(verification.license ? [['License', verification.license]] : []),
+      ...(verification.verified ? [['Optimization', verification.optimization ? 'Enabled' : 'Disabled']] : [])
+    ] : [],
+    market: market ? [
+      ['Price', market.mainPair.priceUsd === null ? 'N/A' : formatUsd(market.mainPair.priceUsd)],
+      ['Liquidity', formatUsd(market.mainPair.liquidity)],
+      ['24h volume', formatUsd(market.mainPair.volume24h)],
+      ['24h change', formatPercent(market.mainPair.priceChange24h)]
+    ] : [],
+    marketSignals: market && market.marketRisk && market.marketRisk.available ? market.marketRisk.signals : [],
+    pairUrl: market ? safeUrl(market.mainPair.pairUrl) : null,
+    unavailable,
+    generatedAt: report.generatedAt
+  };
+}
+
+// Semicircle from the left end; fraction 0-1 of the way round to the right end
+function gaugeArcPath(cx, cy, r, fraction) {
+  const f = Math.min(Math.max(fraction, 0), 1);
+  const angle = Math.PI * (1 - f);
+  const x = cx + r * Math.cos(angle);
+  const y = cy - r * Math.sin(angle);
+  return `M ${cx - r} ${cy} A ${r} ${r} 0 0 1 ${x.toFixed(2)} ${y.toFixed(2)}`;
+}
+
+// ============================================
+// HTML
+// ============================================
+
+function renderReportHtml(report) {
+  const view = buildReportView(report);
+  const score = view.score === null ? 0 : view.score;
+
+  const rows = (pairs) => pairs
+    .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+    .join('');
+
+  const risks = view.risks.length > 0
+    ? `<ul class="risks">${view.risks.map(r =>
+      `<li><span class="badge" style="background:${SEVERITY_COLORS[r.severity] || BRAND.muted}">${escapeHtml(r.severity)}</span>${escapeHtml(r.message)}</li>`).join('')}</ul>`
+    : '<p class="muted">No risks found.</p>';
+
+  const holders = view.holders.length > 0
+    ? `<table class="holders"><thead><tr><th>#</th><th>Address</th><th>Type</th><th class="num">Supply</th></tr></thead><tbody>${view.holders.map(h =>
+      `<tr${h.excluded ? ' class="excluded"' : ''}><td>${h.rank}</td><td><a href="${escapeHtml(h.url)}">${escapeHtml(shortAddress(h.address))}</a></td><td>${escapeHtml(h.label)}</td><td class="num">${escapeHtml(formatPercent(h.percent))}</td></tr>`).join('')}</tbody></table>`
+    : '<p class="muted">Holder data not available.</p>';
+
+  const market = view.market.length > 0
+    ? `<table>${rows(view.market)}</table>${view.marketSignals.map(s =>
+      `<p class="signal" style="color:${SEVERITY_COLORS[s.severity] || BRAND.muted}">${escapeHtml(s.message)}</p>`).join('')}${view.pairUrl
+      ? `<p><a href="${escapeHtml(view.pairUrl)}">View chart on DexScreener</a></p>` : ''}`
+    : '<p class="muted">Market data not available.</p>';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(view.title)} - ${BRAND.name} Report</title>
+  <meta property="og:title" content="${escapeHtml(view.title)}: ${escapeHtml(view.level.toUpperCase())} (${escapeHtml(score)}/100)">
+  <meta property="og:description" content="${escapeHtml(BRAND.name)} report for ${escapeHtml(view.address)} on ${escapeHtml(view.network)}">
+  <style>
+    body { font-family: -apple-system, 'Segoe UI', Helvetica, Arial, sans-serif; margin: 0; background: #f3f4f6; color: #111827; }
+    header { background: ${BRAND.color}; color: #fff; padding: 20px 32px; }
+    header h1 { margin: 0; font-size: 20px; }
+    main { max-width: 860px; margin: 24px auto; background: #fff; padding: 32px; border-radius: 8px; }
+    h2 { font-size: 16px; border-bottom: 1px solid ${BRAND.track}; padding-bottom: 6px; margin-top: 32px; }
+    .summary { display: flex; gap: 32px; align-items: center; flex-wrap: wrap; }
+    .token h2 { border: 0; font-size: 24px; margin: 0 0 8px; }
+    .muted, .address { color: ${BRAND.muted}; font-size: 13px; word-break: break-all; }
+    .gauge text { font-weight: 700; }
+    table { border-collapse: collapse; width: 100%; font-size: 14px; }
+    th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid ${BRAND.track}; }
+    .num { text-align: right; }
+    .excluded td { color: ${BRAND.muted}; }
+    .risks { list-style: none; padding: 0; }
+    .risks li { margin: 6px 0; }
+    .badge { display: inline-block; min-width: 64px; color: #fff; border-radius: 4px; padding: 1px 6px; margin-right: 8px; font-size: 11px; text-transform: uppercase; text-align: center; }
+    .signal { margin: 6px 0; font-size: 14px; }
+    footer { max-width: 860px; margin: 0 auto 32px; color: ${BRAND.muted}; font-size: 12px; }
+    a { color: ${BRAND.color}; }
+  </style>
+</head>
+<body>
+  <header><h1>${BRAND.name}</h1></header>
+  <main>
+    <section class="summary">
+      <svg class="gauge" width="200" height="120" viewBox="0 0 200 120" role="img" aria-label="Risk score ${escapeHtml(score)} of 100">
+        <path d="${gaugeArcPath(100, 100, 80, 1)}" fill="none" stroke="${BRAND.track}" stroke-width="16" stroke-linecap="round"/>
+        <path d="${gaugeArcPath(100, 100, 80, score / 100)}" fill="none" stroke="${view.levelColor}" stroke-width="16" stroke-linecap="round"/>
+        <text x="100" y="92" text-anchor="middle" font-size="32" fill="${view.levelColor}">${view.score === null ? '?' : escapeHtml(score)}</text>
+        <text x="100" y="114" text-anchor="middle" font-size="13" fill="${view.levelColor}">${escapeHtml(view.level.toUpperCase())}</text>
+      </svg>
+      <div class="token">
+        <h2>${escapeHtml(view.title)}</h2>
+        <div>${escapeHtml(view.network)}</div>
+        <div class="address"><a href="${escapeHtml(view.explorerUrl)}">${escapeHtml(view.address)}</a></div>
+      </div>
+    </section>
+
+    <h2>Risks</h2>
+    ${risks}
+
+    <h2>Top holders</h2>
+    ${view.holderSummary ? `<p>${escapeHtml(view.holderSummary)}</p>` : ''}
+    ${holders}
+
+    <h2>Verification</h2>
+    ${view.verification.length > 0 ? `<table>${rows(view.verification)}</table>` : '<p class="muted">Verification details not available.</p>'}
+
+    <h2>Market</h2>
+    ${market}
+  </main>
+  <footer>
+    <p>Generated ${escapeHtml(view.generatedAt)} by ${BRAND.name}. View the token on <a href="${escapeHtml(view.explorerUrl)}">${escapeHtml(view.explorerName)}</a>.</p>
+    ${view.unavailable.length > 0 ? `<p>Incomplete sections - ${view.unavailable.map(escapeHtml).join('; ')}</p>` : ''}
+    <p>Automated analysis, not financial advice.</p>
+  </footer>
+</body>
+</html>
+`;
+}
+
+// ============================================
+// PDF
+// ============================================
+
+// The built-in PDF fonts only cover Latin-1; token names can contain anything
+const pdfText = (value) => String(value === null || value === undefined ? '' : value).replace(/[^\x20-\x7E\xA0-\xFF]/gu, '?');
+
+function pdfHeading(doc, text) {
+  doc.moveDown(1.2);
+  doc.font('Helvetica-Bold').fontSize(13).fillColor(BRAND.color).text(text);
+  const y = doc.y + 2;
+  doc.moveTo(doc.page.margins.left, y).lineTo(doc.page.width - doc.page.margins.right, y)
+    .lineWidth(0.5).strokeColor(BRAND.track).stroke();
+  doc.moveDown(0.6);
+  doc.font('Helvetica').fontSize(10).fillColor('#111827');
+}
+
+function pdfRows(doc, pairs) {
+  const left = doc.page.margins.left;
+  pairs.forEach(([label, value]) => {
+    const y = doc.y;
+    doc.font('Helvetica-Bold').text(pdfText(label), left, y, { width: 140 });
+    doc.font('Helvetica').text(pdfText(value), left + 150, y);
+    doc.moveDown(0.3);
+  });
+}
+
+function renderReportPdf(report) {
+  const view = buildReportView(report);
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 50,
+      info: { Title: pdfText(`${view.title} - ${BRAND.name} Report`), Author: BRAND.name }
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+
+    doc.rect(0, 0, doc.page.width, 60).fill(BRAND.color);
+    doc.font('Helvetica-Bold').fontSize(18).fillColor('#ffffff').text(BRAND.name, left, 21);
+
+    // Gauge on the left, token identity next to it
+    const cx = left + 70;
+    const cy = 160;
+    doc.path(gaugeArcPath(cx, cy, 55, 1)).lineWidth(12).lineCap('round').strokeColor(BRAND.track).stroke();
+    if (view.score) {
+      doc.path(gaugeArcPath(cx, cy, 55, view.score / 100)).lineWidth(12).lineCap('round').strokeColor(view.levelColor).stroke();
+    }
+    doc.font('Helvetica-Bold').fontSize(24).fillColor(view.levelColor)
+      .text(view.score === null ? '?' : String(view.score), cx - 40, cy - 30, { width: 80, align: 'center' });
+    doc.fontSize(10).text(view.level.toUpperCase(), cx - 40, cy + 2, { width: 80, align: 'center' });
+
+    const infoX = left + 170;
+    doc.font('Helvetica-Bold').fontSize(18).fillColor('#111827').text(pdfText(view.title), infoX, 100, { width: width - 170 });
+    doc.font('Helvetica').fontSize(11).fillColor(BRAND.muted).text(pdfText(view.network), infoX, doc.y + 2);
+    doc.fontSize(9).fillColor(BRAND.color)
+      .text(view.address, infoX, doc.y + 4, { width: width - 170, link: view.explorerUrl, underline: true });
+
+    doc.x = left;
+    doc.y = Math.max(doc.y, cy + 25);
+
+    pdfHeading(doc, 'Risks');
+    if (view.risks.length === 0) {
+      doc.fillColor(BRAND.muted).text('No risks found.');
+    }
+    view.risks.forEach(risk => {
+      const y = doc.y;
+      doc.font('Helvetica-Bold').fillColor(SEVERITY_COLORS[risk.severity] || BRAND.muted)
+        .text(risk.severity.toUpperCase(), left, y, { width: 70 });
+      doc.font('Helvetica').fillColor('#111827').text(pdfText(risk.message), left + 75, y, { width: width - 75 });
+      doc.moveDown(0.3);
+    });
+
+    doc.x = left;
+    pdfHeading(doc, 'Top holders');
+    if (view.holderSummary) {
+      doc.text(pdfText(view.holderSummary));
+      doc.moveDown(0.5);
+    }
+    if (view.holders.length === 0) {
+      doc.fillColor(BRAND.muted).text('Holder data not available.');
+    } else {
+      const columns = [
+        { title: '#', x: left, width: 20 },
+        { title: 'Address', x: left + 25, width: 190 },
+        { title: 'Type', x: left + 220, width: 180 },
+        { title: 'Supply', x: left + 405, width: width - 405, align: 'right' }
+      ];
+      let y = doc.y;
+      doc.font('Helvetica-Bold');
+      columns.forEach(column => doc.text(column.title, column.x, y, { width: column.width, align: column.align }));
+      doc.font('Helvetica');
+      view.holders.forEach(holder => {
+        y = doc.y + 4;
+        doc.fillColor(holder.excluded ? BRAND.muted : '#111827');
+        doc.text(String(holder.rank), columns[0].x, y, { width: columns[0].width });
+        doc.fillColor(BRAND.color).text(shortAddress(holder.address), columns[1].x, y, { width: columns[1].width, link: holder.url });
+        doc.fillColor(holder.excluded ? BRAND.muted : '#111827');
+        doc.text(pdfText(holder.label), columns[2].x, y, { width: columns[2].width });
+        doc.text(formatPercent(holder.percent), columns[3].x, y, { width: columns[3].width, align: 'right' });
+      });
+    }
+
+    doc.x = left;
+    pdfHeading(doc, 'Verification');
+    if (view.verification.length > 0) {
+      pdfRows(doc, view.verification);
+    } else {
+      doc.fillColor(BRAND.muted).text('Verification details not available.');
+    }
+
+    doc.x = left;
+    pdfHeading(doc, 'Market');
+    if (view.market.length > 0) {
+      pdfRows(doc, view.market);
+      view.marketSignals.forEach(signal => {
+        doc.fillColor(SEVERITY_COLORS[signal.severity] || BRAND.muted).text(pdfText(signal.message), left);
+      });
+      if (view.pairUrl) {
+        doc.moveDown(0.3).fillColor(BRAND.color).text('View chart on DexScreener', left, doc.y, { link: view.pairUrl, underline: true });
+      }
+    } else {
+      doc.fillColor(BRAND.muted).text('Market data not available.');
+    }
+
+    doc.x = left;
+    doc.moveDown(2);
+    doc.fontSize(8).fillColor(BRAND.muted);
+    doc.text(`Generated ${view.generatedAt} by ${BRAND.name}. `, { continued: true })
+      .fillColor(BRAND.color).text(`View on ${view.explorerName}`, { link: view.explorerUrl, underline: true });
+    if (view.unavailable.length > 0) {
+      doc.fillColor(BRAND.muted).text(pdfText(`Incomplete sections - ${view.unavailable.join('; ')}`));
+    }
+    doc.fillColor(BRAND.muted).text('Automated analysis, not financial advice.');
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  renderReportHtml,
+  renderReportPdf
+};
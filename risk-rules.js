@@ -0,0 +1,160 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_RULES_FILE = path.join(__dirname, 'config', 'risk-rules.json');
+
+const SEVERITIES = ['critical', 'high', 'medium', 'low', 'info'];
+
+const OPERATORS = {
+  eq: (actual, expected) => actual === expected,
+  neq: (actual, expected) => actual !== expected,
+  gt: (actual, expected) => Number(actual) > expected,
+  gte: (actual, expected) => Number(actual) >= expected,
+  lt: (actual, expected) => Number(actual) < expected,
+  lte: (actual, expected) => Number(actual) <= expected,
+  in: (actual, expected) => expected.includes(actual),
+  notIn: (actual, expected) => !expected.includes(actual),
+  contains: (actual, expected) => Array.isArray(actual) && actual.includes(expected),
+  truthy: (actual) => !!actual,
+  falsy: (actual) => !actual,
+  exists: (actual) => actual !== undefined && actual !== null
+};
+
+let defaultRuleset = null;
+let overridesByKeyId = {};
+
+function getPath(facts, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) =>
+    value === undefined || value === null ? undefined : value[key], facts);
+}
+
+function validateCondition(condition, ruleId) {
+  if (condition.all || condition.any) {
+    const children = condition.all || condition.any;
+    if (!Array.isArray(children) || children.length === 0) {
+      throw new Error(`Rule ${ruleId}: "all"/"any" must be a non-empty array`);
+    }
+    children.forEach(child => validateCondition(child, ruleId));
+    return;
+  }
+  if (condition.not) {
+    validateCondition(condition.not, ruleId);
+    return;
+  }
+  if (typeof condition.field !== 'string' || !OPERATORS[condition.op]) {
+    throw new Error(`Rule ${ruleId}: condition needs a field and one of ${Object.keys(OPERATORS).join(', ')}`);
+  }
+}
+
+function validateRuleset(ruleset) {
+  if (!Array.isArray(ruleset.rules) || !Array.isArray(ruleset.levels)) {
+    throw new Error('Ruleset needs "rules" and "levels" arrays');
+  }
+
+  const ids = new Set();
+  ruleset.rules.forEach(rule => {
+    if (!rule.id || ids.has(rule.id)) {
+      throw new Error(`Rule ids must be present and unique (${rule.id})`);
+    }
+    ids.add(rule.id);
+    if (!SEVERITIES.includes(rule.severity)) {
+      throw new Error(`Rule ${rule.id}: severity must be one of ${SEVERITIES.join(', ')}`);
+    }
+    if (typeof rule.weight !== 'number') {
+      throw new Error(`Rule ${rule.id}: weight must be a number`);
+    }
+    validateCondition(rule.condition || {}, rule.id);
+  });
+
+  return ruleset;
+}
+
+// RISK_RULES_FILE replaces the bundled ruleset; RISK_RULE_OVERRIDES_FILE maps API key ids
+// (key_..., never the secret) to { rules: { <id>: { weight, severity, enabled } }, levels }
+function loadRiskRules(rulesFile = process.env.RISK_RULES_FILE || DEFAULT_RULES_FILE,
+  overridesFile = process.env.RISK_RULE_OVERRIDES_FILE) {
+  defaultRuleset = validateRuleset(JSON.parse(fs.readFileSync(rulesFile, 'utf8')));
+  overridesByKeyId = overridesFile ? JSON.parse(fs.readFileSync(overridesFile, 'utf8')) : {};
+
+  console.log(`📐 Loaded ${defaultRuleset.rules.length} risk rules (${Object.keys(overridesByKeyId).length} API key overrides)`);
+  return defaultRuleset;
+}
+
+function applyOverrides(ruleset, overrides) {
+  if (!overrides) return ruleset;
+
+  const ruleOverrides = overrides.rules || {};
+  return validateRuleset({
+    ...ruleset,
+    levels: overrides.levels || ruleset.levels,
+    rules: ruleset.rules
+      .map(rule => ({ ...rule, ...ruleOverrides[rule.id] }))
+      .filter(rule => rule.enabled !== false)
+  });
+}
+
+// keyId is the id of a key the rate limiter already validated
+function getRulesetForApiKey(keyId) {
+  if (!defaultRuleset) loadRiskRules();
+  return applyOverrides(defaultRuleset, keyId ? overridesByKeyId[keyId] : null);
+}
+
+// Returns whether the condition matched plus the facts it looked at
+function evaluateCondition(condition, facts, evidence) {
+  if (condition.all) return condition.all.every(child => evaluateCondition(child, facts, evidence));
+  if (condition.any) return condition.any.some(child => evaluateCondition(child, facts, evidence));
+  if (condition.not) return !evaluateCondition(condition.not, facts, evidence);
+
+  const actual = getPath(facts, condition.field);
+  evidence[condition.field] = actual === undefined ? null : actual;
+  return OPERATORS[condition.op](actual, condition.value);
+}
+
+function renderMessage(template, facts) {
+  return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, fieldPath) => {
+    const value = getPath(facts, fieldPath);
+    return value === undefined || value === null ? 'N/A' : String(value);
+  });
+}
+
+function levelForScore(levels, score) {
+  const match = levels.find(entry => entry.minScore === null || entry.minScore === undefined || score >= entry.minScore);
+  return match ? match.level : levels[levels.length - 1].level;
+}
+
+function evaluateRules(facts, ruleset) {
+  let score = ruleset.startScore ?? 100;
+  const riskDetails = [];
+
+  ruleset.rules.forEach(rule => {
+    const evidence = {};
+    if (!evaluateCondition(rule.condition, facts, evidence)) return;
+
+    if (rule.type === 'bonus') {
+      score = Math.min(ruleset.startScore ?? 100, score + rule.weight);
+      return;
+    }
+
+    score -= rule.weight;
+    riskDetails.push({
+      id: rule.id,
+      severity: rule.severity,
+      penalty: rule.weight,
+      message: renderMessage(rule.message, facts),
+      evidence
+    });
+  });
+
+  return {
+    score: Math.max(0, score),
+    level: levelForScore(ruleset.levels, score),
+    risks: riskDetails.map(risk => `${risk.severity.toUpperCase()}: ${risk.message}`),
+    riskDetails
+  };
+}
+
+module.exports = {
+  loadRiskRules,
+  getRulesetForApiKey,
+  evaluateRules
+};
@@ -0,0 +1,225 @@
+const { ethers } = require('ethers');
+const { Connection } = require('@solana/web3.js');
+const { withTimeout } = require('./utils');
+const { REQUEST_ID_HEADER, getRequestId } = require('./logger');
+const { observeUpstream } = require('./metrics');
+
+const POOL_DEFAULTS = {
+  timeoutMs: 8000,
+  failureThreshold: 3,
+  cooldownMs: 30000,
+  maxCooldownMs: 300000,
+  sampleSize: 50,
+  latencyAlpha: 0.3
+};
+
+// Errors that say something about the call, not about the endpoint serving it
+const NON_ENDPOINT_ERROR_CODES = ['CALL_EXCEPTION', 'INVALID_ARGUMENT', 'BAD_DATA', 'NUMERIC_FAULT'];
+
+const pools = new Map();
+let poolOptions = { ...POOL_DEFAULTS };
+
+function createEndpoint(network, url, chainId) {
+  return {
+    network,
+    url,
+    chainId,
+    client: null,
+    latencyMs: null,
+    samples: [],
+    totalCalls: 0,
+    totalFailures: 0,
+    consecutiveFailures: 0,
+    circuit: 'closed',
+    openUntil: null,
+    trips: 0,
+    lastError: null
+  };
+}
+
+// Both clients forward the id of the API request that triggered the call
+function createClient(endpoint) {
+  if (endpoint.network === 'solana') {
+    return new Connection(endpoint.url, {
+      commitment: 'confirmed',
+      fetchMiddleware: (info, init, fetch) => {
+        const requestId = getRequestId();
+        if (requestId) {
+          init.headers = { ...init.headers, [REQUEST_ID_HEADER]: requestId };
+        }
+        fetch(info, init);
+      }
+    });
+  }
+
+  const request = new ethers.FetchRequest(endpoint.url);
+  request.preflightFunc = async (req) => {
+    const requestId = getRequestId();
+    if (requestId) req.setHeader(REQUEST_ID_HEADER, requestId);
+    return req;
+  };
+  return new ethers.JsonRpcProvider(request, Number(endpoint.chainId), { staticNetwork: true });
+}
+
+function getClient(endpoint) {
+  if (!endpoint.client) {
+    endpoint.client = createClient(endpoint);
+  }
+  return endpoint.client;
+}
+
+function getRpcUrlsFromEnv(network) {
+  const value = process.env[`${network.toUpperCase()}_RPC_URLS`];
+  if (!value) return null;
+  const urls = value.split(',').map(url => url.trim()).filter(Boolean);
+  return urls.length > 0 ? urls : null;
+}
+
+// endpoints: { network: [url, ...] }, chainIds: { network: chainId }
+function configureRpcPool(endpoints, chainIds, options = {}) {
+  poolOptions = { ...POOL_DEFAULTS };
+  Object.entries(options).forEach(([key, value]) => {
+    if (value !== undefined) poolOptions[key] = value;
+  });
+  pools.clear();
+
+  Object.entries(endpoints).forEach(([network, urls]) => {
+    const list = getRpcUrlsFromEnv(network) || (Array.isArray(urls) ? urls : [urls]);
+    pools.set(network, list.map(url => createEndpoint(network, url, chainIds[network])));
+  });
+}
+
+function errorRate(endpoint) {
+  if (endpoint.samples.length === 0) return 0;
+  return endpoint.samples.filter(ok => !ok).length / endpoint.samples.length;
+}
+
+// 0-100, higher is healthier: penalizes both failures and slow responses
+function healthScore(endpoint) {
+  const latency = endpoint.latencyMs || 0;
+  return Math.round(100 * (1 - errorRate(endpoint)) * (1000 / (1000 + latency)));
+}
+
+function refreshCircuit(endpoint, now) {
+  if (endpoint.circuit === 'open' && now >= endpoint.openUntil) {
+    endpoint.circuit = 'half-open';
+  }
+}
+
+function recordSample(endpoint, ok) {
+  endpoint.samples.push(ok);
+  if (endpoint.samples.length > poolOptions.sampleSize) {
+    endpoint.samples.shift();
+  }
+}
+
+function recordSuccess(endpoint, latencyMs) {
+  endpoint.totalCalls += 1;
+  endpoint.consecutiveFailures = 0;
+  endpoint.latencyMs = endpoint.latencyMs === null
+    ? latencyMs
+    : Math.round(poolOptions.latencyAlpha * latencyMs + (1 - poolOptions.latencyAlpha) * endpoint.latencyMs);
+  recordSample(endpoint, true);
+
+  if (endpoint.circuit !== 'closed') {
+    console.log(`   ✅ RPC recovered: ${endpoint.url}`);
+  }
+  endpoint.circuit = 'closed';
+  endpoint.openUntil = null;
+  endpoint.trips = 0;
+}
+
+function recordFailure(endpoint, error, now) {
+  endpoint.totalCalls += 1;
+  endpoint.totalFailures += 1;
+  endpoint.consecutiveFailures += 1;
+  endpoint.lastError = error.message;
+  recordSample(endpoint, false);
+
+  // Concurrent calls can fail on an endpoint that another call already tripped
+  const shouldTrip = endpoint.circuit === 'half-open' ||
+    (endpoint.circuit === 'closed' && endpoint.consecutiveFailures >= poolOptions.failureThreshold);
+
+  if (shouldTrip) {
+    const cooldown = Math.min(poolOptions.cooldownMs * 2 ** endpoint.trips, poolOptions.maxCooldownMs);
+    endpoint.trips += 1;
+    endpoint.circuit = 'open';
+    endpoint.openUntil = now + cooldown;
+    console.log(`   🔌 RPC circuit opened for ${Math.round(cooldown / 1000)}s: ${endpoint.url}`);
+  }
+}
+
+// Closed endpoints by health score, then half-open ones; open circuits only as a last resort
+function orderEndpoints(endpoints, now) {
+  endpoints.forEach(endpoint => refreshCircuit(endpoint, now));
+
+  const rank = { closed: 0, 'half-open': 1, open: 2 };
+  return [...endpoints].sort((a, b) => {
+    if (rank[a.circuit] !== rank[b.circuit]) return rank[a.circuit] - rank[b.circuit];
+    if (a.circuit === 'open') return a.openUntil - b.openUntil;
+    return healthScore(b) - healthScore(a);
+  });
+}
+
+function isEndpointError(error) {
+  return !NON_ENDPOINT_ERROR_CODES.includes(error.code);
+}
+
+// Runs fn(client, url) against the healthiest endpoint, failing over on endpoint errors
+async function withRpc(network, fn, { timeoutMs = poolOptions.timeoutMs } = {}) {
+  const endpoints = pools.get(network);
+  if (!endpoints || endpoints.length === 0) {
+    throw new Error('Unsupported network');
+  }
+
+  let lastError;
+  for (const endpoint of orderEndpoints(endpoints, Date.now())) {
+    const startedAt = Date.now();
+    try {
+      const result = await withTimeout(fn(getClient(endpoint), endpoint.url), timeoutMs, `RPC timeout after ${timeoutMs}ms`);
+      recordSuccess(endpoint, Date.now() - startedAt);
+      observeUpstream('rpc', true, (Date.now() - startedAt) / 1000);
+      return result;
+    } catch (error) {
+      if (!isEndpointError(error)) {
+        recordSuccess(endpoint, Date.now() - startedAt);
+        observeUpstream('rpc', true, (Date.now() - startedAt) / 1000);
+        throw error;
+      }
+      recordFailure(endpoint, error, Date.now());
+      observeUpstream('rpc', false, (Date.now() - startedAt) / 1000);
+      console.log(`   ⚠️  RPC ${endpoint.url} failed: ${error.message}`);
+      lastError = error;
+    }
+  }
+
+  throw lastError;
+}
+
+function getRpcPoolStatus() {
+  const now = Date.now();
+  const status = {};
+
+  pools.forEach((endpoints, network) => {
+    status[network] = orderEndpoints(endpoints, now).map(endpoint => ({
+      url: endpoint.url,
+      circuit: endpoint.circuit,
+      score: healthScore(endpoint),
+      latencyMs: endpoint.latencyMs,
+      errorRate: parseFloat(errorRate(endpoint).toFixed(3)),
+      totalCalls: endpoint.totalCalls,
+      totalFailures: endpoint.totalFailures,
+      consecutiveFailures: endpoint.consecutiveFailures,
+      retryAt: endpoint.circuit === 'open' ? new Date(endpoint.openUntil).toISOString() : null,
+      lastError: endpoint.lastError
+    }));
+  });
+
+  return status;
+}
+
+module.exports = {
+  configureRpcPool,
+  withRpc,
+  getRpcPoolStatus
+};
@@ -0,0 +1,316 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const DEFAULT_DB_FILE = path.join(__dirname, 'data', 'scans.db');
+
+let db = null;
+let statements = null;
+
+const normalizeAddress = (network, address) => network === 'solana' ? address : address.toLowerCase();
+
+const parsePercent = (value) => {
+  const n = parseFloat(value);
+  return Number.isNaN(n) ? null : n;
+};
+
+function openScanHistory(file = process.env.SCAN_HISTORY_DB || DEFAULT_DB_FILE) {
+  if (file !== ':memory:') {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+  }
+
+  db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS scans (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      network TEXT NOT NULL,
+      address TEXT NOT NULL,
+      scanned_at TEXT NOT NULL,
+      score INTEGER NOT NULL,
+      level TEXT NOT NULL,
+      flags TEXT NOT NULL,
+      result TEXT NOT NULL,
+      code_hash TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_scans_token ON scans (network, address, id);
+  `);
+
+  // Older databases keep the code hash only inside flags; copy it out once so lookups use the index
+  const columns = db.prepare('PRAGMA table_info(scans)').all().map(column => column.name);
+  if (!columns.includes('code_hash')) {
+    db.exec(`
+      ALTER TABLE scans ADD COLUMN code_hash TEXT;
+      UPDATE scans SET code_hash = json_extract(flags, '$.codeHash');
+    `);
+  }
+  db.exec('CREATE INDEX IF NOT EXISTS idx_scans_code_hash ON scans (code_hash)');
+
+  statements = {
+    insert: db.prepare(`
+      INSERT INTO scans (network, address, scanned_at, score, level, flags, result, code_hash)
+      VALUES (@network, @address, @scannedAt, @score, @level, @flags, @result, @codeHash)
+    `),
+    list: db.prepare(`
+      SELECT id, scanned_at, score, level, flags FROM scans
+      WHERE network = ? AND address = ? ORDER BY id DESC LIMIT ?
+    `),
+    get: db.prepare('SELECT * FROM scans WHERE id = ? AND network = ? AND address = ?'),
+    // Same honeypot test as getTokenOutcome, applied to the scans sharing this code only
+    honeypotByCodeHash: db.prepare(`
+      SELECT network, address FROM scans
+      WHERE code_hash = @codeHash
+        AND NOT (network = @network AND address = @address)
+        AND (json_extract(flags, '$.isHoneypot') = 1
+          OR EXISTS (SELECT 1 FROM json_each(flags, '$.riskIds') WHERE value = 'simulated-honeypot'))
+      LIMIT 1
+    `),
+    honeypotCodeHashes: db.prepare(`
+      SELECT code_hash, network, address, MIN(id) FROM scans
+      WHERE code_hash IS NOT NULL
+        AND (json_extract(flags, '$.isHoneypot') = 1
+          OR EXISTS (SELECT 1 FROM json_each(flags, '$.riskIds') WHERE value = 'simulated-honeypot'))
+      GROUP BY code_hash
+    `),
+    latest: db.prepare(`
+      SELECT id, scanned_at, score, level FROM scans
+      WHERE network = ? AND address = ? ORDER BY id DESC LIMIT 1
+    `)
+  };
+
+  console.log(`🗃️  Scan history: ${file}`);
+  return db;
+}
+
+// The subset of a scan that is tracked over time
+function extractFlags(scan) {
+  const security = scan.security || {};
+  return {
+    isHoneypot: security.isHoneypot,
+    isMintable: security.isMintable,
+    isOwnershipRenounced: security.isOwnershipRenounced,
+    ownerAddress: security.ownerAddress || null,
+    canTakeBackOwnership: security.canTakeBackOwnership,
+    hasBlacklist: security.hasBlacklist,
+    hasWhitelist: security.hasWhitelist,
+    canModifyTax: security.canModifyTax,
+    tradingCooldown: security.tradingCooldown,
+    isProxy: security.isProxy,
+    buyTax: parsePercent(security.buyTax),
+    sellTax: parsePercent(security.sellTax),
+    verified: scan.verification ? !!scan.verification.verified : null,
+    top10Percentage: scan.holderConcentration && scan.holderConcentration.available
+      ? scan.holderConcentration.top10Percentage
+      : null,
+    lpSecuredPercent: scan.liquidityAnalysis && scan.liquidityAnalysis.available
+      ? scan.liquidityAnalysis.securedPercent
+      : null,
+    codeHash: scan.bytecodeAnalysis && scan.bytecodeAnalysis.available
+      ? scan.bytecodeAnalysis.codeHash
+      : null,
+    riskIds: (scan.riskAssessment.riskDetails || []).map(risk => risk.id)
+  };
+}
+
+function recordScan(scan) {
+  if (!db) return null;
+
+  const flags = extractFlags(scan);
+  const info = statements.insert.run({
+    network: scan.network,
+    address: normalizeAddress(scan.network, scan.address),
+    scannedAt: scan.timestamp,
+    score: scan.riskAssessment.score,
+    level: scan.riskAssessment.level,
+    flags: JSON.stringify(flags),
+    result: JSON.stringify(scan),
+    codeHash: flags.codeHash
+  });
+  return Number(info.lastInsertRowid);
+}
+
+function getLatestScan(network, address) {
+  if (!db) return null;
+
+  const row = statements.latest.get(network, normalizeAddress(network, address));
+  return row ? toScanSummary(row) : null;
+}
+
+// Honeypot at any point, or liquidity pulled after it had been provided
+function getTokenOutcome(network, address) {
+  if (!db) return null;
+
+  const rows = statements.list.all(network, normalizeAddress(network, address), 500);
+  if (rows.length === 0) return null;
+
+  const chronological = [...rows].reverse().map(row => JSON.parse(row.flags));
+  const honeypot = chronological.some(flags =>
+    flags.isHoneypot === true || (flags.riskIds || []).includes('simulated-honeypot'));
+
+  let hadLiquidity = false;
+  let peakSecured = null;
+  let rugged = false;
+  chronological.forEach(flags => {
+    const liquidityPulled = (flags.riskIds || []).includes('low-liquidity');
+    if (liquidityPulled && hadLiquidity) rugged = true;
+    if (!liquidityPulled) hadLiquidity = true;
+
+    if (typeof flags.lpSecuredPercent === 'number') {
+      if (peakSecured !== null && peakSecured - flags.lpSecuredPercent >= 50) rugged = true;
+      peakSecured = Math.max(peakSecured || 0, flags.lpSecuredPercent);
+    }
+  });
+
+  return {
+    scans: rows.length,
+    lastLevel: rows[0].level,
+    honeypot,
+    rugged
+  };
+}
+
+// Another token with identical runtime code that our history has seen behave as a honeypot
+function findHoneypotByCodeHash(codeHash, network, address) {
+  if (!db) return null;
+
+  const match = statements.honeypotByCodeHash.get({
+    codeHash,
+    network,
+    address: normalizeAddress(network, address)
+  });
+  return match ? { network: match.network, address: match.address } : null;
+}
+
+// Every code hash seen on a confirmed honeypot, with the first token it was seen on
+function listHoneypotCodeHashes() {
+  if (!db) return [];
+
+  return statements.honeypotCodeHashes.all().map(row => ({
+    codeHash: row.code_hash,
+    network: row.network,
+    address: row.address
+  }));
+}
+
+const FLAG_LABELS = {
+  isHoneypot: ['Honeypot detected', 'No longer flagged as honeypot'],
+  isMintable: ['Mint function enabled', 'Mint function disabled'],
+  isOwnershipRenounced: ['Ownership renounced', 'Ownership reclaimed'],
+  canTakeBackOwnership: ['Owner can reclaim ownership', 'Owner can no longer reclaim ownership'],
+  hasBlacklist: ['Blacklist enabled', 'Blacklist removed'],
+  hasWhitelist: ['Whitelist enabled', 'Whitelist removed'],
+  canModifyTax: ['Tax became modifiable', 'Tax no longer modifiable'],
+  tradingCooldown: ['Trading cooldown enabled', 'Trading cooldown removed'],
+  isProxy: ['Contract became a proxy', 'Contract no longer a proxy'],
+  verified: ['Contract verified', 'Contract no longer verified']
+};
+
+function describeNumberChange(label, from, to) {
+  if (from === null || to === null) return `${label} ${to === null ? 'no longer reported' : `now ${to}%`}`;
+  return `${label} ${to > from ? 'raised' : 'lowered'} from ${from}% to ${to}%`;
+}
+
+function diffFlags(from, to) {
+  const changes = [];
+
+  Object.entries(FLAG_LABELS).forEach(([field, [becameTrue, becameFalse]]) => {
+    // null means the scan could not tell, which is not a change either way
+    const unknown = [from[field], to[field]].some(value => value === undefined || value === null);
+    if (unknown || from[field] === to[field]) return;
+    changes.push({ field, from: from[field], to: to[field], description: to[field] ? becameTrue : becameFalse });
+  });
+
+  if (from.ownerAddress && to.ownerAddress && from.ownerAddress !== to.ownerAddress &&
+      !from.isOwnershipRenounced && !to.isOwnershipRenounced) {
+    changes.push({ field: 'ownerAddress', from: from.ownerAddress, to: to.ownerAddress, description: 'Owner changed' });
+  }
+
+  const numericFields = [
+    ['buyTax', 'Buy tax'],
+    ['sellTax', 'Sell tax'],
+    ['top10Percentage', 'Top 10 holder share'],
+    ['lpSecuredPercent', 'Burned/locked liquidity']
+  ];
+  numericFields.forEach(([field, label]) => {
+    // Fields added later are missing from older scans rather than changed
+    if (from[field] === undefined || to[field] === undefined || from[field] === to[field]) return;
+    changes.push({ field, from: from[field], to: to[field], description: describeNumberChange(label, from[field], to[field]) });
+  });
+
+  const fromRisks = new Set(from.riskIds);
+  const toRisks = new Set(to.riskIds);
+
+  return {
+    changes,
+    risksAdded: [...toRisks].filter(id => !fromRisks.has(id)),
+    risksRemoved: [...fromRisks].filter(id => !toRisks.has(id))
+  };
+}
+
+function toScanSummary(row) {
+  return {
+    id: row.id,
+    scannedAt: row.scanned_at,
+    score: row.score,
+    level: row.level
+  };
+}
+
+function compareRows(from, to) {
+  return {
+    from: toScanSummary(from),
+    to: toScanSummary(to),
+    scoreDelta: to.score - from.score,
+    levelChanged: from.level !== to.level,
+    ...diffFlags(JSON.parse(from.flags), JSON.parse(to.flags))
+  };
+}
+
+// Scans newest first, plus the scans where something actually changed
+function getTokenTimeline(network, address, limit = 50) {
+  const rows = statements.list.all(network, normalizeAddress(network, address), limit);
+  const chronological = [...rows].reverse();
+
+  const changes = [];
+  for (let i = 1; i < chronological.length; i++) {
+    const diff = compareRows(chronological[i - 1], chronological[i]);
+    if (diff.scoreDelta !== 0 || diff.levelChanged || diff.changes.length > 0 ||
+        diff.risksAdded.length > 0 || diff.risksRemoved.length > 0) {
+      changes.push(diff);
+    }
+  }
+
+  return {
+    scans: rows.map(toScanSummary),
+    changes: changes.reverse()
+  };
+}
+
+// Defaults to the two most recent scans of the token
+function diffScans(network, address, fromId, toId) {
+  const normalized = normalizeAddress(network, address);
+
+  if (!fromId || !toId) {
+    const latest = statements.list.all(network, normalized, 2);
+    if (latest.length < 2) return null;
+    toId = toId || latest[0].id;
+    fromId = fromId || latest[1].id;
+  }
+
+  const from = statements.get.get(fromId, network, normalized);
+  const to = statements.get.get(toId, network, normalized);
+  if (!from || !to) return null;
+
+  return compareRows(from, to);
+}
+
+module.exports = {
+  openScanHistory,
+  recordScan,
+  getLatestScan,
+  getTokenOutcome,
+  findHoneypotByCodeHash,
+  listHoneypotCodeHashes,
+  getTokenTimeline,
+  diffScans
+};
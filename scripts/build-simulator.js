@@ -0,0 +1,85 @@
+// Compiles contracts/HoneypotSimulator.sol with the pinned solc from devDependencies and
+// compares the runtime bytecode with SIMULATOR_BYTECODE in honeypot-simulator.js.
+//   npm run check:simulator  exit 1 when the constant is out of date
+//   npm run build:simulator  rewrite the constant from the compiled output
+const fs = require('fs');
+const path = require('path');
+const solc = require('solc');
+
+const ROOT = path.join(__dirname, '..');
+const SOURCE = 'contracts/HoneypotSimulator.sol';
+const SIMULATOR_MODULE = path.join(ROOT, 'honeypot-simulator.js');
+
+// Changing any of these changes the bytecode; keep them in step with the comment above SIMULATOR_BYTECODE
+const COMPILER_SETTINGS = {
+  optimizer: { enabled: true, runs: 200 },
+  evmVersion: 'cancun'
+};
+
+// sources: { 'path/File.sol': 'source code' }. Returns { ContractName: { abi, bytecode, runtimeBytecode } }
+function compileSources(sources) {
+  const input = {
+    language: 'Solidity',
+    sources: Object.fromEntries(Object.entries(sources).map(([file, content]) => [file, { content }])),
+    settings: {
+      ...COMPILER_SETTINGS,
+      outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object', 'evm.deployedBytecode.object'] } }
+    }
+  };
+  const output = JSON.parse(solc.compile(JSON.stringify(input)));
+
+  const errors = (output.errors || []).filter(error => error.severity === 'error');
+  if (errors.length > 0) {
+    throw new Error(errors.map(error => error.formattedMessage).join('\n'));
+  }
+
+  const contracts = {};
+  Object.values(output.contracts).forEach(file => {
+    Object.entries(file).forEach(([name, contract]) => {
+      contracts[name] = {
+        abi: contract.abi,
+        bytecode: `0x${contract.evm.bytecode.object}`,
+        runtimeBytecode: `0x${contract.evm.deployedBytecode.object}`
+      };
+    });
+  });
+  return contracts;
+}
+
+// The metadata hash covers the exact source bytes, so line endings must not depend on the checkout
+function compileSimulator() {
+  const source = fs.readFileSync(path.join(ROOT, SOURCE), 'utf8').replace(/\r\n/g, '\n');
+  return compileSources({ [SOURCE]: source }).HoneypotSimulator.runtimeBytecode;
+}
+
+function main() {
+  const compiled = compileSimulator();
+  const moduleSource = fs.readFileSync(SIMULATOR_MODULE, 'utf8');
+  const current = moduleSource.match(/const SIMULATOR_BYTECODE = '(0x[0-9a-f]*)';/);
+  if (!current) {
+    throw new Error('SIMULATOR_BYTECODE not found in honeypot-simulator.js');
+  }
+
+  if (current[1] === compiled) {
+    console.log(`✅ SIMULATOR_BYTECODE matches ${SOURCE} (solc ${solc.version()})`);
+    return;
+  }
+
+  if (process.argv.includes('--write')) {
+    fs.writeFileSync(SIMULATOR_MODULE, moduleSource.replace(current[1], compiled));
+    console.log(`✅ SIMULATOR_BYTECODE rebuilt from ${SOURCE} (solc ${solc.version()})`);
+    return;
+  }
+
+  console.error(`❌ SIMULATOR_BYTECODE does not match ${SOURCE}; run: npm run build:simulator`);
+  process.exitCode = 1;
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  compileSources,
+  compileSimulator
+};
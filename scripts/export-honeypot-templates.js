@@ -0,0 +1,29 @@
+// Adds the code hash of every token the scan history confirmed as a honeypot to
+// config/honeypot-templates.json, so installs without that history still recognise the code.
+//   SCAN_HISTORY_DB=/path/to/scans.db npm run export:honeypot-templates
+// Existing entries and their labels are kept.
+const fs = require('fs');
+const path = require('path');
+const { openScanHistory, listHoneypotCodeHashes } = require('../scan-history');
+
+const TEMPLATES_FILE = path.join(__dirname, '..', 'config', 'honeypot-templates.json');
+
+function main() {
+  openScanHistory();
+
+  const templates = JSON.parse(fs.readFileSync(TEMPLATES_FILE, 'utf8'));
+  const known = new Set(Object.keys(templates).map(hash => hash.toLowerCase()));
+
+  let added = 0;
+  listHoneypotCodeHashes().forEach(({ codeHash, network, address }) => {
+    if (known.has(codeHash.toLowerCase())) return;
+    templates[codeHash.toLowerCase()] = `Honeypot first seen on ${network} at ${address}`;
+    added++;
+  });
+
+  const sorted = Object.fromEntries(Object.entries(templates).sort(([a], [b]) => a.localeCompare(b)));
+  fs.writeFileSync(TEMPLATES_FILE, JSON.stringify(sorted, null, 2) + '\n');
+  console.log(`🧬 ${added} new honeypot templates (${Object.keys(sorted).length} total) in ${TEMPLATES_FILE}`);
+}
+
+main();
@@ -1,27 +1,89 @@
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const axios = require('axios');
 const { ethers } = require('ethers');
-const { Connection, PublicKey } = require('@solana/web3.js');
+const { isSimulationSupported, simulateHoneypot } = require('./honeypot-simulator');
+const { configureRpcPool, withRpc, getRpcPoolStatus } = require('./rpc-pool');
+const { withTimeout, mapWithConcurrency } = require('./utils');
+const { configureCache, withCache, isCached, getCacheStatus } = require('./cache');
+const { loadRiskRules, getRulesetForApiKey, evaluateRules } = require('./risk-rules');
+const {
+  openScanHistory,
+  recordScan,
+  getLatestScan,
+  getTokenTimeline,
+  diffScans,
+  findHoneypotByCodeHash
+} = require('./scan-history');
+const {
+  openWebhooks,
+  validateSubscription,
+  checkDestination,
+  createSubscription,
+  listSubscriptions,
+  getSubscription,
+  deleteSubscription,
+  listDeliveries,
+  notifyRiskLevelChange,
+  resumePendingDeliveries,
+  sendTestEvent
+} = require('./webhooks');
+const { getContractCreator, fetchDeployerActivity, buildDeployerReport } = require('./deployer');
+const { analyzeSource } = require('./source-analyzer');
+const { analyzeBytecode } = require('./bytecode-analyzer');
+const { resolveProxy, fetchUpgradeHistory, controllerType, summarizeUpgrades } = require('./proxy-resolver');
+const { inspectMint, inspectLiquidityPools, toSecurityFields } = require('./solana-analyzer');
+const { HOLDER_CONCENTRATION_THRESHOLD, BURN_ADDRESSES, analyzeHolderConcentration } = require('./holder-analyzer');
+const { fetchWalletActivity, fetchLaunchActivity, buildClusterReport } = require('./holder-clusters');
+const { analyzeMarket } = require('./market-analyzer');
+const {
+  ANONYMOUS_TIER,
+  getTier,
+  listTiers,
+  openApiKeys,
+  validateApiKeyRequest,
+  createApiKey,
+  listApiKeys,
+  getApiKey,
+  revokeApiKey,
+  resolveApiKey,
+  getUsageToday,
+  recordUsage
+} = require('./api-keys');
+const { toV2ScanResult, toV2BatchResult, toV2MarketData } = require('./api-v2');
+const { renderReportHtml, renderReportPdf } = require('./report-renderer');
+const { openApiSpec, validateRequest, validateResponse, DOCS_HTML } = require('./openapi');
+const { CHAINS, NETWORKS, getChain, isSupportedNetwork, isEvmNetwork, mapChains, getExplorerUrl } = require('./chains');
+const { installConsoleLogger, requestLogger } = require('./logger');
+const { register: metricsRegister, countScan, httpMetrics, instrumentAxios } = require('./metrics');
 require('dotenv').config();
 
+installConsoleLogger();
+instrumentAxios(axios);
+
 BigInt.prototype.toJSON = function() {
   return this.toString();
 };
 
 const app = express();
 
-const originalConsoleError = console.error;
-console.error = (...args) => {
-  const msg = args[0]?.toString() || '';
-  if (msg.includes('JsonRpcProvider failed to detect network')) {
-    return;
-  }
-  originalConsoleError.apply(console, args);
+// req.ip keys the anonymous rate limit, so by default it is the socket address and X-Forwarded-For
+// is ignored. Deployments behind a reverse proxy or load balancer must set TRUST_PROXY to the
+// number of proxy hops in front of the server ("1" for a single nginx), "true", or a
+// comma-separated list of trusted proxy subnets; otherwise every client shares the proxy's quota.
+const parseTrustProxy = (value) => {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return parseInt(value);
+  return value;
 };
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
 
 // Middleware
-app.use(cors());
+app.use(requestLogger);
+app.use(httpMetrics);
+app.use(cors({ exposedHeaders: ['X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'X-RateLimit-Daily-Limit', 'X-RateLimit-Daily-Remaining', 'Retry-After'] }));
 app.use(express.json());
 
 // ✅ Simple root endpoint
@@ -32,79 +94,192 @@ app.get('/', (req, res) => {
     status: 'running',
     endpoints: {
       health: '/health',
+      metrics: '/metrics',
+      openapi: '/openapi.json',
+      docs: '/docs',
+      checkTokenV2: '/api/v2/check-token/:network/:address',
       checkToken: '/api/check-token/:network/:address',
+      checkTokenAuto: '/api/check-token/auto/:address',
+      checkTokens: 'POST /api/check-tokens',
+      report: '/api/report/:network/:address',
+      reportPdf: '/api/report/:network/:address.pdf',
+      reportHtml: '/api/report/:network/:address.html',
+      riskRules: '/api/risk-rules',
+      history: '/api/history/:network/:address',
+      historyDiff: '/api/history/:network/:address/diff',
+      webhooks: '/api/webhooks',
+      adminKeys: '/api/admin/keys',
       tokenInfo: '/api/token-info/:address'
     },
-    networks: ['ethereum', 'bsc', 'polygon', 'solana']
+    networks: NETWORKS
   });
 });
 
-// Rate limiting storage
+// Rate limiting: a sliding one-minute window per caller plus a daily quota.
+// Callers are API keys (tier from the key) or, without a key, client IPs on the anonymous tier.
 const rateLimitMap = new Map();
+const anonymousUsage = new Map();
 const RATE_LIMIT_WINDOW = 60000;
-const MAX_REQUESTS = 10;
+const RATE_LIMIT_SWEEP_MS = 5 * 60000;
+let apiKeysReady = false;
+let historyReady = false;
+
+const utcDay = (time) => new Date(time).toISOString().slice(0, 10);
+const nextUtcMidnight = (time) => {
+  const date = new Date(time);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+};
 
-const rateLimit = (req, res, next) => {
-  const ip = req.ip;
-  const now = Date.now();
-  
-  if (!rateLimitMap.has(ip)) {
-    rateLimitMap.set(ip, []);
+// cost(req) lets an endpoint charge more than one request against the daily quota
+const createRateLimit = ({ cost = () => 1 } = {}) => (req, res, next) => {
+  const presentedKey = req.get('X-API-Key');
+  let apiKey = null;
+
+  if (presentedKey && apiKeysReady) {
+    apiKey = resolveApiKey(presentedKey);
+    if (!apiKey) {
+      return res.status(401).json({ error: 'Invalid or revoked API key' });
+    }
   }
-  
-  const requests = rateLimitMap.get(ip).filter(time => now - time < RATE_LIMIT_WINDOW);
-  
-  if (requests.length >= MAX_REQUESTS) {
+
+  const tier = (apiKey && getTier(apiKey.tier)) || getTier(ANONYMOUS_TIER);
+  const caller = apiKey ? `key:${apiKey.id}` : `ip:${req.ip}`;
+  const now = Date.now();
+
+  const requests = (rateLimitMap.get(caller) || []).filter(time => now - time < RATE_LIMIT_WINDOW);
+  const resetAt = requests.length > 0 ? requests[0] + RATE_LIMIT_WINDOW : now + RATE_LIMIT_WINDOW;
+
+  res.set('X-RateLimit-Limit', String(tier.requestsPerMinute));
+  res.set('X-RateLimit-Reset', String(Math.ceil(resetAt / 1000)));
+
+  if (requests.length >= tier.requestsPerMinute) {
+    const retryAfter = Math.max(Math.ceil((resetAt - now) / 1000), 1);
+    res.set('X-RateLimit-Remaining', '0');
+    res.set('Retry-After', String(retryAfter));
     return res.status(429).json({ 
       error: 'Too many requests. Please try again later.',
-      retryAfter: 60 
+      tier: tier.name,
+      retryAfter: retryAfter
     });
   }
-  
+
+  const requestCost = Math.max(cost(req), 1);
+  const day = utcDay(now);
+  let usedToday = 0;
+  if (apiKey) {
+    usedToday = getUsageToday(apiKey.id);
+  } else {
+    const usage = anonymousUsage.get(caller);
+    usedToday = usage && usage.day === day ? usage.requests : 0;
+  }
+
+  if (tier.dailyQuota !== null) {
+    res.set('X-RateLimit-Daily-Limit', String(tier.dailyQuota));
+    if (usedToday + requestCost > tier.dailyQuota) {
+      const retryAfter = Math.ceil((nextUtcMidnight(now) - now) / 1000);
+      res.set('X-RateLimit-Remaining', String(tier.requestsPerMinute - requests.length));
+      res.set('X-RateLimit-Daily-Remaining', String(Math.max(tier.dailyQuota - usedToday, 0)));
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: 'Daily quota exceeded',
+        tier: tier.name,
+        dailyQuota: tier.dailyQuota,
+        retryAfter: retryAfter
+      });
+    }
+    res.set('X-RateLimit-Daily-Remaining', String(tier.dailyQuota - usedToday - requestCost));
+  }
+
   requests.push(now);
-  rateLimitMap.set(ip, requests);
+  rateLimitMap.set(caller, requests);
+  res.set('X-RateLimit-Remaining', String(tier.requestsPerMinute - requests.length));
+
+  if (apiKey) {
+    recordUsage(apiKey.id, requestCost);
+  } else {
+    anonymousUsage.set(caller, { day, requests: usedToday + requestCost });
+  }
+
+  req.apiKey = apiKey;
+  req.tier = tier.name;
+  next();
+};
+
+const rateLimit = createRateLimit();
+
+// Resolves X-API-Key for free endpoints that vary by caller but charge nothing
+const identifyApiKey = (req, res, next) => {
+  const presentedKey = req.get('X-API-Key');
+  req.apiKey = presentedKey && apiKeysReady ? resolveApiKey(presentedKey) : null;
+  if (presentedKey && apiKeysReady && !req.apiKey) {
+    return res.status(401).json({ error: 'Invalid or revoked API key' });
+  }
+  next();
+};
+
+// Drop callers with no requests in the current window and anonymous usage from past days
+setInterval(() => {
+  const now = Date.now();
+  const day = utcDay(now);
+  rateLimitMap.forEach((requests, caller) => {
+    if (requests.every(time => now - time >= RATE_LIMIT_WINDOW)) rateLimitMap.delete(caller);
+  });
+  anonymousUsage.forEach((usage, caller) => {
+    if (usage.day !== day) anonymousUsage.delete(caller);
+  });
+}, RATE_LIMIT_SWEEP_MS).unref();
+
+// Admin endpoints take ADMIN_API_TOKEN as a bearer token and are disabled without it
+const hasBearerToken = (req, token) => {
+  const presented = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+  const expected = Buffer.from(token);
+  const actual = Buffer.from(presented);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+const requireAdmin = (req, res, next) => {
+  const token = process.env.ADMIN_API_TOKEN;
+  if (!token) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+  if (!hasBearerToken(req, token)) {
+    return res.status(401).json({ error: 'Admin authorization required' });
+  }
+  if (!apiKeysReady) {
+    return res.status(503).json({ error: 'API key storage is unavailable' });
+  }
   next();
 };
 
-// RPC endpoints
-const RPC_ENDPOINTS = {
-  ethereum: [
-    'https://ethereum-rpc.publicnode.com',
-    'https://eth.llamarpc.com',
-    'https://rpc.ankr.com/eth'
-  ],
-  bsc: [
-    'https://bsc-dataseed1.binance.org',
-    'https://bsc-dataseed2.binance.org',
-    'https://bsc.publicnode.com'
-  ],
-  polygon: [
-    'https://polygon-bor-rpc.publicnode.com',
-    'https://polygon-rpc.com',
-    'https://rpc.ankr.com/polygon'
-  ],
-  solana: 'https://api.mainnet-beta.solana.com'
+// Runs after rateLimit, which resolves the presented key into req.apiKey
+const requireApiKey = (req, res, next) => {
+  if (!apiKeysReady) {
+    return res.status(503).json({ error: 'API key storage is unavailable' });
+  }
+  if (!req.apiKey) {
+    return res.status(401).json({ error: 'An API key is required (X-API-Key header)' });
+  }
+  next();
 };
 
-const EXPLORER_APIS = {
-  ethereum: 'https://api.etherscan.io/api',
-  bsc: 'https://api.bscscan.com/api',
-  polygon: 'https://api.polygonscan.com/api'
+const requireHistory = (req, res, next) => {
+  if (!historyReady) {
+    return res.status(503).json({ error: 'Scan history unavailable' });
+  }
+  next();
 };
 
+// Per-network RPCs, explorer APIs and chain ids all come from config/chains.json
+const RPC_ENDPOINTS = mapChains('rpcs');
+const EXPLORER_APIS = mapChains('explorerApi');
+const CHAIN_IDS = mapChains('chainId');
+
 const getExplorerApiKey = (network) => {
   return process.env[`${network.toUpperCase()}_API_KEY`] || 
          process.env.ETHERSCAN_API_KEY || 
          'YourApiKeyToken';
 };
 
-const CHAIN_IDS = {
-  ethereum: '1',
-  bsc: '56',
-  polygon: '137',
-  solana: 'solana'
-};
-
 const TIMEOUTS = {
   RPC_CALL: 8000,
   GOPLUS_API: 15000,
@@ -112,20 +287,50 @@ const TIMEOUTS = {
   EXPLORER_API: 10000
 };
 
-const HOLDER_CONCENTRATION_THRESHOLD = 15;
+const LP_SECURED_THRESHOLD = 90;
+const LP_UNLOCK_WARNING_DAYS = 30;
+
+// <NETWORK>_RPC_URLS (comma separated) replaces the defaults for that network
+configureRpcPool(RPC_ENDPOINTS, CHAIN_IDS, {
+  timeoutMs: parseInt(process.env.RPC_TIMEOUT_MS) || TIMEOUTS.RPC_CALL,
+  failureThreshold: parseInt(process.env.RPC_FAILURE_THRESHOLD) || undefined,
+  cooldownMs: parseInt(process.env.RPC_COOLDOWN_MS) || undefined
+});
+
+configureCache();
+loadRiskRules();
+
+try {
+  openApiKeys();
+  apiKeysReady = true;
+} catch (error) {
+  console.log(`⚠️  API keys disabled: ${error.message}`);
+}
+
+try {
+  openScanHistory();
+  historyReady = true;
+} catch (error) {
+  console.log(`⚠️  Scan history disabled: ${error.message}`);
+}
 
-const getProvider = (network, rpcIndex = 0) => {
-  const rpcUrls = RPC_ENDPOINTS[network];
-  if (!rpcUrls) {
-    throw new Error('Unsupported network');
+try {
+  openWebhooks();
+  const resumed = resumePendingDeliveries();
+  if (resumed > 0) {
+    console.log(`📨 Resuming ${resumed} pending webhook deliveries`);
   }
-  
-  if (network === 'solana') {
-    return rpcUrls;
+} catch (error) {
+  console.log(`⚠️  Webhooks disabled: ${error.message}`);
+}
+
+// Point SIMULATION_RPC_URL at a local Anvil/Hardhat fork to run simulations off-mainnet
+const runSimulation = (network, address) => {
+  if (!process.env.SIMULATION_RPC_URL) {
+    return withRpc(network, (provider) => simulateHoneypot(provider, network, address));
   }
-  
-  const rpcUrl = Array.isArray(rpcUrls) ? rpcUrls[rpcIndex] : rpcUrls;
-  return new ethers.JsonRpcProvider(rpcUrl);
+  const provider = new ethers.JsonRpcProvider(process.env.SIMULATION_RPC_URL, Number(CHAIN_IDS[network]), { staticNetwork: true });
+  return withTimeout(simulateHoneypot(provider, network, address), TIMEOUTS.RPC_CALL, 'Simulation timeout');
 };
 
 const isValidAddress = (address) => {
@@ -140,81 +345,453 @@ const isValidSolanaAddress = (address) => {
   return /^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(address);
 };
 
-function getExplorerUrl(network, address) {
-  const explorers = {
-    ethereum: `https://etherscan.io/token/${address}`,
-    bsc: `https://bscscan.com/token/${address}`,
-    polygon: `https://polygonscan.com/token/${address}`,
-    solana: `https://solscan.io/token/${address}`
+// One band and one cause per LP position, so risk rules keyed on rugRiskCause never stack.
+// Withdrawable LP is what the deployer/owner holds outright plus LP in locks that have expired.
+function classifyRugRisk({ securedPercent, ownerPercent = 0, expiredLockPercent = 0, unlockingSoonPercent = 0 }) {
+  const withdrawablePercent = Math.min(ownerPercent + expiredLockPercent, 100);
+  const pct = (value) => `${value.toFixed(2)}%`;
+
+  let rugRisk = 'low';
+  let rugRiskCause = null;
+  let reason = `${pct(securedPercent)} of liquidity is burned or locked`;
+
+  if (withdrawablePercent >= 50) {
+    rugRisk = 'high';
+    rugRiskCause = 'withdrawable';
+    reason = `${pct(withdrawablePercent)} of liquidity can be withdrawn now ` +
+      `(${pct(ownerPercent)} held by the deployer/owner, ${pct(expiredLockPercent)} in expired locks)`;
+  } else if (securedPercent < 50) {
+    rugRisk = 'high';
+    rugRiskCause = 'unsecured';
+    reason = `Only ${pct(securedPercent)} of liquidity is burned or locked`;
+  } else if (expiredLockPercent >= 10) {
+    rugRisk = 'medium';
+    rugRiskCause = 'lock-expired';
+    reason = `${pct(expiredLockPercent)} of liquidity is in expired locks and can be withdrawn now`;
+  } else if (ownerPercent >= 20) {
+    rugRisk = 'medium';
+    rugRiskCause = 'held-by-owner';
+    reason = `Deployer/owner holds ${pct(ownerPercent)} of liquidity unlocked`;
+  } else if (unlockingSoonPercent >= 10) {
+    rugRisk = 'medium';
+    rugRiskCause = 'unlock-soon';
+    reason = `${pct(unlockingSoonPercent)} of liquidity unlocks within ${LP_UNLOCK_WARNING_DAYS} days`;
+  } else if (securedPercent < LP_SECURED_THRESHOLD) {
+    rugRisk = 'medium';
+    rugRiskCause = 'partially-secured';
+    reason = `Only ${pct(securedPercent)} of liquidity is burned or locked`;
+  }
+
+  const prefix = rugRisk === 'high' ? 'DANGER' : rugRisk === 'medium' ? 'WARNING' : 'SAFE';
+  return { rugRisk, rugRiskCause, withdrawablePercent, message: `${prefix}: ${reason}` };
+}
+
+// GoPlus lp_holders: percent is a fraction, locked_detail lists each lock with its end_time
+function analyzeLiquidity(securityData) {
+  const lpHolders = securityData.lp_holders || [];
+  if (lpHolders.length === 0) {
+    return {
+      available: false,
+      rugRisk: 'unknown',
+      message: 'LP holder data not available'
+    };
+  }
+
+  try {
+    const ownerAddresses = [securityData.owner_address, securityData.creator_address]
+      .filter(a => a && !BURN_ADDRESSES.includes(a.toLowerCase()))
+      .map(a => a.toLowerCase());
+    const now = Date.now();
+    const unlockWarningAt = now + LP_UNLOCK_WARNING_DAYS * 24 * 60 * 60 * 1000;
+
+    let burnedPercent = 0;
+    let lockedPercent = 0;
+    let expiredLockPercent = 0;
+    let ownerPercent = 0;
+    let unlockingSoonPercent = 0;
+    let nextUnlock = null;
+    const locks = [];
+
+    lpHolders.forEach(holder => {
+      const percent = parseFloat(holder.percent || 0) * 100;
+      const holderAddress = (holder.address || '').toLowerCase();
+
+      if (BURN_ADDRESSES.includes(holderAddress)) {
+        burnedPercent += percent;
+        return;
+      }
+
+      if (holder.is_locked === 1 || holder.is_locked === '1') {
+        const details = (holder.locked_detail || [])
+          .map(detail => ({ unlockAt: Date.parse(detail.end_time), amount: parseFloat(detail.amount) }))
+          .filter(detail => !isNaN(detail.unlockAt));
+        const active = details.filter(detail => detail.unlockAt > now);
+        const expired = details.filter(detail => detail.unlockAt <= now);
+
+        // A lock past its end time can be withdrawn at any moment, so it secures nothing. The
+        // holder's share is split by locked amount, or by lock count when amounts are missing.
+        const sumAmounts = (list) => list.reduce((sum, detail) => sum + detail.amount, 0);
+        let expiredFraction = 0;
+        if (expired.length > 0) {
+          expiredFraction = details.every(detail => detail.amount > 0)
+            ? sumAmounts(expired) / sumAmounts(details)
+            : expired.length / details.length;
+        }
+        const expiredShare = percent * expiredFraction;
+        const activeShare = percent - expiredShare;
+
+        lockedPercent += activeShare;
+        expiredLockPercent += expiredShare;
+
+        const unlockAt = active.length > 0 ? Math.min(...active.map(detail => detail.unlockAt)) : null;
+        if (unlockAt !== null && unlockAt <= unlockWarningAt) {
+          unlockingSoonPercent += activeShare;
+        }
+        if (unlockAt !== null && (nextUnlock === null || unlockAt < nextUnlock)) {
+          nextUnlock = unlockAt;
+        }
+
+        locks.push({
+          address: holder.address,
+          locker: holder.tag || 'Unknown locker',
+          percent: parseFloat(percent.toFixed(2)),
+          expiredPercent: parseFloat(expiredShare.toFixed(2)),
+          unlockDate: unlockAt !== null ? new Date(unlockAt).toISOString() : null,
+          expiredAt: expired.length > 0 ? new Date(Math.max(...expired.map(detail => detail.unlockAt))).toISOString() : null
+        });
+        return;
+      }
+
+      if (ownerAddresses.includes(holderAddress)) {
+        ownerPercent += percent;
+      }
+    });
+
+    const securedPercent = Math.min(burnedPercent + lockedPercent, 100);
+    const round = (value) => parseFloat(value.toFixed(2));
+
+    const { rugRisk, rugRiskCause, withdrawablePercent, message } =
+      classifyRugRisk({ securedPercent, ownerPercent, expiredLockPercent, unlockingSoonPercent });
+    console.log(`   💧 Liquidity Analysis: ${message}`);
+
+    return {
+      available: true,
+      lpHolderCount: parseInt(securityData.lp_holder_count) || lpHolders.length,
+      lpTotalSupply: securityData.lp_total_supply || null,
+      burnedPercent: round(burnedPercent),
+      lockedPercent: round(lockedPercent),
+      expiredLockPercent: round(expiredLockPercent),
+      securedPercent: round(securedPercent),
+      ownerPercent: round(ownerPercent),
+      withdrawablePercent: round(withdrawablePercent),
+      unlockingSoonPercent: round(unlockingSoonPercent),
+      nextUnlock: nextUnlock !== null ? new Date(nextUnlock).toISOString() : null,
+      locks: locks,
+      rugRisk: rugRisk,
+      rugRiskCause: rugRiskCause,
+      message: message
+    };
+  } catch (error) {
+    console.log(`   ⚠️  Liquidity analysis error: ${error.message}`);
+    return {
+      available: false,
+      rugRisk: 'unknown',
+      message: 'Unable to analyze liquidity'
+    };
+  }
+}
+
+// Solana pools have no lock data here; burned LP is weighted by each pool's USD liquidity
+function analyzeSolanaLiquidity(pools) {
+  const supported = (pools || []).filter(pool => pool.supported);
+  const totalUsd = supported.reduce((sum, pool) => sum + (pool.liquidityUsd || 0), 0);
+
+  if (supported.length === 0 || totalUsd === 0) {
+    return {
+      available: false,
+      rugRisk: 'unknown',
+      pools: pools || [],
+      message: 'No pool with a burnable LP token found'
+    };
+  }
+
+  const burnedPercent = supported.reduce((sum, pool) =>
+    sum + pool.lpBurnedPercent * (pool.liquidityUsd || 0), 0) / totalUsd;
+  const { rugRisk, rugRiskCause, message } = classifyRugRisk({ securedPercent: burnedPercent });
+
+  console.log(`   💧 Liquidity Analysis: ${message}`);
+
+  return {
+    available: true,
+    source: 'raydium',
+    burnedPercent: parseFloat(burnedPercent.toFixed(2)),
+    lockedPercent: null,
+    securedPercent: parseFloat(burnedPercent.toFixed(2)),
+    ownerPercent: null,
+    unlockingSoonPercent: 0,
+    nextUnlock: null,
+    locks: [],
+    pools: pools,
+    rugRisk: rugRisk,
+    rugRiskCause: rugRiskCause,
+    message: message
   };
-  return explorers[network] || '#';
 }
 
-function analyzeHolderConcentration(holders) {
-  if (!holders || holders.length === 0) {
+async function getSolanaLiquidity(address, pairs, { fresh = false } = {}) {
+  try {
+    const { value: pools } = await withCache(
+      'pools',
+      'solana',
+      address,
+      () => withRpc('solana', (connection) => inspectLiquidityPools(connection, pairs)),
+      { fresh, shouldCache: (pools) => pools.length > 0 }
+    );
+    return analyzeSolanaLiquidity(pools);
+  } catch (error) {
+    console.log(`   ⚠️  Solana pool lookup failed: ${error.message}`);
+    return { available: false, rugRisk: 'unknown', message: 'Unable to read liquidity pools' };
+  }
+}
+
+// Explorer lookups per holder are cached for a day, so only new top holders cost requests
+const CLUSTER_LOOKUP_CONCURRENCY = 3;
+
+async function analyzeHolderClusters(network, address, holderAnalysis, pairAddresses, securityData, { fresh = false } = {}) {
+  if (!EXPLORER_APIS[network]) {
     return {
       available: false,
-      top10Percentage: 0,
-      isConcentrated: false,
       risk: 'unknown',
-      message: 'Holder data not available'
+      message: 'Holder clustering not available for this network'
     };
   }
 
+  // Pools, burns, lockers and exchanges are excluded already; contracts are not funded wallets
+  const wallets = (holderAnalysis.top10Holders || []).filter(holder => holder.category === 'wallet');
+  if (wallets.length === 0) {
+    return {
+      available: false,
+      risk: 'unknown',
+      message: 'No wallet holders to cluster'
+    };
+  }
+
+  const explorer = {
+    apiUrl: EXPLORER_APIS[network],
+    apiKey: getExplorerApiKey(network),
+    timeoutMs: TIMEOUTS.EXPLORER_API
+  };
+
   try {
-    const top10Holders = holders.slice(0, 10);
-    
-    let top10Percentage = 0;
-    top10Holders.forEach(holder => {
-      const percentage = parseFloat(holder.percent || 0);
-      top10Percentage += percentage;
-    });
+    const [{ value: launch }, activity] = await Promise.all([
+      withCache(
+        'launch',
+        network,
+        address,
+        () => fetchLaunchActivity(explorer, address, pairAddresses),
+        { fresh, shouldCache: (launch) => launch.launchBlock !== null }
+      ),
+      mapWithConcurrency(wallets, CLUSTER_LOOKUP_CONCURRENCY, async (holder) => {
+        try {
+          const wallet = holder.address.toLowerCase();
+          const { value } = await withCache('funding', network, wallet, () => fetchWalletActivity(network, explorer, wallet), { fresh });
+          return value;
+        } catch (error) {
+          console.log(`   ⚠️  Wallet lookup failed for ${holder.address}: ${error.message}`);
+          return null;
+        }
+      })
+    ]);
 
-    if (top10Percentage < 1) {
-      top10Percentage = top10Percentage * 100;
-    }
+    const creator = securityData.creator_address ? securityData.creator_address.toLowerCase() : null;
+    return buildClusterReport(network, wallets, activity, launch, { creator });
+  } catch (error) {
+    console.log(`   ⚠️  Holder cluster analysis error: ${error.message}`);
+    return {
+      available: false,
+      risk: 'unknown',
+      message: 'Unable to analyze holder clusters'
+    };
+  }
+}
 
-    const isConcentrated = top10Percentage > HOLDER_CONCENTRATION_THRESHOLD;
-    
-    let risk, message;
-    if (top10Percentage > 50) {
-      risk = 'high';
-      message = `DANGER: Top 10 holders control ${top10Percentage.toFixed(2)}% of supply`;
-    } else if (top10Percentage > HOLDER_CONCENTRATION_THRESHOLD) {
-      risk = 'medium';
-      message = `WARNING: Top 10 holders control ${top10Percentage.toFixed(2)}% of supply`;
-    } else {
-      risk = 'low';
-      message = `SAFE: Top 10 holders control only ${top10Percentage.toFixed(2)}% of supply`;
+async function analyzeDeployer(network, address, securityData, { fresh = false } = {}) {
+  if (!EXPLORER_APIS[network]) {
+    return {
+      available: false,
+      reputation: 'unknown',
+      message: 'Deployer analysis not available for this network'
+    };
+  }
+
+  const explorer = {
+    apiUrl: EXPLORER_APIS[network],
+    apiKey: getExplorerApiKey(network),
+    timeoutMs: TIMEOUTS.EXPLORER_API
+  };
+
+  try {
+    const creator = securityData.creator_address
+      ? securityData.creator_address.toLowerCase()
+      : await getContractCreator(explorer, address);
+
+    if (!creator) {
+      return {
+        available: false,
+        reputation: 'unknown',
+        message: 'Contract creator not found'
+      };
     }
 
-    console.log(`   📊 Holder Analysis: ${message}`);
+    const { value: activity } = await withCache(
+      'deployer',
+      network,
+      creator,
+      () => fetchDeployerActivity(network, explorer, creator),
+      { fresh }
+    );
+    return buildDeployerReport(network, address, activity);
+  } catch (error) {
+    console.log(`   ⚠️  Deployer analysis error: ${error.message}`);
+    return {
+      available: false,
+      address: securityData.creator_address || null,
+      reputation: 'unknown',
+      message: 'Unable to analyze deployer'
+    };
+  }
+}
 
+// Raw code is cached rather than the analysis, so template matches track new scan history
+async function getBytecodeAnalysis(network, address, { fresh = false } = {}) {
+  if (network === 'solana') {
     return {
-      available: true,
-      top10Percentage: parseFloat(top10Percentage.toFixed(2)),
-      isConcentrated: isConcentrated,
-      risk: risk,
-      message: message,
-      top10Holders: top10Holders.map(h => ({
-        address: h.address,
-        balance: h.balance,
-        percent: parseFloat((parseFloat(h.percent) * 100).toFixed(4)),
-        tag: h.tag || 'Unknown'
-      }))
+      available: false,
+      message: 'Bytecode analysis applies to EVM contracts only'
     };
+  }
+
+  try {
+    const { value: code } = await withCache(
+      'bytecode',
+      network,
+      address,
+      () => withRpc(network, (provider) => provider.getCode(address)),
+      { fresh, shouldCache: (code) => !!code && code !== '0x' }
+    );
+    return analyzeBytecode(code, {
+      findFlaggedByCodeHash: (codeHash) => findHoneypotByCodeHash(codeHash, network, address)
+    });
   } catch (error) {
-    console.log(`   ⚠️  Holder analysis error: ${error.message}`);
+    console.log(`   ⚠️  Bytecode analysis error: ${error.message}`);
     return {
       available: false,
-      top10Percentage: 0,
-      isConcentrated: false,
-      risk: 'unknown',
-      message: 'Unable to analyze holder concentration'
+      message: 'Unable to fetch contract bytecode'
     };
   }
 }
 
+const RESOLVED_PROXY_UNAVAILABLE = {
+  resolved: false,
+  isProxy: false,
+  isUpgradeable: false
+};
+
+async function fetchProxyDetails(network, address) {
+  const slots = await withRpc(network, (provider) => resolveProxy(provider, address));
+  if (!slots.isProxy || !EXPLORER_APIS[network]) {
+    return { ...slots, upgrades: null };
+  }
+
+  const explorer = {
+    apiUrl: EXPLORER_APIS[network],
+    apiKey: getExplorerApiKey(network),
+    timeoutMs: TIMEOUTS.EXPLORER_API
+  };
+  try {
+    return { ...slots, upgrades: await fetchUpgradeHistory(explorer, address, slots.beacon) };
+  } catch (error) {
+    console.log(`   ⚠️  Upgrade history unavailable: ${error.message}`);
+    return { ...slots, upgrades: null };
+  }
+}
+
+// Storage slots and upgrade events, then the implementation gets the same source/bytecode checks
+async function analyzeProxy(network, address, securityData, { fresh = false } = {}) {
+  if (network === 'solana') {
+    return { ...RESOLVED_PROXY_UNAVAILABLE, message: 'Proxy resolution applies to EVM contracts only' };
+  }
+
+  let details;
+  try {
+    const { value } = await withCache('proxy', network, address, () => fetchProxyDetails(network, address), { fresh });
+    details = value;
+  } catch (error) {
+    console.log(`   ⚠️  Proxy resolution error: ${error.message}`);
+    return { ...RESOLVED_PROXY_UNAVAILABLE, message: 'Unable to read proxy storage slots' };
+  }
+
+  if (!details.isProxy) {
+    return {
+      resolved: true,
+      isProxy: false,
+      isUpgradeable: false,
+      reportedByGoPlus: securityData.is_proxy === '1',
+      message: securityData.is_proxy === '1'
+        ? 'GoPlus reports a proxy, but no standard proxy slots are set'
+        : 'Not a proxy contract'
+    };
+  }
+
+  let implementationAnalysis = null;
+  if (details.implementation) {
+    const [explorerResult, bytecodeAnalysis] = await Promise.all([
+      EXPLORER_APIS[network]
+        ? withCache('explorer', network, details.implementation,
+          () => fetchExplorerSecurity(network, details.implementation),
+          { fresh, shouldCache: hasProviderFields }).catch(() => null)
+        : null,
+      getBytecodeAnalysis(network, details.implementation, { fresh })
+    ]);
+    const raw = explorerResult && explorerResult.value ? explorerResult.value.raw : null;
+    const verificationKnown = !!raw && raw.verification.checked !== false;
+
+    implementationAnalysis = {
+      address: details.implementation,
+      verified: verificationKnown ? !!raw.verification.verified : null,
+      contractName: raw ? raw.verification.contractName || null : null,
+      sourceAnalysis: raw ? raw.sourceAnalysis : { available: false, message: 'Implementation source not available' },
+      bytecodeAnalysis
+    };
+  }
+
+  const controller = controllerType(details.admin);
+  const upgradeSummary = summarizeUpgrades(details.upgrades);
+
+  let message = `${details.standard} proxy, upgrades controlled by ${controller === 'eoa' ? 'a single wallet' : `a ${controller}`}`;
+  if (upgradeSummary.recentlyUpgraded) {
+    message += `, upgraded ${upgradeSummary.lastUpgradeAt.substring(0, 10)}`;
+  }
+  console.log(`   🧩 Proxy Analysis: ${message}`);
+
+  return {
+    resolved: true,
+    isProxy: true,
+    isUpgradeable: true,
+    standard: details.standard,
+    implementation: details.implementation,
+    beacon: details.beacon,
+    admin: details.admin,
+    adminSource: details.adminSource,
+    controllerType: controller,
+    implementationVerified: implementationAnalysis ? implementationAnalysis.verified : null,
+    implementationAnalysis,
+    upgrades: details.upgrades,
+    ...upgradeSummary,
+    message
+  };
+}
+
 async function getTokenInfoFromExplorer(network, address) {
   if (network === 'solana' || !EXPLORER_APIS[network]) {
     return { found: false };
@@ -255,9 +832,10 @@ async function getTokenInfoFromExplorer(network, address) {
   return { found: false };
 }
 
+// checked: false when no explorer answered, so callers can tell "unknown" from "unverified"
 async function getContractVerificationStatus(network, address) {
   if (network === 'solana' || !EXPLORER_APIS[network]) {
-    return { verified: false };
+    return { verified: false, checked: false };
   }
 
   try {
@@ -284,17 +862,19 @@ async function getContractVerificationStatus(network, address) {
         contractName: result.ContractName || null,
         compilerVersion: result.CompilerVersion || null,
         optimization: result.OptimizationUsed === '1',
-        license: result.LicenseType || 'None'
+        license: result.LicenseType || 'None',
+        sourceCode: isVerified ? result.SourceCode : null,
+        abi: isVerified ? result.ABI : null
       };
     }
   } catch (error) {
     console.log(`   ⚠️  Verification check failed: ${error.message}`);
   }
   
-  return { verified: false };
+  return { verified: false, checked: false };
 }
 
-async function getTokenInfoFromDexScreener(address) {
+async function getTokenInfoFromDexScreener(network, address) {
   try {
     console.log('📊 Fetching from DexScreener...');
     const dexUrl = `https://api.dexscreener.com/latest/dex/tokens/${address}`;
@@ -303,8 +883,12 @@ async function getTokenInfoFromDexScreener(address) {
       headers: { 'User-Agent': 'TokenScanner/1.3' }
     });
 
-    if (response.data && response.data.pairs && response.data.pairs.length > 0) {
-      const pairs = response.data.pairs.sort((a, b) => 
+    // The same address can exist on several chains; only pairs on the scanned one count
+    const dexscreenerId = getChain(network).dexscreenerId;
+    const chainPairs = ((response.data && response.data.pairs) || []).filter(pair => pair.chainId === dexscreenerId);
+
+    if (chainPairs.length > 0) {
+      const pairs = chainPairs.sort((a, b) => 
         parseFloat(b.liquidity?.usd || 0) - parseFloat(a.liquidity?.usd || 0)
       );
       const mainPair = pairs[0];
@@ -312,6 +896,12 @@ async function getTokenInfoFromDexScreener(address) {
       return {
         name: mainPair.baseToken?.name || 'Unknown Token',
         symbol: mainPair.baseToken?.symbol || 'UNKNOWN',
+        pairs: pairs.map(pair => ({
+          dexId: pair.dexId,
+          pairAddress: pair.pairAddress,
+          labels: pair.labels || [],
+          liquidityUsd: parseFloat(pair.liquidity?.usd || 0)
+        })),
         found: true
       };
     }
@@ -321,373 +911,1253 @@ async function getTokenInfoFromDexScreener(address) {
   return { name: 'Unknown Token', symbol: 'UNKNOWN', found: false };
 }
 
-async function getSolanaTokenOwnership(address) {
-  try {
-    console.log('🔗 Checking Solana blockchain...');
-    
-    const connection = new Connection(RPC_ENDPOINTS.solana, 'confirmed');
-    const mintPublicKey = new PublicKey(address);
-    
-    const timeoutPromise = new Promise((_, reject) => 
-      setTimeout(() => reject(new Error('Timeout')), TIMEOUTS.RPC_CALL)
-    );
-    
-    const mintInfo = await Promise.race([
-      connection.getParsedAccountInfo(mintPublicKey),
-      timeoutPromise
-    ]);
-    
-    if (mintInfo.value && mintInfo.value.data && mintInfo.value.data.parsed) {
-      const mintData = mintInfo.value.data.parsed.info;
-      
-      return {
-        found: true,
-        mintAuthority: mintData.mintAuthority,
-        freezeAuthority: mintData.freezeAuthority,
-        isOwnershipRenounced: mintData.mintAuthority === null,
-        canFreeze: mintData.freezeAuthority !== null,
-        decimals: mintData.decimals,
-        supply: mintData.supply
-      };
+const ERC20_ABI = [
+  'function name() view returns (string)',
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)',
+  'function totalSupply() view returns (uint256)',
+  'function owner() view returns (address)'
+];
+
+// ============================================
+// SECURITY DATA PROVIDERS
+// Each provider returns GoPlus-style fields; results are merged field by
+// field, the lowest priority number winning.
+// ============================================
+
+const goplusAddressKey = (network, address) => network === 'solana' ? address : address.toLowerCase();
+
+// GoPlus accepts a comma separated list of contracts on the same chain
+async function fetchGoPlusBatch(network, addresses) {
+  const chainId = getChain(network).goplusId;
+  const addressKeys = addresses.map(address => goplusAddressKey(network, address));
+  const goplusUrl = `https://api.gopluslabs.io/api/v1/token_security/${chainId}?contract_addresses=${addressKeys.join(',')}`;
+
+  const response = await axios.get(goplusUrl, {
+    timeout: TIMEOUTS.GOPLUS_API,
+    headers: {
+      'User-Agent': 'TokenScanner/1.3',
+      'Accept': 'application/json'
     }
-  } catch (error) {
-    console.log('⚠️  Solana query failed:', error.message);
-  }
-  
-  return { found: false };
+  });
+
+  const results = (response.data && response.data.result) || {};
+  const byAddress = {};
+  addresses.forEach((address, i) => {
+    const result = results[addressKeys[i]];
+    byAddress[address] = result ? { fields: result, raw: result } : null;
+  });
+  return byAddress;
 }
 
-const calculateRiskScore = (securityData, verificationData, holderAnalysis) => {
-  let score = 100;
-  let risks = [];
+async function fetchGoPlusSecurity(network, address) {
+  const results = await fetchGoPlusBatch(network, [address]);
+  return results[address];
+}
 
-  if (securityData.is_honeypot === '1') {
-    score -= 40;
-    risks.push('CRITICAL: Honeypot detected');
-  }
+async function fetchOnChainSecurity(network, address) {
+  if (network === 'solana') {
+    console.log('🔗 Checking Solana blockchain...');
+    const mintInfo = await withRpc('solana', (connection) => inspectMint(connection, address));
+    if (!mintInfo.found) {
+      return null;
+    }
 
-  if (securityData.is_mintable === '1') {
-    score -= 15;
-    risks.push('HIGH: Mint function active');
+    return {
+      fields: toSecurityFields(mintInfo),
+      raw: mintInfo
+    };
   }
 
-  if (securityData.owner_address && 
-      securityData.owner_address !== '0x0000000000000000000000000000000000000000' &&
-      securityData.owner_address !== null) {
-    score -= 10;
-    risks.push('MEDIUM: Ownership not renounced');
+  let onchain;
+  try {
+    onchain = await withRpc(network, async (provider) => {
+      const contract = new ethers.Contract(address, ERC20_ABI, provider);
+      const totalSupply = await contract.totalSupply();
+      const [name, symbol, decimals, owner] = await Promise.allSettled([
+        contract.name(),
+        contract.symbol(),
+        contract.decimals(),
+        contract.owner()
+      ]);
+      return { totalSupply, name, symbol, decimals, owner };
+    });
+  } catch (error) {
+    if (error.code === 'CALL_EXCEPTION' || error.code === 'BAD_DATA') {
+      return null;
+    }
+    throw error;
   }
 
-  if (securityData.can_take_back_ownership === '1') {
-    score -= 15;
-    risks.push('HIGH: Owner can reclaim ownership');
-  }
+  const { totalSupply, name, symbol, decimals, owner } = onchain;
+  const fields = {};
+  if (name.status === 'fulfilled') fields.token_name = name.value;
+  if (symbol.status === 'fulfilled') fields.token_symbol = symbol.value;
+  if (owner.status === 'fulfilled') fields.owner_address = owner.value.toLowerCase();
 
-  if (securityData.is_blacklisted === '1') {
-    score -= 20;
-    risks.push('HIGH: Blacklist enabled');
-  }
+  return {
+    fields,
+    raw: {
+      name: fields.token_name || null,
+      symbol: fields.token_symbol || null,
+      decimals: decimals.status === 'fulfilled' ? Number(decimals.value) : null,
+      totalSupply: totalSupply.toString(),
+      ownerAddress: fields.owner_address || null
+    }
+  };
+}
 
-  const buyTax = parseFloat(securityData.buy_tax) || 0;
-  const sellTax = parseFloat(securityData.sell_tax) || 0;
+async function fetchSimulationSecurity(network, address) {
+  console.log('🧪 Simulating buy/sell via eth_call...');
+  const simulation = await runSimulation(network, address);
 
-  if (buyTax > 0.1 || sellTax > 0.1) {
-    score -= 10;
-    risks.push(`MEDIUM: High tax - Buy: ${(buyTax * 100).toFixed(1)}%, Sell: ${(sellTax * 100).toFixed(1)}%`);
+  const fields = {};
+  if (simulation.simulated) {
+    fields.is_honeypot = simulation.isHoneypot ? '1' : '0';
+    if (simulation.buyTax !== null) fields.buy_tax = String(simulation.buyTax);
+    if (simulation.sellTax !== null) fields.sell_tax = String(simulation.sellTax);
+    if (simulation.transferTax !== null) fields.transfer_tax = String(simulation.transferTax);
   }
 
-  if (securityData.is_proxy === '1') {
-    score -= 10;
-    risks.push('MEDIUM: Proxy contract');
-  }
+  return { fields, raw: simulation };
+}
 
-  if (holderAnalysis && holderAnalysis.available) {
-    if (holderAnalysis.risk === 'high') {
-      score -= 25;
-      risks.push(`HIGH: ${holderAnalysis.message}`);
-    } else if (holderAnalysis.risk === 'medium') {
-      score -= 15;
-      risks.push(`MEDIUM: ${holderAnalysis.message}`);
-    }
-  }
+// Source and ABI are analyzed here and dropped, so neither the cache nor responses carry them
+async function fetchExplorerSecurity(network, address) {
+  const [explorerData, { sourceCode, abi, ...verification }] = await Promise.all([
+    getTokenInfoFromExplorer(network, address),
+    getContractVerificationStatus(network, address)
+  ]);
 
-  if (verificationData && verificationData.verified) {
-    score += 5;
-    score = Math.min(100, score);
-  } else if (verificationData && !verificationData.verified) {
-    score -= 5;
-    risks.push('LOW: Contract not verified');
-  }
+  const sourceAnalysis = verification.verified
+    ? analyzeSource(sourceCode, abi, verification.contractName)
+    : { available: false, message: 'Contract source not verified' };
 
-  if (securityData.holder_count && parseInt(securityData.holder_count) < 100) {
-    score -= 5;
-    risks.push('LOW: Low holder count');
+  const fields = {};
+  if (verification.verified) {
+    fields.is_open_source = '1';
   }
-
-  if (securityData.lp_total_supply) {
-    const lpSupply = parseFloat(securityData.lp_total_supply);
-    if (lpSupply < 1) {
-      score -= 15;
-      risks.push('HIGH: Very low liquidity');
+  if (explorerData.found) {
+    fields.token_name = explorerData.name;
+    fields.token_symbol = explorerData.symbol;
+    if (explorerData.contractCreator) {
+      fields.creator_address = explorerData.contractCreator.toLowerCase();
     }
   }
 
-  return {
-    score: Math.max(0, score),
-    level: score >= 80 ? 'safe' : score >= 50 ? 'warning' : 'danger',
-    risks: risks
-  };
-};
-
-// Main API endpoint
-app.get('/api/check-token/:network/:address', rateLimit, async (req, res) => {
-  try {
-    const { network, address } = req.params;
+  return { fields, raw: { explorerData, verification, sourceAnalysis } };
+}
 
-    if (!RPC_ENDPOINTS[network]) {
-      return res.status(400).json({ error: 'Unsupported network' });
-    }
+async function fetchDexScreenerSecurity(network, address) {
+  const dexInfo = await getTokenInfoFromDexScreener(network, address);
+  if (!dexInfo.found) {
+    return null;
+  }
 
-    const chainId = CHAIN_IDS[network];
-    
-    let isValid = false;
-    if (network === 'solana') {
-      isValid = isValidSolanaAddress(address);
-    } else {
-      isValid = isValidAddress(address);
-    }
+  return {
+    fields: { token_name: dexInfo.name, token_symbol: dexInfo.symbol },
+    raw: dexInfo
+  };
+}
 
-    if (!isValid) {
-      return res.status(400).json({ 
-        error: `Invalid ${network} token address format` 
+const SECURITY_PROVIDERS = [
+  { name: 'goplus', priority: 1, supports: () => true, fetch: fetchGoPlusSecurity },
+  { name: 'simulation', priority: 2, supports: isSimulationSupported, fetch: fetchSimulationSecurity },
+  { name: 'onchain', priority: 3, supports: () => true, fetch: fetchOnChainSecurity },
+  { name: 'explorer', priority: 4, supports: (network) => !!EXPLORER_APIS[network], fetch: fetchExplorerSecurity },
+  { name: 'dexscreener', priority: 5, supports: (network) => network === 'solana', fetch: fetchDexScreenerSecurity }
+];
+
+function mergeProviderResults(results) {
+  const securityData = {};
+  const fieldSources = {};
+
+  results
+    .filter(r => r.status === 'ok')
+    .sort((a, b) => a.priority - b.priority)
+    .forEach(r => {
+      Object.entries(r.fields).forEach(([field, value]) => {
+        if (value === undefined || field in securityData) return;
+        securityData[field] = value;
+        fieldSources[field] = r.name;
       });
-    }
+    });
 
-    let tokenInfo = {
-      name: 'Unknown',
-      symbol: 'Unknown',
-      decimals: network === 'solana' ? 9 : 18,
-      totalSupply: '0',
-      ownerAddress: null,
-      verified: false
-    };
+  return { securityData, fieldSources };
+}
 
-    let verificationData = null;
+const hasProviderFields = (result) => !!result && Object.keys(result.fields).length > 0;
 
-    console.log(`🔍 [${network.toUpperCase()}] ${address.substring(0, 8)}...`);
+// prefetched maps provider name to a result fetched elsewhere (e.g. a batched GoPlus call)
+async function collectSecurityData(network, address, { fresh = false, prefetched = {} } = {}) {
+  const providers = SECURITY_PROVIDERS.filter(p => p.supports(network));
 
-    if (network !== 'solana') {
-      const explorerData = await getTokenInfoFromExplorer(network, address);
-      
-      if (explorerData.found) {
-        tokenInfo.name = explorerData.name;
-        tokenInfo.symbol = explorerData.symbol;
-        tokenInfo.decimals = Number(explorerData.decimals);
-        tokenInfo.totalSupply = explorerData.totalSupply;
-        tokenInfo.verified = explorerData.verified;
+  const results = await Promise.all(providers.map(async (provider) => {
+    const startedAt = Date.now();
+    try {
+      const { value: result, cached, age } = await withCache(
+        provider.name,
+        network,
+        address,
+        provider.name in prefetched
+          ? async () => prefetched[provider.name]
+          : () => provider.fetch(network, address),
+        { fresh, shouldCache: hasProviderFields }
+      );
+      return {
+        name: provider.name,
+        priority: provider.priority,
+        status: hasProviderFields(result) ? 'ok' : 'no_data',
+        fields: result ? result.fields : {},
+        raw: result ? result.raw : null,
+        cached,
+        age,
+        durationMs: Date.now() - startedAt
+      };
+    } catch (error) {
+      console.log(`   ⚠️  ${provider.name} provider failed: ${error.message}`);
+      return {
+        name: provider.name,
+        priority: provider.priority,
+        status: 'error',
+        error: error.message,
+        fields: {},
+        raw: null,
+        cached: false,
+        age: 0,
+        durationMs: Date.now() - startedAt
+      };
+    }
+  }));
+
+  const { securityData, fieldSources } = mergeProviderResults(results);
+  const raw = {};
+  results.forEach(r => { raw[r.name] = r.raw; });
+
+  const contributing = results.filter(r => r.status === 'ok');
+
+  return {
+    securityData: Object.keys(securityData).length > 0 ? securityData : null,
+    fieldSources,
+    raw,
+    cached: contributing.length > 0 && contributing.every(r => r.cached),
+    age: contributing.reduce((max, r) => Math.max(max, r.age), 0),
+    providers: results.map(r => ({
+      name: r.name,
+      status: r.status,
+      cached: r.cached,
+      durationMs: r.durationMs,
+      ...(r.error && { error: r.error })
+    }))
+  };
+}
+
+const SIMULATION_TAX_TOLERANCE = 0.05;
+
+const toPercent = (fraction) => fraction === null || fraction === undefined ? null : parseFloat((fraction * 100).toFixed(2));
+
+function compareWithSimulation(goplusData, simulation) {
+  if (!simulation || !simulation.simulated) {
+    return null;
+  }
+
+  const reported = goplusData ? {
+    isHoneypot: goplusData.is_honeypot === undefined ? null : goplusData.is_honeypot === '1',
+    buyTax: goplusData.buy_tax ? parseFloat(goplusData.buy_tax) : null,
+    sellTax: goplusData.sell_tax ? parseFloat(goplusData.sell_tax) : null,
+    transferTax: goplusData.transfer_tax ? parseFloat(goplusData.transfer_tax) : null
+  } : null;
+
+  const mismatches = [];
+  if (reported) {
+    if (reported.isHoneypot !== null && reported.isHoneypot !== simulation.isHoneypot) {
+      mismatches.push('honeypot');
+    }
+    ['buyTax', 'sellTax', 'transferTax'].forEach(key => {
+      if (reported[key] !== null && simulation[key] !== null &&
+          Math.abs(reported[key] - simulation[key]) > SIMULATION_TAX_TOLERANCE) {
+        mismatches.push(key);
       }
+    });
+  }
 
-      verificationData = await getContractVerificationStatus(network, address);
-      tokenInfo.verified = verificationData.verified;
+  return { reported, mismatches };
+}
+
+// Flattens everything the rules in config/risk-rules.json can reference
+// analyses: { liquidity, deployer, source, bytecode, proxy, solana } sections of the scan response
+function buildRiskFacts(securityData, verificationData, holderAnalysis, simulation, simulationCheck, analyses = {}) {
+  const buyTax = parseFloat(securityData.buy_tax) || 0;
+  const sellTax = parseFloat(securityData.sell_tax) || 0;
+
+  let taxMismatchSummary = null;
+  if (simulationCheck) {
+    const taxMismatches = simulationCheck.mismatches.filter(m => m !== 'honeypot');
+    if (taxMismatches.length > 0) {
+      taxMismatchSummary = taxMismatches.map(key =>
+        `${key.replace('Tax', '')} reported ${toPercent(simulationCheck.reported[key])}%, simulated ${toPercent(simulation[key])}%`
+      ).join('; ');
     }
+  }
+
+  return {
+    security: securityData,
+    taxes: {
+      buy: buyTax,
+      sell: sellTax,
+      buyPercent: (buyTax * 100).toFixed(1),
+      sellPercent: (sellTax * 100).toFixed(1)
+    },
+    simulation: simulation && simulation.simulated ? {
+      isHoneypot: simulation.isHoneypot,
+      buyTax: simulation.buyTax,
+      sellTax: simulation.sellTax,
+      transferTax: simulation.transferTax,
+      honeypotMismatch: !!simulationCheck && simulationCheck.mismatches.includes('honeypot'),
+      taxMismatchSummary
+    } : {},
+    holders: holderAnalysis || {},
+    clusters: analyses.clusters || {},
+    market: analyses.market || {},
+    liquidity: analyses.liquidity || {},
+    deployer: analyses.deployer || {},
+    source: analyses.source || {},
+    bytecode: analyses.bytecode || {},
+    proxy: analyses.proxy || {},
+    solana: analyses.solana || {},
+    verification: verificationData ? { verified: !!verificationData.verified } : {}
+  };
+}
 
-    let goplusUrl;
-    let addressKey;
+const calculateRiskScore = (securityData, verificationData, holderAnalysis, simulation, simulationCheck, analyses, ruleset = getRulesetForApiKey()) => {
+  const facts = buildRiskFacts(securityData, verificationData, holderAnalysis, simulation, simulationCheck, analyses);
+  return evaluateRules(facts, ruleset);
+};
 
-    if (network === 'solana') {
-      goplusUrl = `https://api.gopluslabs.io/api/v1/token_security/solana?contract_addresses=${address}`;
-      addressKey = address;
-    } else {
-      goplusUrl = `https://api.gopluslabs.io/api/v1/token_security/${chainId}?contract_addresses=${address.toLowerCase()}`;
-      addressKey = address.toLowerCase();
+// Fields no provider reported stay null in responses instead of reading as safe
+const isKnownField = (value) => value !== undefined && value !== null && value !== '';
+const flagField = (securityData, field) => isKnownField(securityData[field]) ? securityData[field] === '1' : null;
+const taxField = (securityData, field) => isKnownField(securityData[field])
+  ? (parseFloat(securityData[field]) * 100).toFixed(2) + '%'
+  : null;
+
+// All DexScreener pairs for an address, across chains
+function fetchDexPairs(address, { fresh = false } = {}) {
+  return withCache(
+    'market',
+    isValidAddress(address) ? 'evm' : 'solana',
+    address,
+    async () => {
+      const response = await axios.get(`https://api.dexscreener.com/latest/dex/tokens/${address}`, {
+        timeout: TIMEOUTS.DEXSCREENER_API,
+        headers: { 'User-Agent': 'TokenScanner/1.3' }
+      });
+      return response.data && response.data.pairs ? response.data.pairs : [];
+    },
+    { fresh, shouldCache: (value) => value.length > 0 }
+  );
+}
+
+// Pools hold supply for trading; counting them as holders flags every token with deep liquidity
+async function analyzeTokenHolders(network, address, securityData, raw, chainPairs, { fresh = false } = {}) {
+  const pairAddresses = [
+    ...(securityData.dex || []).map(dex => dex.pair),
+    raw.simulation ? raw.simulation.pair : null,
+    ...(raw.dexscreener ? raw.dexscreener.pairs.map(pair => pair.pairAddress) : []),
+    ...(chainPairs || []).map(pair => pair.pairAddress)
+  ];
+  const concentration = analyzeHolderConcentration(securityData.holders || [], {
+    network,
+    pairAddresses,
+    holderCount: parseInt(securityData.holder_count) || null
+  });
+  const clusters = await analyzeHolderClusters(network, address, concentration, pairAddresses, securityData, { fresh });
+  return { concentration, clusters };
+}
+
+function analyzeTokenLiquidity(network, address, securityData, raw, { fresh = false } = {}) {
+  return network === 'solana' && !securityData.lp_holders
+    ? getSolanaLiquidity(address, raw.dexscreener ? raw.dexscreener.pairs : [], { fresh })
+    : Promise.resolve(analyzeLiquidity(securityData));
+}
+
+// Top pairs by liquidity plus the market analysis of the main pair's chain
+function buildMarketData(dexPairs) {
+  const pairs = [...dexPairs].sort((a, b) =>
+    parseFloat(b.liquidity?.usd || 0) - parseFloat(a.liquidity?.usd || 0)
+  );
+
+  const mainPair = pairs[0];
+
+  return {
+    marketRisk: analyzeMarket(pairs.filter(pair => pair.chainId === mainPair.chainId)),
+    pairs: pairs.slice(0, 5).map(pair => ({
+      chainId: pair.chainId,
+      dexId: pair.dexId,
+      pairAddress: pair.pairAddress,
+      baseToken: pair.baseToken,
+      quoteToken: pair.quoteToken,
+      priceUsd: pair.priceUsd,
+      liquidity: pair.liquidity,
+      volume: pair.volume,
+      priceChange: pair.priceChange,
+      url: pair.url
+    })),
+    mainPair: {
+      symbol: mainPair.baseToken?.symbol,
+      priceUsd: mainPair.priceUsd,
+      liquidity: mainPair.liquidity?.usd,
+      volume24h: mainPair.volume?.h24,
+      priceChange24h: mainPair.priceChange?.h24,
+      pairUrl: mainPair.url
     }
+  };
+}
+
+// DexScreener pairs on one chain; a failed lookup only costs the market analysis
+async function fetchChainPairs(network, address, { fresh = false } = {}) {
+  try {
+    const { value: pairs } = await fetchDexPairs(address, { fresh });
+    return pairs.filter(pair => pair.chainId === getChain(network).dexscreenerId);
+  } catch (error) {
+    console.log(`   ⚠️  DexScreener lookup failed: ${error.message}`);
+    return null;
+  }
+}
+
+// Errors carrying an HTTP status, so endpoints can relay them as-is
+const scanError = (status, message, details = {}) => {
+  const error = new Error(message);
+  error.status = status;
+  error.details = details;
+  return error;
+};
+
+function assertValidToken(network, address) {
+  if (!isSupportedNetwork(network)) {
+    throw scanError(400, 'Unsupported network');
+  }
+
+  let isValid = false;
+  if (network === 'solana') {
+    isValid = isValidSolanaAddress(address);
+  } else {
+    isValid = isValidAddress(address);
+  }
+
+  if (!isValid) {
+    throw scanError(400, `Invalid ${network} token address format`);
+  }
+}
+
+// shared: in-flight lookups and analyses (collected, chainPairs, holders, liquidity) from a caller
+// that builds other views of the same token, so none of them runs twice
+async function scanToken(network, address, { fresh = false, prefetched = {}, apiKeyId = null, shared = {} } = {}) {
+  assertValidToken(network, address);
+
+  const chainId = CHAIN_IDS[network];
+
+  let tokenInfo = {
+    name: 'Unknown',
+    symbol: 'Unknown',
+    decimals: network === 'solana' ? 9 : 18,
+    totalSupply: '0',
+    ownerAddress: null,
+    verified: false
+  };
+
+  console.log(`🔍 [${network.toUpperCase()}] ${address.substring(0, 8)}...`);
+
+  // Market data is only needed once security data is in, so it is fetched alongside
+  const chainPairsPromise = shared.chainPairs || fetchChainPairs(network, address, { fresh });
+  const { securityData, fieldSources, raw, providers, cached, age } =
+    await (shared.collected || collectSecurityData(network, address, { fresh, prefetched }));
+
+  const verificationData = raw.explorer ? raw.explorer.verification : null;
+  const sourceAnalysis = raw.explorer && raw.explorer.sourceAnalysis
+    ? raw.explorer.sourceAnalysis
+    : { available: false, message: 'Verified source not available' };
+  const explorerData = raw.explorer ? raw.explorer.explorerData : { found: false };
+  const onchainData = raw.onchain;
+
+  if (explorerData.found) {
+    tokenInfo.name = explorerData.name;
+    tokenInfo.symbol = explorerData.symbol;
+    tokenInfo.decimals = Number(explorerData.decimals);
+    tokenInfo.totalSupply = explorerData.totalSupply;
+  } else if (onchainData) {
+    const onchainSupply = network === 'solana' ? onchainData.supply : onchainData.totalSupply;
+    if (onchainSupply) {
+      tokenInfo.totalSupply = onchainSupply;
+    }
+    if (onchainData.decimals !== undefined && onchainData.decimals !== null) {
+      tokenInfo.decimals = onchainData.decimals;
+    }
+  }
+
+  if (verificationData) {
+    tokenInfo.verified = verificationData.verified;
+  }
+
+  if (!securityData) {
+    throw scanError(404, 'Unable to fetch security data', { providers: providers });
+  }
 
-    let securityData = null;
+  if (tokenInfo.name === 'Unknown' && securityData.token_name) {
+    tokenInfo.name = securityData.token_name;
+  }
+  if (tokenInfo.symbol === 'Unknown' && securityData.token_symbol) {
+    tokenInfo.symbol = securityData.token_symbol;
+  }
 
+  const simulation = raw.simulation;
+  const chainPairs = await chainPairsPromise;
+  const marketAnalysis = chainPairs
+    ? analyzeMarket(chainPairs)
+    : { available: false, risk: 'unknown', message: 'Unable to fetch market data' };
+
+  const simulationCheck = compareWithSimulation(raw.goplus, simulation);
+  const [liquidityAnalysis, deployerAnalysis, bytecodeAnalysis, proxyAnalysis, holders] = await Promise.all([
+    shared.liquidity || analyzeTokenLiquidity(network, address, securityData, raw, { fresh }),
+    analyzeDeployer(network, address, securityData, { fresh }),
+    getBytecodeAnalysis(network, address, { fresh }),
+    analyzeProxy(network, address, securityData, { fresh }),
+    shared.holders || analyzeTokenHolders(network, address, securityData, raw, chainPairs, { fresh })
+  ]);
+  const holderAnalysis = holders.concentration;
+  const clusterAnalysis = holders.clusters;
+
+  // Behind a proxy the implementation's code is what actually runs
+  const implementation = proxyAnalysis.implementationAnalysis;
+  const riskAssessment = calculateRiskScore(securityData, verificationData, holderAnalysis, simulation, simulationCheck, {
+    liquidity: liquidityAnalysis,
+    deployer: deployerAnalysis,
+    clusters: clusterAnalysis,
+    market: marketAnalysis,
+    source: implementation && implementation.sourceAnalysis.available ? implementation.sourceAnalysis : sourceAnalysis,
+    bytecode: implementation && implementation.bytecodeAnalysis.available ? implementation.bytecodeAnalysis : bytecodeAnalysis,
+    proxy: proxyAnalysis,
+    solana: network === 'solana' ? raw.onchain : null
+  }, getRulesetForApiKey(apiKeyId));
+
+  const response = {
+    address: address,
+    network: network,
+    chainId: chainId,
+    tokenInfo: tokenInfo,
+    security: {
+      isHoneypot: flagField(securityData, 'is_honeypot'),
+      canSell: isKnownField(securityData.is_honeypot) ? securityData.is_honeypot !== '1' : null,
+      tradingCooldown: flagField(securityData, 'trading_cooldown'),
+      buyTax: taxField(securityData, 'buy_tax'),
+      sellTax: taxField(securityData, 'sell_tax'),
+      canModifyTax: flagField(securityData, 'slippage_modifiable'),
+      ownerAddress: securityData.owner_address || tokenInfo.ownerAddress,
+      isOwnershipRenounced: securityData.owner_address === undefined
+        ? null
+        : securityData.owner_address === '0x0000000000000000000000000000000000000000' || securityData.owner_address === null,
+      canTakeBackOwnership: flagField(securityData, 'can_take_back_ownership'),
+      isMintable: flagField(securityData, 'is_mintable'),
+      canBurn: flagField(securityData, 'can_burn'),
+      totalSupply: tokenInfo.totalSupply,
+      hasBlacklist: flagField(securityData, 'is_blacklisted'),
+      canBlacklist: flagField(securityData, 'is_blacklisted'),
+      hasWhitelist: flagField(securityData, 'is_whitelisted'),
+      isProxy: proxyAnalysis.resolved ? proxyAnalysis.isProxy : flagField(securityData, 'is_proxy'),
+      isUpgradeable: proxyAnalysis.resolved ? proxyAnalysis.isUpgradeable : flagField(securityData, 'is_proxy'),
+      liquidityTotal: securityData.lp_total_supply || null,
+      lpHolderCount: securityData.lp_holder_count || null,
+      holderCount: securityData.holder_count || null,
+      topHolders: securityData.holders || []
+    },
+    honeypotSimulation: simulation ? {
+      simulated: simulation.simulated,
+      dex: simulation.dex,
+      pair: simulation.pair,
+      amountIn: simulation.amountIn,
+      buySucceeded: simulation.buySucceeded,
+      sellSucceeded: simulation.sellSucceeded,
+      isHoneypot: simulation.isHoneypot,
+      measured: {
+        buyTax: toPercent(simulation.buyTax),
+        sellTax: toPercent(simulation.sellTax),
+        transferTax: toPercent(simulation.transferTax)
+      },
+      reported: simulationCheck && simulationCheck.reported ? {
+        source: 'goplus',
+        isHoneypot: simulationCheck.reported.isHoneypot,
+        buyTax: toPercent(simulationCheck.reported.buyTax),
+        sellTax: toPercent(simulationCheck.reported.sellTax),
+        transferTax: toPercent(simulationCheck.reported.transferTax)
+      } : null,
+      mismatches: simulationCheck ? simulationCheck.mismatches : [],
+      failureReason: simulation.failureReason
+    } : { simulated: false },
+    holderConcentration: holderAnalysis,
+    holderClusters: clusterAnalysis,
+    liquidityAnalysis: liquidityAnalysis,
+    marketRisk: marketAnalysis,
+    deployer: deployerAnalysis,
+    sourceAnalysis: sourceAnalysis,
+    bytecodeAnalysis: bytecodeAnalysis,
+    proxy: proxyAnalysis,
+    ...(network === 'solana' && {
+      solanaAnalysis: raw.onchain ? {
+        tokenProgram: raw.onchain.tokenProgram,
+        mintAuthority: raw.onchain.mintAuthority,
+        freezeAuthority: raw.onchain.freezeAuthority,
+        extensions: raw.onchain.extensions,
+        metadata: raw.onchain.metadata
+      } : null
+    }),
+    verification: verificationData || { verified: false },
+    riskAssessment: riskAssessment,
+    dataSources: {
+      providers: providers,
+      fields: fieldSources
+    },
+    cached: cached,
+    age: age,
+    timestamp: new Date().toISOString(),
+    explorerUrl: getExplorerUrl(network, address)
+  };
+
+  console.log(`✅ Risk: ${riskAssessment.level.toUpperCase()} (${riskAssessment.score}/100)`);
+  countScan(network, riskAssessment.level);
+
+  // A fully cached result adds nothing new to the timeline
+  if (!cached) {
     try {
-      const goplusResponse = await axios.get(goplusUrl, {
-        timeout: TIMEOUTS.GOPLUS_API,
-        headers: { 
-          'User-Agent': 'TokenScanner/1.3',
-          'Accept': 'application/json'
-        }
-      });
+      const previous = getLatestScan(network, address);
+      recordScan(response);
 
-      if (goplusResponse.data && goplusResponse.data.result) {
-        securityData = goplusResponse.data.result[addressKey];
-        
-        if (securityData) {
-          if (tokenInfo.name === 'Unknown' && securityData.token_name) {
-            tokenInfo.name = securityData.token_name;
-          }
-          if (tokenInfo.symbol === 'Unknown' && securityData.token_symbol) {
-            tokenInfo.symbol = securityData.token_symbol;
-          }
-        }
+      // First scan of a token is a baseline, not a change
+      if (previous && previous.level !== riskAssessment.level) {
+        notifyRiskLevelChange(response, previous);
       }
     } catch (error) {
-      console.error('GoPlus error:', error.message);
+      console.log(`   ⚠️  Failed to record scan history: ${error.message}`);
     }
+  }
 
-    if (!securityData && network === 'solana') {
-      const dexInfo = await getTokenInfoFromDexScreener(address);
-      
-      if (dexInfo.found) {
-        tokenInfo.name = dexInfo.name;
-        tokenInfo.symbol = dexInfo.symbol;
-      }
-      
-      const solanaOwnership = await getSolanaTokenOwnership(address);
-      
-      let ownerAddress = null;
-      let isMintable = '0';
-      let canFreeze = '0';
-      
-      if (solanaOwnership.found) {
-        ownerAddress = solanaOwnership.mintAuthority;
-        isMintable = solanaOwnership.mintAuthority !== null ? '1' : '0';
-        canFreeze = solanaOwnership.canFreeze ? '1' : '0';
-        
-        if (solanaOwnership.supply) {
-          tokenInfo.totalSupply = solanaOwnership.supply;
-        }
-        if (solanaOwnership.decimals !== undefined) {
-          tokenInfo.decimals = solanaOwnership.decimals;
-        }
-      }
-      
-      securityData = {
-        token_name: tokenInfo.name,
-        token_symbol: tokenInfo.symbol,
-        is_honeypot: '0',
-        is_mintable: isMintable,
-        owner_address: ownerAddress,
-        is_blacklisted: canFreeze,
-        is_whitelisted: '0',
-        is_proxy: '0',
-        buy_tax: '0',
-        sell_tax: '0',
-        slippage_modifiable: '0',
-        can_take_back_ownership: '0',
-        trading_cooldown: '0',
-        can_burn: '0',
-        holder_count: 'N/A',
-        lp_total_supply: 'N/A',
-        lp_holder_count: 'N/A',
-        holders: []
-      };
+  return response;
+}
+
+// Main API endpoint
+// Finds every chain the address has code or trading pairs on, most liquid first.
+// EVM addresses are the same format everywhere, so each EVM chain is asked for code.
+async function detectNetworks(address, { fresh = false } = {}) {
+  const isEvm = isValidAddress(address);
+  if (!isEvm && !isValidSolanaAddress(address)) {
+    throw scanError(400, 'Invalid token address');
+  }
+
+  const candidates = NETWORKS.filter(network => isEvm ? isEvmNetwork(network) : !isEvmNetwork(network));
+
+  const [pairsResult, ...codeResults] = await Promise.allSettled([
+    fetchDexPairs(address, { fresh }),
+    ...candidates.map(network => isEvm
+      ? withCache(
+        'bytecode',
+        network,
+        address,
+        () => withRpc(network, (provider) => provider.getCode(address)),
+        { fresh, shouldCache: (code) => !!code && code !== '0x' }
+      )
+      : Promise.resolve(null))
+  ]);
+
+  if (pairsResult.status === 'rejected') {
+    console.log(`   ⚠️  DexScreener lookup failed: ${pairsResult.reason.message}`);
+  }
+  const pairs = pairsResult.status === 'fulfilled' ? pairsResult.value.value : [];
+
+  const deployments = candidates.map((network, i) => {
+    const chainPairs = pairs.filter(pair => pair.chainId === getChain(network).dexscreenerId);
+    const codeResult = codeResults[i];
+    let hasCode = null;
+    if (isEvm && codeResult.status === 'fulfilled') {
+      hasCode = !!codeResult.value.value && codeResult.value.value !== '0x';
+    } else if (isEvm) {
+      console.log(`   ⚠️  [${network.toUpperCase()}] getCode failed: ${codeResult.reason.message}`);
     }
 
-    if (!securityData) {
-      return res.status(404).json({ 
-        error: 'Unable to fetch security data'
+    return {
+      network,
+      hasCode,
+      pairCount: chainPairs.length,
+      liquidityUsd: chainPairs.reduce((sum, pair) => sum + parseFloat(pair.liquidity?.usd || 0), 0)
+    };
+  }).filter(d => d.hasCode || d.pairCount > 0);
+
+  // Solana has no cheap existence check here; without pairs, let the scan decide
+  if (!isEvm && deployments.length === 0) {
+    deployments.push({ network: 'solana', hasCode: null, pairCount: 0, liquidityUsd: 0 });
+  }
+
+  return deployments.sort((a, b) => b.liquidityUsd - a.liquidityUsd || (b.hasCode === true) - (a.hasCode === true));
+}
+
+const checkTokenAuto = (format) => async (req, res) => {
+  try {
+    const { address } = req.params;
+    const fresh = req.query.fresh === '1';
+
+    const deployments = await detectNetworks(address, { fresh });
+    if (deployments.length === 0) {
+      return res.status(404).json({
+        error: 'Token not found on any supported network',
+        searched: NETWORKS.filter(network => isValidAddress(address) ? isEvmNetwork(network) : !isEvmNetwork(network))
       });
     }
 
-    const holderAnalysis = analyzeHolderConcentration(securityData.holders || []);
-    const riskAssessment = calculateRiskScore(securityData, verificationData, holderAnalysis);
+    const [primary, ...others] = deployments;
+    console.log(`🧭 Auto-detected ${primary.network.toUpperCase()} for ${address.substring(0, 8)}...` +
+      (others.length > 0 ? ` (also on ${others.map(d => d.network).join(', ')})` : ''));
 
-    const response = {
-      address: address,
-      network: network,
-      chainId: chainId,
-      tokenInfo: tokenInfo,
-      security: {
-        isHoneypot: securityData.is_honeypot === '1',
-        canSell: securityData.is_honeypot !== '1',
-        tradingCooldown: securityData.trading_cooldown === '1',
-        buyTax: securityData.buy_tax ? (parseFloat(securityData.buy_tax) * 100).toFixed(2) + '%' : '0%',
-        sellTax: securityData.sell_tax ? (parseFloat(securityData.sell_tax) * 100).toFixed(2) + '%' : '0%',
-        canModifyTax: securityData.slippage_modifiable === '1',
-        ownerAddress: securityData.owner_address || tokenInfo.ownerAddress,
-        isOwnershipRenounced: securityData.owner_address === '0x0000000000000000000000000000000000000000' || securityData.owner_address === null,
-        canTakeBackOwnership: securityData.can_take_back_ownership === '1',
-        isMintable: securityData.is_mintable === '1',
-        canBurn: securityData.can_burn === '1',
-        totalSupply: tokenInfo.totalSupply,
-        hasBlacklist: securityData.is_blacklisted === '1',
-        canBlacklist: securityData.is_blacklisted === '1',
-        hasWhitelist: securityData.is_whitelisted === '1',
-        isProxy: securityData.is_proxy === '1',
-        isUpgradeable: securityData.is_proxy === '1',
-        liquidityTotal: securityData.lp_total_supply || '0',
-        lpHolderCount: securityData.lp_holder_count || '0',
-        holderCount: securityData.holder_count || '0',
-        topHolders: securityData.holders || []
-      },
-      holderConcentration: holderAnalysis,
-      verification: verificationData || { verified: false },
-      riskAssessment: riskAssessment,
-      timestamp: new Date().toISOString(),
-      explorerUrl: getExplorerUrl(network, address)
+    const response = await scanToken(primary.network, address, {
+      fresh,
+      apiKeyId: req.apiKey && req.apiKey.id
+    });
+    res.json(format({
+      ...response,
+      detection: {
+        network: primary.network,
+        alsoFoundOn: others.map(d => d.network),
+        deployments
+      }
+    }));
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('Error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
+
+const checkToken = (format) => async (req, res) => {
+  try {
+    const { network, address } = req.params;
+    const response = await scanToken(network, address, {
+      fresh: req.query.fresh === '1',
+      apiKeyId: req.apiKey && req.apiKey.id
+    });
+    res.json(format(response));
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('Error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
+
+// Runs one report section; a failure is recorded on the section instead of failing the report
+async function runReportSection(name, run) {
+  const startedAt = Date.now();
+  try {
+    const data = await run();
+    return {
+      status: data.available === false ? 'unavailable' : 'ok',
+      durationMs: Date.now() - startedAt,
+      data
+    };
+  } catch (error) {
+    console.log(`   ⚠️  Report section ${name} failed: ${error.message}`);
+    return {
+      status: 'error',
+      durationMs: Date.now() - startedAt,
+      error: error.message
     };
+  }
+}
+
+// Security, market, holder and liquidity analyses side by side. Security data is collected once
+// and the holder and liquidity analyses run once; the security scan reuses all of them.
+async function buildFullReport(network, address, { fresh = false, apiKeyId = null } = {}) {
+  assertValidToken(network, address);
+  const startedAt = Date.now();
+
+  const collected = collectSecurityData(network, address, { fresh });
+  const chainPairs = fetchChainPairs(network, address, { fresh });
+  const requireSecurityData = async () => {
+    const { securityData, raw } = await collected;
+    if (!securityData) {
+      throw new Error('Unable to fetch security data');
+    }
+    return { securityData, raw };
+  };
+  const sharedHolders = requireSecurityData().then(async ({ securityData, raw }) =>
+    analyzeTokenHolders(network, address, securityData, raw, await chainPairs, { fresh }));
+  const sharedLiquidity = requireSecurityData().then(({ securityData, raw }) =>
+    analyzeTokenLiquidity(network, address, securityData, raw, { fresh }));
+
+  const [security, market, holders, liquidity] = await Promise.all([
+    runReportSection('security', async () => {
+      // The other sections carry these in full
+      const { holderConcentration, holderClusters, liquidityAnalysis, marketRisk, ...scan } =
+        toV2ScanResult(await scanToken(network, address, {
+          fresh,
+          apiKeyId,
+          shared: { collected, chainPairs, holders: sharedHolders, liquidity: sharedLiquidity }
+        }));
+      return scan;
+    }),
+    runReportSection('market', async () => {
+      const pairs = await chainPairs;
+      if (!pairs) {
+        throw new Error('Unable to fetch market data');
+      }
+      if (pairs.length === 0) {
+        return { available: false, message: 'No trading pairs found' };
+      }
+      return { available: true, ...toV2MarketData(buildMarketData(pairs)) };
+    }),
+    runReportSection('holders', async () => {
+      const { concentration, clusters } = await sharedHolders;
+      return { available: concentration.available, concentration, clusters };
+    }),
+    runReportSection('liquidity', () => sharedLiquidity)
+  ]);
+
+  const sections = { security, market, holders, liquidity };
+  const failed = Object.values(sections).filter(section => section.status === 'error').length;
+  const status = failed === 0 ? 'complete' : failed < Object.keys(sections).length ? 'partial' : 'failed';
+
+  console.log(`📑 Report ${status} in ${Date.now() - startedAt}ms`);
+
+  return {
+    apiVersion: 2,
+    address,
+    network,
+    status,
+    ...(security.data && {
+      riskAssessment: security.data.riskAssessment,
+      tokenInfo: security.data.tokenInfo
+    }),
+    explorerUrl: getExplorerUrl(network, address),
+    generatedAt: new Date().toISOString(),
+    durationMs: Date.now() - startedAt,
+    sections
+  };
+}
+
+const fullReport = async (req, res) => {
+  try {
+    const { network, address } = req.params;
+    const report = await buildFullReport(network, address, {
+      fresh: req.query.fresh === '1',
+      apiKeyId: req.apiKey && req.apiKey.id
+    });
+    res.status(report.status === 'failed' ? 502 : 200).json(report);
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('Error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
+
+// Shareable renderings of the same document; a report with nothing in it is not worth sharing
+const renderedReport = (format) => async (req, res) => {
+  try {
+    const { network, address } = req.params;
+    const report = await buildFullReport(network, address, {
+      fresh: req.query.fresh === '1',
+      apiKeyId: req.apiKey && req.apiKey.id
+    });
+    if (report.status === 'failed') {
+      return res.status(502).json({ error: 'Unable to generate report', sections: report.sections });
+    }
+
+    if (format === 'html') {
+      return res.type('html').send(renderReportHtml(report));
+    }
 
-    console.log(`✅ Risk: ${riskAssessment.level.toUpperCase()} (${riskAssessment.score}/100)`);
-    res.json(response);
+    const symbol = report.tokenInfo && report.tokenInfo.symbol
+      ? report.tokenInfo.symbol.replace(/[^\w-]/g, '')
+      : '';
+    const filename = `${symbol || address.slice(0, 10)}-${network}-report.pdf`;
+    const pdf = await renderReportPdf(report);
+    res.type('pdf')
+      .set('Content-Disposition', `${req.query.download === '1' ? 'attachment' : 'inline'}; filename="${filename}"`)
+      .send(pdf);
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
     console.error('Error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
+
+// Rule ids, severities and weights in effect for the caller, so clients can localize and filter
+app.get('/api/risk-rules', identifyApiKey, (req, res) => {
+  const ruleset = getRulesetForApiKey(req.apiKey && req.apiKey.id);
+  res.json({
+    levels: ruleset.levels,
+    rules: ruleset.rules.map(rule => ({
+      id: rule.id,
+      type: rule.type || 'penalty',
+      severity: rule.severity,
+      weight: rule.weight,
+      message: rule.message
+    }))
+  });
+});
+
+const BATCH_MAX_TOKENS = 50;
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY) || 5;
+
+// Each token in a batch counts against the daily quota
+const batchRateLimit = createRateLimit({
+  cost: (req) => req.body && Array.isArray(req.body.tokens) ? Math.min(req.body.tokens.length, BATCH_MAX_TOKENS) : 1
+});
+
+const checkTokens = (format) => async (req, res) => {
+  try {
+    const tokens = req.body && req.body.tokens;
+
+    if (!Array.isArray(tokens) || tokens.length === 0) {
+      return res.status(400).json({ error: 'Body must contain a non-empty "tokens" array of {network, address}' });
+    }
+
+    if (tokens.length > BATCH_MAX_TOKENS) {
+      return res.status(400).json({ error: `At most ${BATCH_MAX_TOKENS} tokens per request` });
+    }
+
+    const startedAt = Date.now();
+    const fresh = req.query.fresh === '1';
+
+    // Dedupe on network + address (EVM addresses are case-insensitive)
+    const unique = new Map();
+    tokens.forEach(token => {
+      const network = token && typeof token.network === 'string' ? token.network.toLowerCase() : null;
+      const address = token && typeof token.address === 'string' ? token.address.trim() : null;
+      const key = `${network}:${network === 'solana' ? address : (address || '').toLowerCase()}`;
+      if (!unique.has(key)) {
+        unique.set(key, { network, address });
+      }
+    });
+    const entries = [...unique.values()];
+
+    console.log(`📦 Batch scan: ${entries.length} unique tokens (${tokens.length} requested)`);
+
+    // One GoPlus call per chain for every well-formed address the cache cannot answer
+    // (all of them with ?fresh=1); scanToken gets the results through prefetched
+    const goplusByNetwork = {};
+    const byNetwork = {};
+    await Promise.all(entries.map(async ({ network, address }) => {
+      if (!network || !address || !isSupportedNetwork(network)) return;
+      const valid = network === 'solana' ? isValidSolanaAddress(address) : isValidAddress(address);
+      if (!valid) return;
+      if (!fresh && await isCached('goplus', network, address)) return;
+      (byNetwork[network] = byNetwork[network] || []).push(address);
+    }));
+
+    await Promise.all(Object.entries(byNetwork).map(async ([network, addresses]) => {
+      try {
+        goplusByNetwork[network] = await fetchGoPlusBatch(network, addresses);
+      } catch (error) {
+        console.log(`   ⚠️  GoPlus batch for ${network} failed: ${error.message}`);
+      }
+    }));
+
+    const results = await mapWithConcurrency(entries, BATCH_CONCURRENCY, async ({ network, address }) => {
+      if (!network || !address) {
+        return { network, address, status: 'error', code: 400, error: 'Each token needs a network and an address' };
+      }
+
+      const prefetched = {};
+      if (goplusByNetwork[network] && goplusByNetwork[network][address] !== undefined) {
+        prefetched.goplus = goplusByNetwork[network][address];
+      }
+
+      try {
+        const data = await scanToken(network, address, { fresh, prefetched, apiKeyId: req.apiKey && req.apiKey.id });
+        return { network, address, status: 'ok', data };
+      } catch (error) {
+        return {
+          network,
+          address,
+          status: 'error',
+          code: error.status || 500,
+          error: error.message
+        };
+      }
+    });
+
+    const failed = results.filter(r => r.status === 'error').length;
+
+    res.json(format({
+      requested: tokens.length,
+      scanned: results.length,
+      succeeded: results.length - failed,
+      failed: failed,
+      durationMs: Date.now() - startedAt,
+      results: results
+    }));
+
+  } catch (error) {
+    console.error('Batch error:', error);
     res.status(500).json({ 
       error: 'Internal server error',
       message: error.message
     });
   }
+};
+
+app.get('/api/history/:network/:address', rateLimit, requireHistory, (req, res) => {
+  try {
+    const { network, address } = req.params;
+    assertValidToken(network, address);
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const timeline = getTokenTimeline(network, address, limit);
+
+    res.json({
+      network: network,
+      address: address,
+      scanCount: timeline.scans.length,
+      scans: timeline.scans,
+      changes: timeline.changes
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ 
+      error: 'Failed to load scan history',
+      message: error.message
+    });
+  }
 });
 
-app.get('/api/token-info/:address', rateLimit, async (req, res) => {
+// ?from=<scanId>&to=<scanId>; defaults to the two most recent scans
+app.get('/api/history/:network/:address/diff', rateLimit, requireHistory, (req, res) => {
   try {
-    const { address } = req.params;
+    const { network, address } = req.params;
+    assertValidToken(network, address);
 
-    const isEVM = isValidAddress(address);
-    const isSolana = isValidSolanaAddress(address);
+    const diff = diffScans(network, address, parseInt(req.query.from) || null, parseInt(req.query.to) || null);
+    if (!diff) {
+      return res.status(404).json({ error: 'Scans not found for this token' });
+    }
 
-    if (!isEVM && !isSolana) {
-      return res.status(400).json({ error: 'Invalid token address' });
+    res.json({ network: network, address: address, ...diff });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
     }
+    res.status(500).json({ 
+      error: 'Failed to diff scans',
+      message: error.message
+    });
+  }
+});
 
-    const dexUrl = `https://api.dexscreener.com/latest/dex/tokens/${address}`;
-    
-    const response = await axios.get(dexUrl, {
-      timeout: TIMEOUTS.DEXSCREENER_API,
-      headers: { 'User-Agent': 'TokenScanner/1.3' }
+// Webhook subscriptions: risk.level_changed events for tokens matching the filters.
+// Each subscription belongs to the API key that created it and is only visible to that key.
+app.post('/api/webhooks', rateLimit, requireApiKey, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const validationError = validateSubscription(body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const unsupported = (body.networks || []).filter(network => !isSupportedNetwork(network.toLowerCase()));
+    if (unsupported.length > 0) {
+      return res.status(400).json({
+        error: `Unsupported network: ${unsupported.join(', ')}`,
+        supported: NETWORKS
+      });
+    }
+
+    const destinationError = await checkDestination(body.url);
+    if (destinationError) {
+      return res.status(400).json({ error: destinationError });
+    }
+
+    const subscription = createSubscription(body, req.apiKey.id);
+    console.log(`📨 Webhook registered: ${subscription.id} → ${subscription.url}`);
+    res.status(201).json(subscription);
+
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Failed to create webhook',
+      message: error.message
+    });
+  }
+});
+
+app.get('/api/webhooks', rateLimit, requireApiKey, (req, res) => {
+  try {
+    res.json({ webhooks: listSubscriptions(req.apiKey.id) });
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Failed to list webhooks',
+      message: error.message
+    });
+  }
+});
+
+app.get('/api/webhooks/:id', rateLimit, requireApiKey, (req, res) => {
+  try {
+    const subscription = getSubscription(req.params.id, req.apiKey.id);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    res.json({ ...subscription, deliveries: listDeliveries(subscription.id, limit) });
+
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Failed to load webhook',
+      message: error.message
+    });
+  }
+});
+
+app.delete('/api/webhooks/:id', rateLimit, requireApiKey, (req, res) => {
+  try {
+    if (!deleteSubscription(req.params.id, req.apiKey.id)) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.status(204).end();
+
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Failed to delete webhook',
+      message: error.message
     });
+  }
+});
+
+app.post('/api/webhooks/:id/test', rateLimit, requireApiKey, async (req, res) => {
+  try {
+    const result = await sendTestEvent(req.params.id, req.apiKey.id);
+    if (!result) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json(result);
 
-    if (!response.data || !response.data.pairs || response.data.pairs.length === 0) {
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Failed to send test event',
+      message: error.message
+    });
+  }
+});
+
+// API key administration
+app.post('/api/admin/keys', requireAdmin, (req, res) => {
+  try {
+    const body = req.body || {};
+    const validationError = validateApiKeyRequest(body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const apiKey = createApiKey(body);
+    console.log(`🔑 API key issued: ${apiKey.id} (${apiKey.tier})`);
+    res.status(201).json(apiKey);
+
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Failed to create API key',
+      message: error.message
+    });
+  }
+});
+
+app.get('/api/admin/keys', requireAdmin, (req, res) => {
+  try {
+    res.json({ keys: listApiKeys(), tiers: listTiers() });
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Failed to list API keys',
+      message: error.message
+    });
+  }
+});
+
+app.get('/api/admin/keys/:id', requireAdmin, (req, res) => {
+  try {
+    const apiKey = getApiKey(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    res.json({ ...apiKey, limits: getTier(apiKey.tier) });
+
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Failed to load API key',
+      message: error.message
+    });
+  }
+});
+
+app.delete('/api/admin/keys/:id', requireAdmin, (req, res) => {
+  try {
+    if (!revokeApiKey(req.params.id)) {
+      return res.status(404).json({ error: 'API key not found or already revoked' });
+    }
+    console.log(`🔑 API key revoked: ${req.params.id}`);
+    res.status(204).end();
+
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Failed to revoke API key',
+      message: error.message
+    });
+  }
+});
+
+const tokenInfo = (format) => async (req, res) => {
+  try {
+    const { address } = req.params;
+
+    if (!isValidAddress(address) && !isValidSolanaAddress(address)) {
+      return res.status(400).json({ error: 'Invalid token address' });
+    }
+
+    const { value: dexPairs, cached, age } = await fetchDexPairs(address, { fresh: req.query.fresh === '1' });
+
+    if (dexPairs.length === 0) {
       return res.status(404).json({ 
         error: 'No trading pairs found' 
       });
     }
 
-    const pairs = response.data.pairs.sort((a, b) => 
-      parseFloat(b.liquidity?.usd || 0) - parseFloat(a.liquidity?.usd || 0)
-    );
-
-    const mainPair = pairs[0];
-
     const marketData = {
-      pairs: pairs.slice(0, 5).map(pair => ({
-        chainId: pair.chainId,
-        dexId: pair.dexId,
-        pairAddress: pair.pairAddress,
-        baseToken: pair.baseToken,
-        quoteToken: pair.quoteToken,
-        priceUsd: pair.priceUsd,
-        liquidity: pair.liquidity,
-        volume: pair.volume,
-        priceChange: pair.priceChange,
-        url: pair.url
-      })),
-      mainPair: {
-        symbol: mainPair.baseToken?.symbol,
-        priceUsd: mainPair.priceUsd,
-        liquidity: mainPair.liquidity?.usd,
-        volume24h: mainPair.volume?.h24,
-        priceChange24h: mainPair.priceChange?.h24,
-        pairUrl: mainPair.url
-      }
+      ...buildMarketData(dexPairs),
+      cached: cached,
+      age: age
     };
 
-    res.json(marketData);
+    res.json(format(marketData));
 
   } catch (error) {
     res.status(500).json({ 
@@ -695,6 +2165,49 @@ app.get('/api/token-info/:address', rateLimit, async (req, res) => {
       message: error.message 
     });
   }
+};
+
+// v1 keeps the display-formatted values the Telegram bot renders; v2 returns typed values and
+// is validated against the OpenAPI document. "auto" routes come first so it is not read as a network.
+const asIs = (body) => body;
+
+app.get('/api/check-token/auto/:address', rateLimit, checkTokenAuto(asIs));
+app.get('/api/check-token/:network/:address', rateLimit, checkToken(asIs));
+app.post('/api/check-tokens', batchRateLimit, checkTokens(asIs));
+app.get('/api/token-info/:address', rateLimit, tokenInfo(asIs));
+
+const v2 = (operationId) => [validateRequest(operationId), validateResponse(operationId)];
+
+app.get('/api/v2/check-token/auto/:address', rateLimit, ...v2('checkTokenAutoV2'), checkTokenAuto(toV2ScanResult));
+app.get('/api/v2/check-token/:network/:address', rateLimit, ...v2('checkTokenV2'), checkToken(toV2ScanResult));
+app.post('/api/v2/check-tokens', batchRateLimit, ...v2('checkTokensV2'), checkTokens(toV2BatchResult));
+app.get('/api/v2/token-info/:address', rateLimit, ...v2('tokenInfoV2'), tokenInfo(toV2MarketData));
+
+// Always typed like v2. The rendered formats come first so ".pdf" is not read as part of the address.
+app.get('/api/report/:network/:address.pdf', rateLimit, validateRequest('fullReportPdf'), renderedReport('pdf'));
+app.get('/api/report/:network/:address.html', rateLimit, validateRequest('fullReportHtml'), renderedReport('html'));
+app.get('/api/report/:network/:address', rateLimit, ...v2('fullReport'), fullReport);
+
+app.get('/openapi.json', (req, res) => {
+  res.json(openApiSpec);
+});
+
+app.get('/docs', (req, res) => {
+  res.type('html').send(DOCS_HTML);
+});
+
+// Prometheus scrape endpoint; METRICS_TOKEN, when set, is required as a bearer token
+app.get('/metrics', async (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && !hasBearerToken(req, token)) {
+    return res.status(401).json({ error: 'Metrics authorization required' });
+  }
+  try {
+    res.set('Content-Type', metricsRegister.contentType);
+    res.send(await metricsRegister.metrics());
+  } catch (error) {
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
 });
 
 app.get('/health', (req, res) => {
@@ -702,7 +2215,9 @@ app.get('/health', (req, res) => {
     status: 'ok', 
     timestamp: new Date().toISOString(),
     version: '1.3.0',
-    networks: Object.keys(RPC_ENDPOINTS)
+    networks: NETWORKS,
+    rpc: getRpcPoolStatus(),
+    cache: getCacheStatus()
   });
 });
 
@@ -737,10 +2252,10 @@ app.listen(PORT, () => {
   console.log(`   🔗 API Base: http://localhost:${PORT}/api`);
   console.log('');
   console.log('   🌐 Supported Networks:');
-  console.log('      • Ethereum - Etherscan Verified ✓');
-  console.log('      • BSC - BscScan Verified ✓');
-  console.log('      • Polygon - PolygonScan Verified ✓');
-  console.log('      • Solana - Blockchain Direct ✓');
+  NETWORKS.forEach(network => {
+    const chain = CHAINS[network];
+    console.log(`      • ${chain.name} - ${chain.explorerApi ? `${chain.explorerName} Verified` : 'Blockchain Direct'} ✓`);
+  });
   console.log('');
   console.log('   ✨ Features v1.3:');
   console.log('      📊 Top 10 Holder Concentration Analysis');
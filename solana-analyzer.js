@@ -0,0 +1,257 @@
+const { PublicKey } = require('@solana/web3.js');
+
+const TOKEN_PROGRAM_ID = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+const TOKEN_2022_PROGRAM_ID = 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb';
+const METADATA_PROGRAM_ID = new PublicKey('metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s');
+const RAYDIUM_AMM_V4_PROGRAM_ID = '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8';
+
+// Raydium AMM v4 pool state (752 bytes): lpMint after 336 bytes of params and five pubkeys,
+// lpReserve after the remaining pubkeys. lpReserve only moves on deposit/withdraw, so
+// LP burned through the token program shows up as supply falling below it.
+const RAYDIUM_V4_ACCOUNT_SIZE = 752;
+const RAYDIUM_V4_LP_MINT_OFFSET = 464;
+const RAYDIUM_V4_LP_RESERVE_OFFSET = 720;
+
+// Position-based pools have no fungible LP token that could be burned
+const CONCENTRATED_LIQUIDITY_LABELS = ['CLMM', 'DLMM', 'wp'];
+
+const TOP_HOLDER_LIMIT = 20;
+
+function findExtension(extensions, name) {
+  const extension = (extensions || []).find(e => e.extension === name);
+  return extension ? extension.state || {} : null;
+}
+
+function parseExtensions(extensions) {
+  const transferFee = findExtension(extensions, 'transferFeeConfig');
+  const transferHook = findExtension(extensions, 'transferHook');
+  const permanentDelegate = findExtension(extensions, 'permanentDelegate');
+  const defaultAccountState = findExtension(extensions, 'defaultAccountState');
+  const mintCloseAuthority = findExtension(extensions, 'mintCloseAuthority');
+
+  let fee = null;
+  if (transferFee) {
+    // The newer fee takes over at its epoch; report the higher of the two
+    const older = transferFee.olderTransferFee || {};
+    const newer = transferFee.newerTransferFee || {};
+    fee = {
+      basisPoints: Math.max(older.transferFeeBasisPoints || 0, newer.transferFeeBasisPoints || 0),
+      maximumFee: String(newer.maximumFee ?? older.maximumFee ?? 0),
+      authority: transferFee.transferFeeConfigAuthority || null,
+      withdrawAuthority: transferFee.withdrawWithheldAuthority || null
+    };
+  }
+
+  return {
+    names: (extensions || []).map(e => e.extension),
+    transferFee: fee,
+    transferHook: transferHook && transferHook.programId
+      ? { programId: transferHook.programId, authority: transferHook.authority || null }
+      : null,
+    permanentDelegate: permanentDelegate ? permanentDelegate.delegate || null : null,
+    nonTransferable: !!findExtension(extensions, 'nonTransferable'),
+    defaultAccountState: defaultAccountState ? defaultAccountState.accountState : null,
+    mintCloseAuthority: mintCloseAuthority ? mintCloseAuthority.closeAuthority || null : null
+  };
+}
+
+// Metaplex Token Metadata account: key, update authority, mint, then borsh strings
+function decodeMetaplexMetadata(data) {
+  let offset = 1;
+  const updateAuthority = new PublicKey(data.subarray(offset, offset + 32)).toBase58();
+  offset += 64;
+
+  const readString = () => {
+    const length = data.readUInt32LE(offset);
+    offset += 4;
+    const value = data.subarray(offset, offset + length).toString('utf8').replace(/\0/g, '').trim();
+    offset += length;
+    return value;
+  };
+  const name = readString();
+  const symbol = readString();
+  const uri = readString();
+
+  offset += 2;
+  if (data[offset] === 1) {
+    offset += 1;
+    offset += 4 + data.readUInt32LE(offset) * 34;
+  } else {
+    offset += 1;
+  }
+  offset += 1;
+
+  return {
+    source: 'metaplex',
+    name,
+    symbol,
+    uri,
+    updateAuthority,
+    isMutable: data[offset] === 1
+  };
+}
+
+async function fetchMetadata(connection, mint, extensions) {
+  const embedded = findExtension(extensions, 'tokenMetadata');
+  if (embedded) {
+    return {
+      source: 'token-2022',
+      name: embedded.name || null,
+      symbol: embedded.symbol || null,
+      uri: embedded.uri || null,
+      updateAuthority: embedded.updateAuthority || null,
+      isMutable: !!embedded.updateAuthority
+    };
+  }
+
+  const [metadataAddress] = PublicKey.findProgramAddressSync(
+    [Buffer.from('metadata'), METADATA_PROGRAM_ID.toBuffer(), mint.toBuffer()],
+    METADATA_PROGRAM_ID
+  );
+  const account = await connection.getAccountInfo(metadataAddress);
+  if (!account) return null;
+  return { address: metadataAddress.toBase58(), ...decodeMetaplexMetadata(account.data) };
+}
+
+// GoPlus-shaped holders (percent as a fraction) so the holder analysis can reuse them
+async function fetchTopHolders(connection, mint, supply) {
+  const largest = await connection.getTokenLargestAccounts(mint);
+  const accounts = largest.value.slice(0, TOP_HOLDER_LIMIT);
+  if (accounts.length === 0) return [];
+
+  const parsed = await connection.getMultipleParsedAccounts(accounts.map(a => a.address));
+  const total = BigInt(supply || 0);
+
+  return accounts.map((account, i) => {
+    const info = parsed.value[i] && parsed.value[i].data.parsed ? parsed.value[i].data.parsed.info : null;
+    const amount = BigInt(account.amount);
+    return {
+      address: info ? info.owner : account.address.toBase58(),
+      tokenAccount: account.address.toBase58(),
+      balance: account.uiAmountString,
+      percent: total > 0n ? (Number(amount * 1000000n / total) / 1000000).toString() : '0',
+      tag: null
+    };
+  });
+}
+
+async function inspectMint(connection, address) {
+  const mint = new PublicKey(address);
+  const account = await connection.getParsedAccountInfo(mint);
+
+  if (!account.value || !account.value.data || !account.value.data.parsed) {
+    return { found: false };
+  }
+
+  const program = account.value.owner.toBase58();
+  const info = account.value.data.parsed.info;
+  const extensions = info.extensions || [];
+
+  const [metadata, topHolders] = await Promise.all([
+    fetchMetadata(connection, mint, extensions).catch(error => {
+      console.log(`   ⚠️  Solana metadata lookup failed: ${error.message}`);
+      return null;
+    }),
+    fetchTopHolders(connection, mint, info.supply).catch(error => {
+      console.log(`   ⚠️  Solana holder lookup failed: ${error.message}`);
+      return null;
+    })
+  ]);
+
+  return {
+    found: true,
+    tokenProgram: program === TOKEN_2022_PROGRAM_ID ? 'token-2022' : program === TOKEN_PROGRAM_ID ? 'spl-token' : program,
+    mintAuthority: info.mintAuthority,
+    freezeAuthority: info.freezeAuthority,
+    isOwnershipRenounced: info.mintAuthority === null,
+    canFreeze: info.freezeAuthority !== null,
+    decimals: info.decimals,
+    supply: info.supply,
+    extensions: parseExtensions(extensions),
+    metadata,
+    topHolders
+  };
+}
+
+async function inspectRaydiumV4Pool(connection, pair) {
+  const account = await connection.getAccountInfo(new PublicKey(pair.pairAddress));
+  if (!account || account.owner.toBase58() !== RAYDIUM_AMM_V4_PROGRAM_ID ||
+      account.data.length !== RAYDIUM_V4_ACCOUNT_SIZE) {
+    return { supported: false, note: 'Unrecognized pool layout' };
+  }
+
+  const lpMint = new PublicKey(account.data.subarray(RAYDIUM_V4_LP_MINT_OFFSET, RAYDIUM_V4_LP_MINT_OFFSET + 32));
+  const lpReserve = account.data.readBigUInt64LE(RAYDIUM_V4_LP_RESERVE_OFFSET);
+  const lpSupply = BigInt((await connection.getTokenSupply(lpMint)).value.amount);
+
+  const burned = lpReserve > 0n && lpSupply < lpReserve
+    ? Number((lpReserve - lpSupply) * 10000n / lpReserve) / 100
+    : 0;
+
+  return {
+    supported: true,
+    lpMint: lpMint.toBase58(),
+    lpReserve: lpReserve.toString(),
+    lpSupply: lpSupply.toString(),
+    lpBurnedPercent: burned
+  };
+}
+
+// pairs come from DexScreener: { dexId, pairAddress, labels, liquidityUsd }
+async function inspectLiquidityPools(connection, pairs) {
+  const pools = (pairs || []).filter(p => p.dexId === 'raydium' || p.dexId === 'orca');
+
+  return Promise.all(pools.map(async (pair) => {
+    const base = { dex: pair.dexId, pairAddress: pair.pairAddress, liquidityUsd: pair.liquidityUsd };
+    const labels = pair.labels || [];
+
+    if (pair.dexId === 'orca' || labels.some(l => CONCENTRATED_LIQUIDITY_LABELS.includes(l))) {
+      return { ...base, supported: false, lpBurnedPercent: null, note: 'Concentrated liquidity positions cannot be burned' };
+    }
+    if (labels.length > 0) {
+      return { ...base, supported: false, lpBurnedPercent: null, note: `Pool type ${labels.join('/')} not supported` };
+    }
+
+    try {
+      return { ...base, ...(await inspectRaydiumV4Pool(connection, pair)) };
+    } catch (error) {
+      return { ...base, supported: false, lpBurnedPercent: null, note: error.message };
+    }
+  }));
+}
+
+// Only facts the token program guarantees are filled in; anything else stays undefined
+function toSecurityFields(mintInfo) {
+  const { extensions } = mintInfo;
+  const fields = {
+    owner_address: mintInfo.mintAuthority,
+    is_mintable: mintInfo.mintAuthority !== null ? '1' : '0',
+    is_blacklisted: mintInfo.canFreeze ? '1' : '0'
+  };
+
+  // Without a hook, taxes can only come from the transfer fee extension
+  if (!extensions.transferHook) {
+    const fee = extensions.transferFee ? String(extensions.transferFee.basisPoints / 10000) : '0';
+    fields.buy_tax = fee;
+    fields.sell_tax = fee;
+    fields.transfer_tax = fee;
+    fields.slippage_modifiable = extensions.transferFee && extensions.transferFee.authority ? '1' : '0';
+    fields.is_proxy = '0';
+  }
+
+  if (mintInfo.topHolders && mintInfo.topHolders.length > 0) {
+    fields.holders = mintInfo.topHolders;
+  }
+  if (mintInfo.metadata) {
+    if (mintInfo.metadata.name) fields.token_name = mintInfo.metadata.name;
+    if (mintInfo.metadata.symbol) fields.token_symbol = mintInfo.metadata.symbol;
+  }
+
+  return fields;
+}
+
+module.exports = {
+  inspectMint,
+  inspectLiquidityPools,
+  toSecurityFields
+};
@@ -0,0 +1,488 @@
+// Lightweight static analysis of verified Solidity source. It works on text, not an AST:
+// comments and string contents are blanked first so braces and keywords inside them
+// cannot confuse function extraction, while newlines are kept for line numbers.
+
+const KEYWORDS = new Set([
+  'public', 'external', 'internal', 'private', 'view', 'pure', 'payable',
+  'virtual', 'override', 'returns', 'constant', 'nonpayable'
+]);
+
+const ACCESS_MODIFIER = /^(only|auth|admin|owner|isowner|requiresauth|restricted|ownerOnly)/i;
+const ACCESS_CHECK = /(msg\.sender|_msgSender\(\))\s*==|==\s*(msg\.sender|_msgSender\(\))|\b_checkOwner\s*\(|\b_checkRole\s*\(|\bhasRole\s*\(/;
+
+// Owner-only capabilities, matched on the function name or on what the body writes
+const CAPABILITIES = [
+  {
+    category: 'fees',
+    severity: 'high',
+    message: 'Owner can change fees',
+    name: /(fee|tax)/i,
+    exclude: /(exclud|exempt|includ)/i,
+    body: /\b\w*(fee|tax)\w*\s*=(?!=)/i
+  },
+  {
+    category: 'pauseTrading',
+    severity: 'high',
+    message: 'Owner can pause or gate trading',
+    name: /(pause|(enable|disable|open|close|start|stop|set)trading|trading(status|open|enabled|active))/i,
+    body: /\b_pause\s*\(|\b\w*(tradingopen|tradingenabled|tradingactive|paused)\w*\s*=(?!=)/i
+  },
+  {
+    category: 'blacklist',
+    severity: 'high',
+    message: 'Owner can blacklist addresses',
+    name: /(blacklist|blocklist|blocked|^(set|add|remove|del|delete)bots?$|antibot|sniper|isbot)/i,
+    body: /\b\w*(black|bot|blocked|sniper)\w*\s*\[[^\]]+\]\s*=(?!=)/i
+  },
+  {
+    category: 'mint',
+    severity: 'high',
+    message: 'Owner can mint tokens',
+    name: /mint/i,
+    body: /\b_mint\s*\(/
+  },
+  {
+    category: 'limits',
+    severity: 'medium',
+    message: 'Owner can change max transaction/wallet limits',
+    name: /(maxtx|maxwallet|maxtransaction|maxhold|maxbuy|maxsell|maxamount|(remove|set|update)limits)/i,
+    body: /\b\w*max\w*(tx|wallet|transaction|hold|buy|sell|amount)\w*\s*=(?!=)/i
+  },
+  {
+    category: 'withdraw',
+    severity: 'medium',
+    message: 'Owner can withdraw tokens or ETH from the contract',
+    name: /(withdraw|rescue|recover|sweep|clearstuck|claimstuck|emergency)/i,
+    body: /address\s*\(\s*this\s*\)\s*\.\s*balance|\bI?ERC20\w*\s*\([^)]*\)\s*\.\s*(safe)?transfer\s*\(/
+  }
+];
+
+const TRANSFER_FUNCTION = /^(_?transfer(from)?|_transfer\w*|_tokentransfer|_basictransfer|_update|_beforetokentransfer|_aftertokentransfer)$/i;
+const TRANSFER_FLOW_DEPTH = 2;
+
+const EXTERNAL_CALL_PATTERNS = [
+  { kind: 'low-level call', pattern: /\.\s*(call|delegatecall|staticcall)\s*[({]/g },
+  { kind: 'ETH transfer', pattern: /payable\s*\([^()]*\)\s*\.\s*(transfer|send)\s*\(/g },
+  { kind: 'interface call', pattern: /\bI[A-Z]\w*\s*\([^()]*\)\s*\.\s*\w+\s*\(/g }
+];
+
+function stripCommentsAndStrings(content) {
+  let out = '';
+  let i = 0;
+  const n = content.length;
+
+  while (i < n) {
+    const c = content[i];
+    const next = content[i + 1];
+
+    if (c === '/' && next === '/') {
+      while (i < n && content[i] !== '\n') { out += ' '; i++; }
+      continue;
+    }
+    if (c === '/' && next === '*') {
+      out += '  ';
+      i += 2;
+      while (i < n && !(content[i] === '*' && content[i + 1] === '/')) {
+        out += content[i] === '\n' ? '\n' : ' ';
+        i++;
+      }
+      if (i < n) { out += '  '; i += 2; }
+      continue;
+    }
+    if (c === '"' || c === '\'') {
+      out += c;
+      i++;
+      while (i < n && content[i] !== c && content[i] !== '\n') {
+        if (content[i] === '\\') { out += ' '; i++; }
+        out += ' ';
+        i++;
+      }
+      if (i < n) { out += content[i]; i++; }
+      continue;
+    }
+
+    out += c;
+    i++;
+  }
+  return out;
+}
+
+function matchBracket(text, openIndex, open, close) {
+  let depth = 0;
+  for (let i = openIndex; i < text.length; i++) {
+    if (text[i] === open) depth++;
+    else if (text[i] === close && --depth === 0) return i;
+  }
+  return -1;
+}
+
+function lineLocator(text) {
+  const offsets = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') offsets.push(i + 1);
+  }
+  return (index) => {
+    let low = 0;
+    let high = offsets.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (offsets[mid] <= index) low = mid;
+      else high = mid - 1;
+    }
+    return low + 1;
+  };
+}
+
+// Etherscan returns either plain source, a { "file.sol": { content } } map,
+// or standard JSON input wrapped in an extra pair of braces
+function parseSourceFiles(sourceCode, contractName) {
+  if (!sourceCode) return [];
+
+  let text = sourceCode.trim();
+  if (text.startsWith('{{') && text.endsWith('}}')) {
+    text = text.slice(1, -1);
+  }
+  if (text.startsWith('{')) {
+    try {
+      const parsed = JSON.parse(text);
+      const sources = parsed.sources || parsed;
+      return Object.entries(sources).map(([name, file]) => ({ name, content: (file && file.content) || '' }));
+    } catch {
+      // Plain source that happens to start with a brace
+    }
+  }
+  return [{ name: `${contractName || 'Contract'}.sol`, content: sourceCode }];
+}
+
+function parseHeader(header) {
+  const cleaned = header
+    .replace(/\breturns\s*\([^)]*\)/g, ' ')
+    .replace(/\boverride\s*\([^)]*\)/g, ' ');
+
+  const modifiers = [];
+  const identifier = /\b([A-Za-z_]\w*)\s*(\([^)]*\))?/g;
+  let match;
+  while ((match = identifier.exec(cleaned)) !== null) {
+    if (!KEYWORDS.has(match[1])) modifiers.push(match[1]);
+  }
+
+  return {
+    visibility: (cleaned.match(/\b(public|external|internal|private)\b/) || [null, 'public'])[1],
+    readOnly: /\b(view|pure)\b/.test(cleaned),
+    modifiers
+  };
+}
+
+function extractFunctions(file) {
+  const text = stripCommentsAndStrings(file.content);
+  const lineOf = lineLocator(text);
+  const functions = [];
+  const pattern = /\bfunction\s+(\w+)\s*\(/g;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const parenOpen = match.index + match[0].length - 1;
+    const parenClose = matchBracket(text, parenOpen, '(', ')');
+    if (parenClose === -1) break;
+
+    let bodyOpen = parenClose + 1;
+    while (bodyOpen < text.length && text[bodyOpen] !== '{' && text[bodyOpen] !== ';') bodyOpen++;
+    if (bodyOpen >= text.length || text[bodyOpen] === ';') continue;
+
+    const bodyClose = matchBracket(text, bodyOpen, '{', '}');
+    if (bodyClose === -1) break;
+
+    const params = text.slice(parenOpen + 1, parenClose).split(',')
+      .map(param => (param.trim().match(/(\w+)\s*$/) || [])[1])
+      .filter(Boolean);
+
+    functions.push({
+      name: match[1],
+      file: file.name,
+      params,
+      ...parseHeader(text.slice(parenClose + 1, bodyOpen)),
+      body: text.slice(bodyOpen + 1, bodyClose),
+      bodyOffset: bodyOpen + 1,
+      startLine: lineOf(match.index),
+      endLine: lineOf(bodyClose),
+      lineOf
+    });
+    pattern.lastIndex = bodyClose;
+  }
+
+  return { text, functions };
+}
+
+function accessControl(fn) {
+  const modifier = fn.modifiers.find(m => ACCESS_MODIFIER.test(m));
+  if (modifier) return modifier;
+  return ACCESS_CHECK.test(fn.body) ? 'inline sender check' : null;
+}
+
+function findCapabilities(functions) {
+  const findings = [];
+
+  functions.forEach(fn => {
+    if (fn.readOnly || fn.visibility === 'internal' || fn.visibility === 'private') return;
+
+    const access = accessControl(fn);
+    if (!access) return;
+
+    CAPABILITIES.forEach(capability => {
+      const byName = capability.name.test(fn.name) && !(capability.exclude && capability.exclude.test(fn.name));
+      if (!byName && !capability.body.test(fn.body)) return;
+
+      findings.push({
+        category: capability.category,
+        severity: capability.severity,
+        message: capability.message,
+        function: fn.name,
+        file: fn.file,
+        startLine: fn.startLine,
+        endLine: fn.endLine,
+        access
+      });
+    });
+  });
+
+  return findings;
+}
+
+// Transfer entry points plus the internal helpers they call, up to TRANSFER_FLOW_DEPTH deep
+function collectTransferFlow(functions) {
+  const byName = new Map();
+  functions.forEach(fn => {
+    if (!byName.has(fn.name)) byName.set(fn.name, []);
+    byName.get(fn.name).push(fn);
+  });
+
+  const flow = [];
+  const seen = new Set();
+  let frontier = functions
+    .filter(fn => TRANSFER_FUNCTION.test(fn.name) && !/ownership/i.test(fn.name))
+    .map(fn => ({ fn, path: [fn.name] }));
+
+  for (let depth = 0; depth <= TRANSFER_FLOW_DEPTH && frontier.length > 0; depth++) {
+    const nextFrontier = [];
+    frontier.forEach(({ fn, path }) => {
+      if (seen.has(fn)) return;
+      seen.add(fn);
+      flow.push({ fn, path });
+
+      const calls = new Set([...fn.body.matchAll(/\b(\w+)\s*\(/g)].map(m => m[1]));
+      calls.forEach(name => {
+        if (name === fn.name || !byName.has(name)) return;
+        byName.get(name).forEach(callee => nextFrontier.push({ fn: callee, path: [...path, name] }));
+      });
+    });
+    frontier = nextFrontier;
+  }
+
+  return flow;
+}
+
+function interfaceVariables(texts) {
+  const names = new Set();
+  texts.forEach(text => {
+    const pattern = /\b(I[A-Z]\w*)\s+(?:(?:public|private|internal|immutable)\s+)*(\w+)\s*[;=]/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) names.add(match[2]);
+  });
+  return names;
+}
+
+function findExternalCalls(flow, interfaceVars) {
+  const findings = [];
+  const varPattern = interfaceVars.size > 0
+    ? new RegExp(`\\b(${[...interfaceVars].join('|')})\\s*\\.\\s*\\w+\\s*[({]`, 'g')
+    : null;
+
+  flow.forEach(({ fn, path }) => {
+    const patterns = [...EXTERNAL_CALL_PATTERNS];
+    if (varPattern) patterns.push({ kind: 'interface call', pattern: varPattern });
+
+    patterns.forEach(({ kind, pattern }) => {
+      pattern.lastIndex = 0;
+      let match;
+      while ((match = pattern.exec(fn.body)) !== null) {
+        const line = fn.lineOf(fn.bodyOffset + match.index);
+        if (findings.some(f => f.file === fn.file && f.startLine === line)) continue;
+
+        findings.push({
+          category: 'transferExternalCall',
+          severity: 'medium',
+          message: `External ${kind} reachable from ${path[0]}`,
+          function: fn.name,
+          file: fn.file,
+          startLine: line,
+          endLine: line,
+          callPath: path.join(' → '),
+          snippet: match[0].replace(/\s+/g, ' ').trim()
+        });
+      }
+    });
+  });
+
+  return findings;
+}
+
+function balanceMappings(texts) {
+  const names = new Set();
+  texts.forEach(text => {
+    const pattern = /mapping\s*\(\s*address\s*=>\s*uint\d*\s*\)\s*(?:(?:public|private|internal)\s+)?(\w+)\s*;/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) names.add(match[1]);
+  });
+  return names;
+}
+
+// A fee recipient is hidden when it is a literal or a non-public variable without a getter
+function describeRecipient(expression, texts, abiGetters) {
+  if (/^0x[0-9a-fA-F]{40}$/.test(expression)) {
+    return { hidden: true, hardcoded: true };
+  }
+  if (!/^\w+$/.test(expression)) {
+    return { hidden: false, hardcoded: false };
+  }
+
+  const declaration = new RegExp(`\\baddress\\s+(?:payable\\s+)?((?:(?:public|private|internal|constant|immutable)\\s+)*)${expression}\\s*[;=]`);
+  const declared = texts.map(text => text.match(declaration)).find(Boolean);
+  const isPublic = (declared && /\bpublic\b/.test(declared[1])) || abiGetters.has(expression);
+
+  return { hidden: !isPublic, hardcoded: false, declared: !!declared };
+}
+
+function findHiddenFeeRecipients(flow, texts, abiGetters) {
+  const findings = [];
+  const mappings = balanceMappings(texts);
+  const ignored = /address\s*\(\s*this\s*\)|msg\.sender|_msgSender\(\)|^(from|to|sender|recipient|_from|_to|account)$/;
+
+  const report = (fn, index, expression) => {
+    expression = expression.trim();
+    if (fn.params.includes(expression) || ignored.test(expression)) return;
+
+    const recipient = describeRecipient(expression, texts, abiGetters);
+    if (!recipient.hidden) return;
+
+    const line = fn.lineOf(fn.bodyOffset + index);
+    if (findings.some(f => f.file === fn.file && f.startLine === line)) return;
+
+    findings.push({
+      category: 'hiddenFeeRecipient',
+      severity: 'high',
+      message: recipient.hardcoded
+        ? `Transfer credits hardcoded address ${expression}`
+        : `Transfer credits ${expression}, which is not publicly readable`,
+      function: fn.name,
+      file: fn.file,
+      startLine: line,
+      endLine: line,
+      recipient: expression,
+      hardcoded: recipient.hardcoded
+    });
+  };
+
+  flow.forEach(({ fn }) => {
+    mappings.forEach(name => {
+      const credit = new RegExp(`\\b${name}\\s*\\[([^\\]]+)\\]\\s*(?:\\+=|=\\s*${name}\\s*\\[[^\\]]+\\]\\s*(?:\\.\\s*add\\s*\\(|\\+))`, 'g');
+      let match;
+      while ((match = credit.exec(fn.body)) !== null) report(fn, match.index, match[1]);
+    });
+
+    const nested = /\b(?:super\s*\.\s*)?(_transfer|_update|_basicTransfer|_tokenTransfer)\s*\(\s*([^,()]+)\s*,\s*([^,()]+)\s*,/g;
+    let match;
+    while ((match = nested.exec(fn.body)) !== null) report(fn, match.index, match[3]);
+  });
+
+  return findings;
+}
+
+function parseAbi(abi) {
+  if (!abi) return null;
+  try {
+    const parsed = typeof abi === 'string' ? JSON.parse(abi) : abi;
+    return Array.isArray(parsed) ? parsed : null;
+  } catch {
+    // "Contract source code not verified" and similar messages
+    return null;
+  }
+}
+
+// Without parsable source only names are known: no line ranges, no access control
+function findAbiCapabilities(abi) {
+  const findings = [];
+  abi
+    .filter(entry => entry.type === 'function' && !['view', 'pure'].includes(entry.stateMutability) && !entry.constant)
+    .forEach(entry => {
+      CAPABILITIES.forEach(capability => {
+        if (!capability.name.test(entry.name) || (capability.exclude && capability.exclude.test(entry.name))) return;
+        findings.push({
+          category: capability.category,
+          severity: capability.severity,
+          message: capability.message,
+          function: entry.name,
+          file: null,
+          startLine: null,
+          endLine: null,
+          access: 'unknown'
+        });
+      });
+    });
+  return findings;
+}
+
+function analyzeSource(sourceCode, abi, contractName) {
+  const files = parseSourceFiles(sourceCode, contractName);
+  const parsedAbi = parseAbi(abi);
+
+  if (files.length === 0 && !parsedAbi) {
+    return {
+      available: false,
+      message: 'Verified source not available'
+    };
+  }
+
+  const extracted = files.map(extractFunctions);
+  const texts = extracted.map(e => e.text);
+  const functions = extracted.flatMap(e => e.functions);
+  const abiGetters = new Set((parsedAbi || [])
+    .filter(entry => entry.type === 'function' && (entry.inputs || []).length === 0)
+    .map(entry => entry.name));
+
+  let findings;
+  if (functions.length > 0) {
+    const flow = collectTransferFlow(functions);
+    findings = [
+      ...findCapabilities(functions),
+      ...findHiddenFeeRecipients(flow, texts, abiGetters),
+      ...findExternalCalls(flow, interfaceVariables(texts))
+    ];
+  } else {
+    findings = parsedAbi ? findAbiCapabilities(parsedAbi) : [];
+  }
+
+  const categories = {};
+  findings.forEach(finding => {
+    categories[finding.category] = (categories[finding.category] || 0) + 1;
+  });
+
+  const basis = functions.length > 0 ? 'source' : 'abi';
+  const message = findings.length === 0
+    ? `No owner-controlled dangerous functions found in ${basis}`
+    : `${findings.length} finding${findings.length === 1 ? '' : 's'} in verified ${basis} (${Object.keys(categories).join(', ')})`;
+  console.log(`   🧾 Source Analysis: ${message}`);
+
+  return {
+    available: true,
+    basis,
+    fileCount: files.length,
+    functionCount: functions.length,
+    categories,
+    findings,
+    message
+  };
+}
+
+module.exports = {
+  analyzeSource
+};
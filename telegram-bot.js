@@ -1,9 +1,17 @@
 const TelegramBot = require('node-telegram-bot-api');
 const axios = require('axios');
+const watchlist = require('./watchlist');
+const { CHAINS, NETWORKS, getChain } = require('./chains');
 
 const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
 const WEBHOOK_URL = process.env.WEBHOOK_URL;
 const ADMIN_ID = parseInt(process.env.ADMIN_ID); 
+const API_BASE = process.env.API_BASE || 'https://token-safety-scanner.onrender.com/api';
+// Setup: issue the bot its own key (POST /api/admin/keys) and pass it as SCANNER_API_KEY. Without
+// one the bot shares the anonymous tier's limits with everyone on its IP, and the watchlist
+// scheduler stays off because a single watched token costs about 288 scans a day.
+const SCANNER_API_KEY = process.env.SCANNER_API_KEY;
+const API_HEADERS = SCANNER_API_KEY ? { 'X-API-Key': SCANNER_API_KEY } : {};
 
 if (!BOT_TOKEN) {
   console.log('⚠️  No TELEGRAM_BOT_TOKEN found, skipping bot setup');
@@ -25,14 +33,22 @@ const stats = {
   totalUsers: 0,
   totalScans: 0,
   users: new Set(),
-  networkScans: {
-    ethereum: 0,
-    bsc: 0,
-    polygon: 0,
-    solana: 0
-  }
+  networkScans: Object.fromEntries(NETWORKS.map(network => [network, 0]))
 };
 
+// Two network buttons per row, in registry order
+function networkKeyboard() {
+  const buttons = NETWORKS.map(network => ({
+    text: `${CHAINS[network].emoji} ${CHAINS[network].name}`,
+    callback_data: `network_${network}`
+  }));
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 2) {
+    rows.push(buttons.slice(i, i + 2));
+  }
+  return { inline_keyboard: rows };
+}
+
 function formatNumber(num) {
   if (!num || isNaN(num)) return 'N/A';
   const n = parseFloat(num);
@@ -96,18 +112,7 @@ function formatPercentage(percent) {
 bot.onText(/\/start/, (msg) => {
   const chatId = msg.chat.id;
   
-  const keyboard = {
-    inline_keyboard: [
-      [
-        { text: '🔷 Ethereum', callback_data: 'network_ethereum' },
-        { text: '🟡 BSC', callback_data: 'network_bsc' }
-      ],
-      [
-        { text: '🟣 Polygon', callback_data: 'network_polygon' },
-        { text: '🟢 Solana', callback_data: 'network_solana' }
-      ]
-    ]
-  };
+  const keyboard = networkKeyboard();
 
   bot.sendMessage(
     chatId,
@@ -133,18 +138,7 @@ bot.onText(/\/start/, (msg) => {
 bot.onText(/\/scan/, (msg) => {
   const chatId = msg.chat.id;
   
-  const keyboard = {
-    inline_keyboard: [
-      [
-        { text: '🔷 Ethereum', callback_data: 'network_ethereum' },
-        { text: '🟡 BSC', callback_data: 'network_bsc' }
-      ],
-      [
-        { text: '🟣 Polygon', callback_data: 'network_polygon' },
-        { text: '🟢 Solana', callback_data: 'network_solana' }
-      ]
-    ]
-  };
+  const keyboard = networkKeyboard();
 
   bot.sendMessage(
     chatId,
@@ -168,10 +162,7 @@ bot.onText(/\/stats/, (msg) => {
     `👥 Total Users: *${stats.totalUsers}*\n` +
     `🔍 Total Scans: *${stats.totalScans}*\n\n` +
     '🌐 *Scans by Network:*\n' +
-    `🔷 Ethereum: ${stats.networkScans.ethereum}\n` +
-    `🟡 BSC: ${stats.networkScans.bsc}\n` +
-    `🟣 Polygon: ${stats.networkScans.polygon}\n` +
-    `🟢 Solana: ${stats.networkScans.solana}\n\n` +
+    NETWORKS.map(network => `${CHAINS[network].emoji} ${CHAINS[network].name}: ${stats.networkScans[network]}\n`).join('') + '\n' +
     `📅 Last updated: ${new Date().toLocaleString()}`;
 
   bot.sendMessage(msg.chat.id, message, { parse_mode: 'Markdown' });
@@ -184,21 +175,16 @@ bot.on('callback_query', async (callbackQuery) => {
 
   if (data.startsWith('network_')) {
     const network = data.replace('network_', '');
-    
-    userSessions.set(chatId, { network });
-
-    const networkEmojis = {
-      ethereum: '🔷',
-      bsc: '🟡',
-      polygon: '🟣',
-      solana: '🟢'
-    };
+    const chain = getChain(network);
 
     bot.answerCallbackQuery(callbackQuery.id);
+    if (!chain) return;
+
+    userSessions.set(chatId, { network });
 
     bot.sendMessage(
       chatId,
-      `${networkEmojis[network]} *${network.toUpperCase()} Network Selected*\n` +
+      `${chain.emoji} *${network.toUpperCase()} Network Selected*\n` +
       '━━━━━━━━━━━━━━━━━━━━\n\n' +
       '📋 *Send Token Contract Address*\n\n' +
       '✏️ Example:\n' +
@@ -207,22 +193,46 @@ bot.on('callback_query', async (callbackQuery) => {
     );
   }
 
+  // Network names contain no underscores, so the address is everything after the second one
+  if (data.startsWith('report_')) {
+    const [, network, address] = data.match(/^report_([^_]+)_(.+)$/) || [];
+
+    bot.answerCallbackQuery(callbackQuery.id, { text: '📄 Generating report...' });
+    if (!getChain(network)) return;
+
+    bot.sendChatAction(chatId, 'upload_document').catch(() => {});
+
+    try {
+      const response = await axios.get(`${API_BASE}/report/${network}/${address}.pdf`, {
+        responseType: 'arraybuffer',
+        timeout: 60000,
+        headers: API_HEADERS
+      });
+
+      await bot.sendDocument(
+        chatId,
+        Buffer.from(response.data),
+        { caption: `📄 Full report for \`${address}\``, parse_mode: 'Markdown' },
+        { filename: `${address.substring(0, 10)}-${network}-report.pdf`, contentType: 'application/pdf' }
+      );
+    } catch (err) {
+      console.error('Report error:', err.response?.status || err.message);
+      bot.sendMessage(
+        chatId,
+        '❌ *Report Failed*\n━━━━━━━━━━━━━━━━━━━━\n\n' +
+        (err.response?.status === 502
+          ? 'No data could be collected for this token.'
+          : 'Could not generate the report.\nTry again in a moment.'),
+        { parse_mode: 'Markdown' }
+      );
+    }
+  }
+
   // Handle "Scan Another Token" button
   if (data === 'scan_new') {
     bot.answerCallbackQuery(callbackQuery.id);
     
-    const keyboard = {
-      inline_keyboard: [
-        [
-          { text: '🔷 Ethereum', callback_data: 'network_ethereum' },
-          { text: '🟡 BSC', callback_data: 'network_bsc' }
-        ],
-        [
-          { text: '🟣 Polygon', callback_data: 'network_polygon' },
-          { text: '🟢 Solana', callback_data: 'network_solana' }
-        ]
-      ]
-    };
+    const keyboard = networkKeyboard();
 
     bot.sendMessage(
       callbackQuery.message.chat.id,
@@ -235,7 +245,9 @@ bot.on('callback_query', async (callbackQuery) => {
   }
 });
 
-// Handle text messages (token addresses)
+const looksLikeAddress = (text) => /^0x[0-9a-fA-F]{40}$/.test(text) || /^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(text);
+
+// Handle text messages (token addresses). Without a selected network the API detects it.
 bot.on('message', async (msg) => {
   if (msg.text && msg.text.startsWith('/')) return;
   
@@ -244,17 +256,16 @@ bot.on('message', async (msg) => {
   const address = msg.text?.trim();
 
   const session = userSessions.get(chatId);
-  
-  if (!session || !session.network) {
+  let network = session && session.network ? session.network : null;
+
+  if (!network && !looksLikeAddress(address || '')) {
     return bot.sendMessage(
       chatId,
-      '⚠️ *Please select a network first!*\n\nUse /scan to start.',
+      '⚠️ *Please select a network first!*\n\nUse /scan to start, or paste a contract address to detect its network.',
       { parse_mode: 'Markdown' }
     );
   }
 
-  const network = session.network;
-
   if (!address || address.length < 32) {
     return bot.sendMessage(
       chatId,
@@ -270,24 +281,24 @@ bot.on('message', async (msg) => {
     console.log(`✅ New user: ${userId} (Total: ${stats.totalUsers})`);
   }
   stats.totalScans += 1;
-  stats.networkScans[network] = (stats.networkScans[network] || 0) + 1;
-  console.log(`📊 Scan #${stats.totalScans} on ${network} by user ${userId}`);
+  if (network) {
+    stats.networkScans[network] = (stats.networkScans[network] || 0) + 1;
+  }
+  console.log(`📊 Scan #${stats.totalScans} on ${network || 'auto'} by user ${userId}`);
 
   const scanMsg = await bot.sendMessage(
     chatId,
     `🔍 *Scanning Token...*\n━━━━━━━━━━━━━━━━━━━━\n\n` +
-    `Network: *${network.toUpperCase()}*\n` +
+    `Network: *${network ? network.toUpperCase() : '🧭 Auto-detect'}*\n` +
     `Address: \`${address.substring(0, 10)}...${address.substring(address.length - 8)}\`\n\n` +
     '⏳ Analyzing security & fetching market data...',
     { parse_mode: 'Markdown' }
   );
 
   try {
-    const API_BASE = process.env.API_BASE || 'https://token-safety-scanner.onrender.com/api';
-
     const [securityRes, marketRes] = await Promise.allSettled([
-      axios.get(`${API_BASE}/check-token/${network}/${address}`, { timeout: 30000 }),
-      axios.get(`${API_BASE}/token-info/${address}`, { timeout: 10000 })
+      axios.get(`${API_BASE}/check-token/${network || 'auto'}/${address}`, { timeout: 30000, headers: API_HEADERS }),
+      axios.get(`${API_BASE}/token-info/${address}`, { timeout: 10000, headers: API_HEADERS })
     ]);
 
     if (securityRes.status !== 'fulfilled') {
@@ -295,9 +306,16 @@ bot.on('message', async (msg) => {
     }
 
     const data = securityRes.value.data;
+    if (!network) {
+      network = data.network;
+      stats.networkScans[network] = (stats.networkScans[network] || 0) + 1;
+    }
     const risk = data.riskAssessment;
     const ti = data.tokenInfo;
     const hc = data.holderConcentration;
+    const cl = data.holderClusters;
+    const la = data.liquidityAnalysis;
+    const mr = data.marketRisk;
 
     let marketData = null;
     if (marketRes.status === 'fulfilled' && marketRes.value.data.mainPair) {
@@ -332,11 +350,43 @@ bot.on('message', async (msg) => {
 
     message += '🛡️ *SECURITY ANALYSIS*\n';
     message += `Network: *${network.toUpperCase()}*\n`;
+    if (data.detection && data.detection.alsoFoundOn.length > 0) {
+      message += `🧭 Also on: ${data.detection.alsoFoundOn.map(n => n.toUpperCase()).join(', ')}\n`;
+    }
     message += `Risk Score: *${risk.score}/100* (*${risk.level.toUpperCase()}*)\n`;
     
     if (hc && hc.available) {
       const holderEmoji = hc.risk === 'high' ? '🚨' : hc.risk === 'medium' ? '⚠️' : '✅';
-      message += `${holderEmoji} Top 10 Holders: *${hc.top10Percentage}%*\n`;
+      message += `${holderEmoji} Top 10 Holders: *${hc.effectiveTop10Percentage}%*`;
+      message += hc.excludedPercentage > 0 ? ` of circulating (${hc.top10Percentage}% raw)\n` : '\n';
+    }
+
+    if (cl && cl.available && cl.clusterCount > 0) {
+      const clusterEmoji = cl.risk === 'high' ? '🚨' : cl.risk === 'medium' ? '⚠️' : '🕸️';
+      message += cl.bundledLaunch
+        ? `${clusterEmoji} Bundled Launch: *${cl.launchBlockHolders}* wallets hold *${cl.launchBlockPercent}%*\n`
+        : `${clusterEmoji} Linked Wallets: *${cl.clusterCount}* clusters hold *${cl.clusteredPercent}%*\n`;
+    }
+
+    if (la && la.available) {
+      const lpEmoji = la.rugRisk === 'high' ? '🚨' : la.rugRisk === 'medium' ? '⚠️' : '✅';
+      message += `${lpEmoji} LP Burned: *${la.burnedPercent}%* | Locked: *${la.lockedPercent}%*\n`;
+      if (la.nextUnlock) {
+        message += `🔓 Next Unlock: *${la.nextUnlock.substring(0, 10)}*\n`;
+      }
+      if (la.expiredLockPercent > 0) {
+        message += `⛔ Expired Locks: *${la.expiredLockPercent}%* (withdrawable now)\n`;
+      }
+      if (la.ownerPercent > 0) {
+        message += `👤 LP Held by Deployer: *${la.ownerPercent}%*\n`;
+      }
+    }
+
+    if (mr && mr.available && mr.signals.length > 0) {
+      const marketEmoji = mr.risk === 'high' ? '🚨' : mr.risk === 'medium' ? '⚠️' : '📈';
+      mr.signals.forEach(signal => {
+        message += `${marketEmoji} ${signal.message}\n`;
+      });
     }
 
     if (risk.risks && risk.risks.length > 0) {
@@ -360,6 +410,14 @@ bot.on('message', async (msg) => {
       ]);
     }
 
+    // Telegram caps callback data at 64 bytes; only registries with very long network names exceed it
+    const reportCallback = `report_${network}_${data.address}`;
+    if (reportCallback.length <= 64) {
+      keyboard.inline_keyboard.push([
+        { text: '📄 Full Report', callback_data: reportCallback }
+      ]);
+    }
+
     keyboard.inline_keyboard.push([
       { text: '🔄 Scan Another Token', callback_data: 'scan_new' }
     ]);
@@ -383,13 +441,15 @@ bot.on('message', async (msg) => {
     
     if (err.response?.status === 400) {
       errorMsg += '❗ *Invalid Request*\n\n';
-      errorMsg += `• Check address is valid for *${network.toUpperCase()}*\n`;
+      errorMsg += network
+        ? `• Check address is valid for *${network.toUpperCase()}*\n`
+        : '• Check the contract address is complete\n';
       errorMsg += '• Verify token exists on this network';
     } else if (err.response?.status === 404) {
       errorMsg += '⚠️ *Token Not Found*\n\n';
       errorMsg += 'This token may not be:\n';
       errorMsg += '• Listed on DEX yet\n';
-      errorMsg += '• Deployed on this network';
+      errorMsg += network ? '• Deployed on this network' : '• Deployed on a supported network';
     } else if (err.code === 'ECONNABORTED') {
       errorMsg += '⏱️ *Request Timeout*\n\n';
       errorMsg += 'Server response took too long.\nPlease try again.';
@@ -400,7 +460,7 @@ bot.on('message', async (msg) => {
 
     const retryKeyboard = {
       inline_keyboard: [
-        [{ text: '🔄 Try Again', callback_data: `network_${network}` }],
+        ...(network ? [[{ text: '🔄 Try Again', callback_data: `network_${network}` }]] : []),
         [{ text: '🏠 Select Network', callback_data: 'scan_new' }]
       ]
     };
@@ -412,6 +472,215 @@ bot.on('message', async (msg) => {
   }
 });
 
+// ============================================
+// WATCHLIST
+// ============================================
+
+const WATCH_NETWORKS = NETWORKS;
+const MAX_WATCHES_PER_CHAT = 20;
+const WATCH_INTERVAL_MS = parseInt(process.env.WATCH_INTERVAL_MS) || 10 * 60 * 1000;
+// Two API calls per token, spaced to stay well under the bot key's per-minute limit
+const WATCH_REQUEST_SPACING_MS = parseInt(process.env.WATCH_REQUEST_SPACING_MS) || 15000;
+
+let watchlistReady = false;
+try {
+  watchlist.openWatchlist();
+  watchlistReady = true;
+} catch (error) {
+  console.error('❌ Watchlist storage unavailable:', error.message);
+}
+
+const watchSchedulerEnabled = watchlistReady && !!SCANNER_API_KEY;
+if (watchlistReady && !SCANNER_API_KEY) {
+  console.error('❌ SCANNER_API_KEY is not set: watchlist scheduler disabled.');
+  console.error('   Its polling would exhaust the anonymous daily quota shared with every client on this IP.');
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const levelEmoji = (level) => level === 'danger' ? '🚨' : level === 'warning' ? '⚠️' : '✅';
+
+const shortAddress = (address) => `${address.substring(0, 6)}...${address.substring(address.length - 4)}`;
+
+async function fetchWatchSnapshot(network, address) {
+  const scanRes = await axios.get(`${API_BASE}/check-token/${network}/${address}`, { timeout: 30000, headers: API_HEADERS });
+  const scan = scanRes.data;
+
+  let market = null;
+  try {
+    const marketRes = await axios.get(`${API_BASE}/token-info/${address}`, { timeout: 10000, headers: API_HEADERS });
+    market = marketRes.data.mainPair || null;
+  } catch (error) {
+    // Tokens without pairs still get security alerts
+  }
+
+  return {
+    label: `${scan.tokenInfo.name} (${scan.tokenInfo.symbol})`,
+    snapshot: watchlist.buildSnapshot(scan, market)
+  };
+}
+
+bot.onText(/^\/watch(?:@\w+)?(?:\s+(\S+))?(?:\s+(\S+))?\s*$/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const network = (match[1] || '').toLowerCase();
+  const address = match[2];
+
+  if (!watchlistReady) {
+    return bot.sendMessage(chatId, '⚠️ Watchlist is currently unavailable.');
+  }
+
+  if (!watchSchedulerEnabled) {
+    return bot.sendMessage(chatId, '⚠️ Watchlist alerts are disabled on this bot.');
+  }
+
+  if (!WATCH_NETWORKS.includes(network) || !address || address.length < 32) {
+    return bot.sendMessage(
+      chatId,
+      '👁️ *Watch a Token*\n━━━━━━━━━━━━━━━━━━━━\n\n' +
+      'Usage: `/watch <network> <address>`\n\n' +
+      `Networks: ${WATCH_NETWORKS.join(', ')}\n\n` +
+      '✏️ Example:\n`/watch ethereum 0xdAC17F958D2ee523a2206206994597C13D831ec7`',
+      { parse_mode: 'Markdown' }
+    );
+  }
+
+  if (watchlist.countWatches(chatId) >= MAX_WATCHES_PER_CHAT) {
+    return bot.sendMessage(chatId, `⚠️ You can watch up to ${MAX_WATCHES_PER_CHAT} tokens. Use /unwatch to free a slot.`);
+  }
+
+  let baseline = null;
+  try {
+    baseline = await fetchWatchSnapshot(network, address);
+  } catch (error) {
+    if (error.response?.status === 400) {
+      return bot.sendMessage(chatId, `❌ *Invalid address for ${network.toUpperCase()}*`, { parse_mode: 'Markdown' });
+    }
+    console.error('Watch baseline scan failed:', error.message);
+  }
+
+  const added = watchlist.addWatch(chatId, network, address, baseline?.label, baseline?.snapshot);
+  if (!added) {
+    return bot.sendMessage(chatId, 'ℹ️ This token is already on your watchlist.');
+  }
+
+  let message = '👁️ *Now Watching*\n━━━━━━━━━━━━━━━━━━━━\n\n';
+  if (baseline) {
+    message += `*${baseline.label}*\n`;
+    message += `${levelEmoji(baseline.snapshot.level)} Risk: *${baseline.snapshot.score}/100* (*${baseline.snapshot.level.toUpperCase()}*)\n\n`;
+  } else {
+    message += `\`${address}\`\n\n`;
+  }
+  message += `I'll alert you when the risk level, high-severity risks, liquidity or taxes change.\n`;
+  message += `Checked every ${Math.round(WATCH_INTERVAL_MS / 60000)} min.`;
+
+  bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+});
+
+bot.onText(/^\/watchlist(?:@\w+)?\s*$/, (msg) => {
+  const chatId = msg.chat.id;
+
+  if (!watchlistReady) {
+    return bot.sendMessage(chatId, '⚠️ Watchlist is currently unavailable.');
+  }
+
+  const watches = watchlist.listWatches(chatId);
+  if (watches.length === 0) {
+    return bot.sendMessage(chatId, '📭 Your watchlist is empty.\n\nAdd a token with `/watch <network> <address>`', { parse_mode: 'Markdown' });
+  }
+
+  let message = `👁️ *Your Watchlist* (${watches.length}/${MAX_WATCHES_PER_CHAT})\n━━━━━━━━━━━━━━━━━━━━\n\n`;
+  watches.forEach((watch, i) => {
+    const status = watch.snapshot
+      ? `${levelEmoji(watch.snapshot.level)} ${watch.snapshot.score}/100`
+      : '⏳ pending';
+    message += `${i + 1}. *${watch.label || shortAddress(watch.address)}* — ${watch.network.toUpperCase()}\n`;
+    message += `   ${status} · \`${shortAddress(watch.address)}\`\n`;
+  });
+  message += '\nRemove with `/unwatch <number>`';
+
+  bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+});
+
+// /unwatch <number from /watchlist> or /unwatch <network> <address>
+bot.onText(/^\/unwatch(?:@\w+)?(?:\s+(\S+))?(?:\s+(\S+))?\s*$/, (msg, match) => {
+  const chatId = msg.chat.id;
+
+  if (!watchlistReady) {
+    return bot.sendMessage(chatId, '⚠️ Watchlist is currently unavailable.');
+  }
+
+  let network = (match[1] || '').toLowerCase();
+  let address = match[2];
+
+  if (match[1] && !match[2] && /^\d+$/.test(match[1])) {
+    const watch = watchlist.listWatches(chatId)[parseInt(match[1]) - 1];
+    if (watch) {
+      network = watch.network;
+      address = watch.address;
+    }
+  }
+
+  if (!network || !address) {
+    return bot.sendMessage(chatId, 'Usage: `/unwatch <number>` or `/unwatch <network> <address>`', { parse_mode: 'Markdown' });
+  }
+
+  const removed = watchlist.removeWatch(chatId, network, address);
+  bot.sendMessage(chatId, removed ? '🗑️ Token removed from your watchlist.' : '⚠️ That token is not on your watchlist.');
+});
+
+let watchCycleRunning = false;
+
+async function runWatchCycle() {
+  if (!watchlistReady || watchCycleRunning) return;
+  watchCycleRunning = true;
+
+  try {
+    const tokens = watchlist.listWatchedTokens();
+    if (tokens.length > 0) {
+      console.log(`👁️  Watchlist cycle: ${tokens.length} tokens`);
+    }
+
+    for (const { network, address } of tokens) {
+      try {
+        const { label, snapshot } = await fetchWatchSnapshot(network, address);
+
+        for (const watcher of watchlist.getWatchers(network, address)) {
+          const alerts = watchlist.detectAlerts(watcher.snapshot, snapshot);
+
+          if (alerts.length > 0) {
+            let message = `🔔 *Watchlist Alert*\n━━━━━━━━━━━━━━━━━━━━\n\n`;
+            message += `${levelEmoji(snapshot.level)} *${label}* — ${network.toUpperCase()}\n`;
+            message += `\`${address}\`\n\n`;
+            alerts.forEach(alert => {
+              message += `• ${alert.message}\n`;
+            });
+
+            await bot.sendMessage(watcher.chatId, message, {
+              parse_mode: 'Markdown',
+              reply_markup: {
+                inline_keyboard: [[{ text: '🔄 Scan Another Token', callback_data: 'scan_new' }]]
+              }
+            }).catch(err => console.error('Watch alert failed:', err.message));
+          }
+
+          watchlist.saveSnapshot(watcher.chatId, network, address, snapshot, label);
+        }
+      } catch (error) {
+        console.error(`Watch check failed for ${network}/${address}:`, error.response?.data?.error || error.message);
+      }
+
+      await sleep(WATCH_REQUEST_SPACING_MS);
+    }
+  } finally {
+    watchCycleRunning = false;
+  }
+}
+
+if (watchSchedulerEnabled) {
+  setInterval(runWatchCycle, WATCH_INTERVAL_MS);
+  console.log(`👁️  Watchlist scheduler every ${Math.round(WATCH_INTERVAL_MS / 60000)} min`);
+}
+
 // /help command
 bot.onText(/\/help/, (msg) => {
   bot.sendMessage(
@@ -421,12 +690,10 @@ bot.onText(/\/help/, (msg) => {
     '1️⃣ Send /scan or /start\n' +
     '2️⃣ Click network button\n' +
     '3️⃣ Paste contract address\n' +
+    '   _or just paste an address to detect its network_\n' +
     '4️⃣ Get instant analysis!\n\n' +
     '🌐 *SUPPORTED NETWORKS*\n' +
-    '• 🔷 Ethereum\n' +
-    '• 🟡 Binance Smart Chain\n' +
-    '• 🟣 Polygon\n' +
-    '• 🟢 Solana\n\n' +
+    NETWORKS.map(network => `• ${CHAINS[network].emoji} ${CHAINS[network].name}\n`).join('') + '\n' +
     '🔍 *WE ANALYZE*\n' +
     '• 💰 Real-time Price\n' +
     '• 📊 24h Volume & Liquidity\n' +
@@ -434,7 +701,11 @@ bot.onText(/\/help/, (msg) => {
     '• 👥 Holder Concentration\n' +
     '• 🔒 Ownership Status\n' +
     '• ✅ Contract Verification\n' +
-    '• 💸 Buy/Sell Tax Rates',
+    '• 💸 Buy/Sell Tax Rates\n\n' +
+    '👁️ *WATCHLIST*\n' +
+    '• /watch <network> <address>\n' +
+    '• /watchlist\n' +
+    '• /unwatch <number>',
     { parse_mode: 'Markdown' }
   );
 });
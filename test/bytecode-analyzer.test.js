@@ -0,0 +1,78 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { analyzeBytecode } = require('../bytecode-analyzer');
+
+const selector = (signature) => ethers.id(signature).slice(2, 10);
+
+// PUSH4 <selector>, then `fillers` single-byte ops (DUP1) before EQ
+const dispatch = (signature, fillers = 1) => `63${selector(signature)}${'80'.repeat(fillers)}14`;
+
+// CBOR-style trailer: a marker byte, filler and the two-byte length Solidity appends
+const metadata = (fill) => {
+  const body = `a264${fill}`;
+  return body + (body.length / 2).toString(16).padStart(4, '0');
+};
+
+describe('bytecode analyzer', () => {
+  it('reports no contract for empty code', () => {
+    const result = analyzeBytecode('0x');
+    assert.equal(result.available, false);
+    assert.equal(result.isContract, false);
+  });
+
+  it('only counts selectors compared with EQ within three instructions', () => {
+    const result = analyzeBytecode(`0x${dispatch('mint(address,uint256)', 2)}${dispatch('blacklist(address)', 3)}00`);
+    assert.deepEqual(result.knownFunctions.map(fn => fn.signature), ['mint(address,uint256)']);
+    assert.deepEqual(result.categories, { mint: 1 });
+  });
+
+  it('leaves ownership functions out of the capability note', () => {
+    const result = analyzeBytecode(`0x${dispatch('owner()')}${dispatch('setFee(uint256)')}00`);
+    assert.deepEqual(result.categories, { ownership: 1, fees: 1 });
+    assert.match(result.message, /exposes fees functions/);
+    assert.doesNotMatch(result.message, /ownership/);
+  });
+
+  it('ignores opcode bytes that are PUSH data', () => {
+    // PUSH2 0xfff4 carries SELFDESTRUCT and DELEGATECALL bytes without executing them
+    const pushed = analyzeBytecode('0x61fff400');
+    assert.deepEqual(pushed.opcodes, { selfdestruct: false, delegatecall: false, callcode: false });
+
+    const executed = analyzeBytecode('0x00f4ff');
+    assert.deepEqual(executed.opcodes, { selfdestruct: true, delegatecall: true, callcode: false });
+  });
+
+  it('hashes code without its metadata so rebuilt copies match', () => {
+    const runtime = `${dispatch('withdraw()')}00`;
+    const first = analyzeBytecode(`0x${runtime}${metadata('1111')}`);
+    const second = analyzeBytecode(`0x${runtime}${metadata('2222')}`);
+    assert.equal(first.codeHash, second.codeHash);
+    assert.equal(first.codeHash, ethers.keccak256(`0x${runtime}`));
+  });
+
+  it('recognises EIP-1167 minimal proxies instead of flagging DELEGATECALL', () => {
+    const implementation = '0x1111111111111111111111111111111111111111';
+    const hex = `0x363d3d373d3d3d363d73${implementation.slice(2)}5af43d82803e903d91602b57fd5bf3`;
+    const result = analyzeBytecode(hex);
+    assert.equal(result.minimalProxy.implementation, ethers.getAddress(implementation));
+    assert.match(result.message, /minimal proxy/);
+    assert.doesNotMatch(result.message, /contains DELEGATECALL/);
+  });
+
+  it('matches code that scan history saw behave as a honeypot', () => {
+    const seen = [];
+    const flagged = { network: 'bsc', address: '0xdead00000000000000000000000000000000beef' };
+    const result = analyzeBytecode('0x6001600155', {
+      findFlaggedByCodeHash: (codeHash) => {
+        seen.push(codeHash);
+        return flagged;
+      }
+    });
+
+    assert.deepEqual(seen, [result.codeHash]);
+    assert.equal(result.templateMatch.source, 'scanHistory');
+    assert.equal(result.templateMatch.address, flagged.address);
+    assert.equal(analyzeBytecode('0x6001600155').templateMatch, null);
+  });
+});
@@ -0,0 +1,105 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { openScanHistory, recordScan } = require('../scan-history');
+const { findFundingSource, buildDeployerReport } = require('../deployer');
+
+const CREATOR = '0x00000000000000000000000000000000000c0de0';
+const TORNADO = '0x910cbd523d972eb0a6f4cae4618ad62622b39dbf';
+
+const inbound = (from, blockNumber, extra = {}) => ({
+  from,
+  to: CREATOR,
+  value: '1000000000000000000',
+  hash: `0xhash${blockNumber}`,
+  blockNumber: String(blockNumber),
+  timeStamp: '1700000000',
+  ...extra
+});
+
+const deployment = (n) => ({ address: `0x${String(n).padStart(40, '0')}`, txHash: `0xtx${n}`, deployedAt: '2024-01-01T00:00:00.000Z' });
+
+const activity = (deployments, funding = null) => ({
+  creator: CREATOR,
+  funding,
+  deployments,
+  historyTruncated: false
+});
+
+// Only the fields getTokenOutcome reads
+function recordHoneypot(network, address) {
+  recordScan({
+    network,
+    address,
+    timestamp: new Date().toISOString(),
+    security: { isHoneypot: true },
+    riskAssessment: { score: 100, level: 'CRITICAL', riskDetails: [] }
+  });
+}
+
+describe('deployer funding source', () => {
+  it('takes the earlier of the first normal and internal inbound transfers', () => {
+    const funding = findFundingSource('ethereum', CREATOR, [inbound('0xaaa', 20)], [inbound(TORNADO, 10)]);
+    assert.equal(funding.type, 'internal');
+    assert.equal(funding.isMixer, true);
+    assert.equal(funding.label, 'Tornado Cash (10 ETH)');
+  });
+
+  it('skips failed and zero-value transfers', () => {
+    const transactions = [inbound('0xbad', 5, { isError: '1' }), inbound('0xzero', 6, { value: '0' }), inbound('0xaaa', 7)];
+    assert.equal(findFundingSource('ethereum', CREATOR, transactions, []).address, '0xaaa');
+    assert.equal(findFundingSource('ethereum', CREATOR, [], []), null);
+  });
+
+  it('leaves mixer status unknown on chains with no mixer data', () => {
+    assert.equal(findFundingSource('arbitrum', CREATOR, [inbound(TORNADO, 1)], []).isMixer, null);
+  });
+});
+
+describe('deployer reputation', () => {
+  before(() => {
+    openScanHistory(':memory:');
+    recordHoneypot('ethereum', deployment(1).address);
+    recordHoneypot('ethereum', deployment(2).address);
+  });
+
+  it('is clean when no other deployment is flagged', () => {
+    const report = buildDeployerReport('ethereum', deployment(9).address, activity([deployment(3), deployment(9)]));
+    assert.equal(report.reputation, 'clean');
+    assert.equal(report.deployedContractCount, 1);
+    assert.equal(report.fundedByMixer, false);
+  });
+
+  it('is suspicious with one flagged token and malicious from two', () => {
+    const one = buildDeployerReport('ethereum', deployment(9).address, activity([deployment(1), deployment(3)]));
+    assert.equal(one.reputation, 'suspicious');
+    assert.equal(one.isSerialRugger, false);
+
+    const two = buildDeployerReport('ethereum', deployment(9).address, activity([deployment(1), deployment(2)]));
+    assert.equal(two.reputation, 'malicious');
+    assert.equal(two.isSerialRugger, true);
+    assert.equal(two.flaggedTokenCount, 2);
+  });
+
+  it('does not count the scanned token against its own deployer', () => {
+    const report = buildDeployerReport('ethereum', deployment(1).address, activity([deployment(1), deployment(3)]));
+    assert.equal(report.flaggedTokenCount, 0);
+    assert.equal(report.reputation, 'clean');
+  });
+
+  it('is suspicious when funded through a mixer', () => {
+    const funding = findFundingSource('ethereum', CREATOR, [inbound(TORNADO, 1)], []);
+    const report = buildDeployerReport('ethereum', deployment(9).address, activity([], funding));
+    assert.equal(report.fundedByMixer, true);
+    assert.equal(report.reputation, 'suspicious');
+    assert.match(report.message, /Tornado Cash/);
+  });
+
+  it('reports mixer funding as unchecked on chains with no mixer data', () => {
+    const funding = findFundingSource('base', CREATOR, [inbound(TORNADO, 1)], []);
+    const report = buildDeployerReport('base', deployment(9).address, activity([], funding));
+    assert.equal(report.fundedByMixer, null);
+    assert.equal(report.mixerDataAvailable, false);
+    assert.equal(report.reputation, 'clean');
+    assert.match(report.message, /mixer funding not checked/);
+  });
+});
@@ -0,0 +1,93 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+// Minimal Uniswap V2-style market for exercising HoneypotSimulator on a local Hardhat chain:
+// a wrapped native token, a pair that pays out whatever swap() asks for, a factory, and a token
+// that can charge a transfer tax or refuse every sell into its pair.
+
+interface IBalance {
+    function balanceOf(address account) external view returns (uint256);
+    function transfer(address to, uint256 amount) external returns (bool);
+}
+
+contract FixtureWrappedNative {
+    mapping(address => uint256) public balanceOf;
+
+    function deposit() external payable {
+        balanceOf[msg.sender] += msg.value;
+    }
+
+    function mint(address to, uint256 amount) external {
+        balanceOf[to] += amount;
+    }
+
+    function transfer(address to, uint256 amount) external returns (bool) {
+        balanceOf[msg.sender] -= amount;
+        balanceOf[to] += amount;
+        return true;
+    }
+}
+
+contract FixtureToken {
+    mapping(address => uint256) public balanceOf;
+    address public immutable owner;
+    uint256 public immutable taxBps;
+    bool public immutable blockSells;
+    address public pair;
+
+    constructor(uint256 _taxBps, bool _blockSells) {
+        owner = msg.sender;
+        taxBps = _taxBps;
+        blockSells = _blockSells;
+        balanceOf[msg.sender] = 1e30;
+    }
+
+    function setPair(address _pair) external {
+        require(msg.sender == owner, "owner only");
+        pair = _pair;
+    }
+
+    function transfer(address to, uint256 amount) external returns (bool) {
+        if (blockSells && to == pair && msg.sender != owner) revert("sells disabled");
+        balanceOf[msg.sender] -= amount;
+        uint256 tax = msg.sender == owner ? 0 : (amount * taxBps) / 10000;
+        balanceOf[to] += amount - tax;
+        balanceOf[owner] += tax;
+        return true;
+    }
+}
+
+contract FixturePair {
+    address public token0;
+    address public token1;
+    uint112 private reserve0;
+    uint112 private reserve1;
+
+    constructor(address tokenA, address tokenB) {
+        (token0, token1) = tokenA < tokenB ? (tokenA, tokenB) : (tokenB, tokenA);
+    }
+
+    function sync() public {
+        reserve0 = uint112(IBalance(token0).balanceOf(address(this)));
+        reserve1 = uint112(IBalance(token1).balanceOf(address(this)));
+    }
+
+    function getReserves() external view returns (uint112, uint112, uint32) {
+        return (reserve0, reserve1, 0);
+    }
+
+    function swap(uint256 amount0Out, uint256 amount1Out, address to, bytes calldata) external {
+        if (amount0Out > 0) IBalance(token0).transfer(to, amount0Out);
+        if (amount1Out > 0) IBalance(token1).transfer(to, amount1Out);
+        sync();
+    }
+}
+
+contract FixtureFactory {
+    mapping(address => mapping(address => address)) public getPair;
+
+    function setPair(address tokenA, address tokenB, address pair) external {
+        getPair[tokenA][tokenB] = pair;
+        getPair[tokenB][tokenA] = pair;
+    }
+}
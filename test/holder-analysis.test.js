@@ -0,0 +1,113 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeHolderConcentration } = require('../holder-analyzer');
+const { buildClusterReport } = require('../holder-clusters');
+
+// GoPlus-shaped holders; percent is a fraction of supply
+const holders = (...shares) => shares.map((share, i) => ({
+  address: `0x${String(i + 1).padStart(40, '0')}`,
+  percent: String(share / 100)
+}));
+
+describe('holder concentration', () => {
+  it('is low at exactly the 15% threshold and medium just above it', () => {
+    const atThreshold = analyzeHolderConcentration(holders(15), { network: 'ethereum' });
+    assert.equal(atThreshold.risk, 'low');
+    assert.equal(atThreshold.isConcentrated, false);
+
+    const above = analyzeHolderConcentration(holders(15.01), { network: 'ethereum' });
+    assert.equal(above.risk, 'medium');
+    assert.equal(above.isConcentrated, true);
+  });
+
+  it('is high only above 50% of circulating supply', () => {
+    assert.equal(analyzeHolderConcentration(holders(25, 25), { network: 'ethereum' }).risk, 'medium');
+    assert.equal(analyzeHolderConcentration(holders(25, 25.01), { network: 'ethereum' }).risk, 'high');
+  });
+
+  it('scores the share of circulating supply once LP, burned and labelled CEX wallets are excluded', () => {
+    const list = [
+      { address: '0xPair000000000000000000000000000000000001', percent: '0.4' },
+      { address: '0x000000000000000000000000000000000000dEaD', percent: '0.3' },
+      { address: '0x28c6c06298d514db089934071355e5743bf21d60', percent: '0.1' },
+      { address: '0x0000000000000000000000000000000000000abc', percent: '0.04' }
+    ];
+    const result = analyzeHolderConcentration(list, {
+      network: 'ethereum',
+      pairAddresses: ['0xpair000000000000000000000000000000000001']
+    });
+
+    assert.equal(result.top10Percentage, 84);
+    assert.equal(result.excludedPercentage, 80);
+    assert.equal(result.effectiveTop10Percentage, 20);
+    assert.equal(result.risk, 'medium');
+    assert.deepEqual(result.top10Holders.map(h => h.category), ['lp', 'burn', 'cex', 'wallet']);
+  });
+
+  it('only uses bundled labels on chains that have them', () => {
+    const cex = [{ address: '0x28c6c06298d514db089934071355e5743bf21d60', percent: '0.6' }];
+    assert.equal(analyzeHolderConcentration(cex, { network: 'ethereum' }).labelsAvailable, true);
+
+    const elsewhere = analyzeHolderConcentration(cex, { network: 'arbitrum' });
+    assert.equal(elsewhere.labelsAvailable, false);
+    assert.equal(elsewhere.risk, 'high');
+  });
+
+  it('is unavailable without holder data', () => {
+    const result = analyzeHolderConcentration([], { network: 'ethereum' });
+    assert.equal(result.available, false);
+    assert.equal(result.risk, 'unknown');
+  });
+});
+
+describe('holder clusters', () => {
+  const members = (...percents) => percents.map((percent, i) => ({ address: `0xw${i}`, percent }));
+  const noLaunch = { launchBlock: null, recipients: [] };
+
+  it('flags a bundled launch from two launch-block buyers holding 5% or more', () => {
+    const report = buildClusterReport('ethereum', members(3, 2), [], { launchBlock: 100, recipients: ['0xw0', '0xw1'] });
+    assert.equal(report.bundledLaunch, true);
+    assert.equal(report.risk, 'high');
+  });
+
+  it('does not flag a launch bundle below 5% or with a single buyer', () => {
+    const small = buildClusterReport('ethereum', members(2.5, 2.49), [], { launchBlock: 100, recipients: ['0xw0', '0xw1'] });
+    assert.equal(small.bundledLaunch, false);
+
+    const single = buildClusterReport('ethereum', members(30, 1), [], { launchBlock: 100, recipients: ['0xw0'] });
+    assert.equal(single.bundledLaunch, false);
+  });
+
+  it('links wallets created within 50 blocks and warns from 15% combined', () => {
+    const wallets = [{ address: '0xw0', firstBlock: 1000 }, { address: '0xw1', firstBlock: 1050 }];
+    const warning = buildClusterReport('ethereum', members(10, 5), wallets, noLaunch);
+    assert.equal(warning.clusterCount, 1);
+    assert.deepEqual(warning.clusters[0].reasons, ['created-together']);
+    assert.equal(warning.risk, 'medium');
+
+    const below = buildClusterReport('ethereum', members(10, 4.99), wallets, noLaunch);
+    assert.equal(below.clusterCount, 1);
+    assert.equal(below.risk, 'low');
+
+    const apart = [{ address: '0xw0', firstBlock: 1000 }, { address: '0xw1', firstBlock: 1051 }];
+    assert.equal(buildClusterReport('ethereum', members(10, 5), apart, noLaunch).clusterCount, 0);
+  });
+
+  it('links wallets by funder except exchange wallets, and not at all on chains without label data', () => {
+    const fundedBy = (address) => [
+      { address: '0xw0', firstBlock: null, funding: { address, isMixer: false } },
+      { address: '0xw1', firstBlock: null, funding: { address, isMixer: false } }
+    ];
+
+    const shared = buildClusterReport('ethereum', members(10, 10), fundedBy('0xfunder'), noLaunch);
+    assert.deepEqual(shared.clusters[0].reasons, ['same-funder']);
+    assert.equal(shared.sameFunderChecked, true);
+
+    const exchange = buildClusterReport('ethereum', members(10, 10), fundedBy('0x28c6c06298d514db089934071355e5743bf21d60'), noLaunch);
+    assert.equal(exchange.clusterCount, 0);
+
+    const unlabelled = buildClusterReport('arbitrum', members(10, 10), fundedBy('0xfunder'), noLaunch);
+    assert.equal(unlabelled.clusterCount, 0);
+    assert.equal(unlabelled.sameFunderChecked, false);
+  });
+});
@@ -0,0 +1,120 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const hre = require('hardhat');
+const { compileSources, compileSimulator } = require('../scripts/build-simulator');
+
+const FIXTURES = 'test/fixtures/SimulationFixtures.sol';
+
+// The simulator reads its DEX from the chain registry, so point a copy of it at the fixtures
+function useFixtureRegistry(factory, wrappedNative) {
+  const chains = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'config', 'chains.json'), 'utf8'));
+  chains.ethereum.wrappedToken.address = wrappedNative;
+  chains.ethereum.simulationDexes = [{ name: 'Fixture DEX', factory, feeBps: 30 }];
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chains-'));
+  fs.writeFileSync(path.join(dir, 'chains.json'), JSON.stringify(chains));
+  process.env.CHAINS_FILE = path.join(dir, 'chains.json');
+  return dir;
+}
+
+describe('honeypot simulator', () => {
+  let simulator;
+  let registryDir;
+  let provider;
+  let deploy;
+  let weth;
+  let factory;
+
+  // One pair per token, seeded with 1M tokens against 100 wrapped native
+  const listToken = async (token) => {
+    const pair = await deploy('FixturePair', await token.getAddress(), await weth.getAddress());
+    await (await token.transfer(await pair.getAddress(), ethers.parseEther('1000000'))).wait();
+    await (await weth.mint(await pair.getAddress(), ethers.parseEther('100'))).wait();
+    await (await pair.sync()).wait();
+    await (await token.setPair(await pair.getAddress())).wait();
+    await (await factory.setPair(await token.getAddress(), await weth.getAddress(), await pair.getAddress())).wait();
+    return pair;
+  };
+
+  before(async () => {
+    const contracts = compileSources({
+      [FIXTURES]: fs.readFileSync(path.join(__dirname, '..', FIXTURES), 'utf8')
+    });
+    provider = new ethers.BrowserProvider(hre.network.provider);
+    const signer = await provider.getSigner(0);
+    deploy = async (name, ...args) => {
+      const { abi, bytecode } = contracts[name];
+      const contract = await new ethers.ContractFactory(abi, bytecode, signer).deploy(...args);
+      await contract.waitForDeployment();
+      return contract;
+    };
+
+    weth = await deploy('FixtureWrappedNative');
+    factory = await deploy('FixtureFactory');
+    registryDir = useFixtureRegistry(await factory.getAddress(), await weth.getAddress());
+    simulator = require('../honeypot-simulator');
+  });
+
+  after(() => {
+    if (registryDir) fs.rmSync(registryDir, { recursive: true, force: true });
+  });
+
+  it('ships the bytecode compiled from contracts/HoneypotSimulator.sol', () => {
+    const source = fs.readFileSync(path.join(__dirname, '..', 'honeypot-simulator.js'), 'utf8');
+    assert.ok(source.includes(`'${compileSimulator()}'`));
+  });
+
+  it('passes a clean token', async () => {
+    const token = await deploy('FixtureToken', 0, false);
+    await listToken(token);
+
+    const result = await simulator.simulateHoneypot(provider, 'ethereum', await token.getAddress());
+
+    assert.equal(result.simulated, true);
+    assert.equal(result.isHoneypot, false);
+    assert.equal(result.buySucceeded, true);
+    assert.equal(result.sellSucceeded, true);
+    assert.equal(result.transferSucceeded, true);
+    assert.equal(result.buyTax, 0);
+    assert.equal(result.sellTax, 0);
+    assert.equal(result.failureReason, null);
+  });
+
+  it('measures transfer taxes', async () => {
+    const token = await deploy('FixtureToken', 500, false);
+    await listToken(token);
+
+    const result = await simulator.simulateHoneypot(provider, 'ethereum', await token.getAddress());
+
+    assert.equal(result.isHoneypot, false);
+    assert.ok(Math.abs(result.buyTax - 0.05) < 0.001, `buy tax ${result.buyTax}`);
+    assert.ok(Math.abs(result.sellTax - 0.05) < 0.001, `sell tax ${result.sellTax}`);
+    assert.ok(Math.abs(result.transferTax - 0.05) < 0.001, `transfer tax ${result.transferTax}`);
+  });
+
+  it('flags a token that cannot be sold', async () => {
+    const token = await deploy('FixtureToken', 0, true);
+    await listToken(token);
+
+    const result = await simulator.simulateHoneypot(provider, 'ethereum', await token.getAddress());
+
+    assert.equal(result.simulated, true);
+    assert.equal(result.isHoneypot, true);
+    assert.equal(result.buySucceeded, true);
+    assert.equal(result.sellSucceeded, false);
+    assert.equal(result.failureReason, 'Sell reverted');
+  });
+
+  it('reports a token without a pair as not simulated', async () => {
+    const token = await deploy('FixtureToken', 0, false);
+
+    const result = await simulator.simulateHoneypot(provider, 'ethereum', await token.getAddress());
+
+    assert.equal(result.simulated, false);
+    assert.equal(result.pair, null);
+    assert.equal(result.failureReason, 'No Fixture DEX pair against WETH');
+  });
+});
@@ -0,0 +1,90 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeMarket } = require('../market-analyzer');
+
+const NOW = Date.parse('2024-06-01T00:00:00Z');
+const HOUR = 3600000;
+
+// A quiet, week-old pair that trips no signal; overrides tune one input at a time
+const pair = (overrides = {}) => ({
+  dexId: 'uniswap',
+  pairAddress: '0xpair',
+  pairCreatedAt: NOW - 7 * 24 * HOUR,
+  liquidity: { usd: 100000 },
+  volume: { h24: 50000 },
+  txns: { h24: { buys: 100, sells: 80 } },
+  priceChange: { m5: 0, h1: 0, h6: 0, h24: 0 },
+  ...overrides
+});
+
+const analyze = (pairs) => analyzeMarket(pairs, { now: NOW });
+const signalIds = (result) => result.signals.map(signal => signal.id);
+
+describe('market analyzer', () => {
+  it('is unavailable without pairs', () => {
+    assert.equal(analyze([]).available, false);
+    assert.equal(analyze([]).risk, 'unknown');
+  });
+
+  it('reports a quiet market as low risk', () => {
+    const result = analyze([pair()]);
+    assert.deepEqual(result.signals, []);
+    assert.equal(result.risk, 'low');
+  });
+
+  it('flags wash trading from 10x volume to liquidity', () => {
+    assert.equal(analyze([pair({ volume: { h24: 999999 } })]).washTrading, false);
+
+    const result = analyze([pair({ volume: { h24: 1000000 } })]);
+    assert.equal(result.washTrading, true);
+    assert.equal(result.risk, 'medium');
+  });
+
+  it('flags one-sided flow below a 5% sell ratio once there are 20 buys', () => {
+    assert.equal(analyze([pair({ txns: { h24: { buys: 20, sells: 1 } } })]).honeypotLikeFlow, false);
+    assert.equal(analyze([pair({ txns: { h24: { buys: 19, sells: 0 } } })]).honeypotLikeFlow, false);
+
+    const result = analyze([pair({ txns: { h24: { buys: 21, sells: 1 } } })]);
+    assert.equal(result.honeypotLikeFlow, true);
+    assert.equal(result.risk, 'high');
+    assert.match(result.message, /^DANGER: /);
+  });
+
+  it('flags pairs younger than 24 hours by the oldest pair', () => {
+    assert.equal(analyze([pair({ pairCreatedAt: NOW - 24 * HOUR })]).newPair, false);
+    assert.equal(analyze([pair({ pairCreatedAt: NOW - 23 * HOUR })]).newPair, true);
+
+    const relisted = analyze([pair({ pairCreatedAt: NOW - HOUR }), pair({ pairCreatedAt: NOW - 48 * HOUR, liquidity: { usd: 10 } })]);
+    assert.equal(relisted.newPair, false);
+  });
+
+  it('flags liquidity fragmented over five pairs of $1000 or more', () => {
+    const spread = (count, usd) => Array.from({ length: count }, () => pair({ liquidity: { usd }, volume: { h24: 0 } }));
+
+    const fragmented = analyze(spread(5, 1000));
+    assert.equal(fragmented.fragmentedLiquidity, true);
+    assert.equal(fragmented.risk, 'low');
+    assert.deepEqual(signalIds(fragmented), ['fragmented-liquidity']);
+
+    assert.equal(analyze(spread(4, 1000)).fragmentedLiquidity, false);
+    assert.equal(analyze([...spread(4, 1000), pair({ liquidity: { usd: 999 } })]).fragmentedLiquidity, false);
+    assert.equal(analyze([pair({ liquidity: { usd: 5000 } }), ...spread(4, 1000)]).fragmentedLiquidity, false);
+  });
+
+  it('flags extreme moves per window and a 24h crash', () => {
+    const moved = (priceChange) => analyze([pair({ priceChange: { m5: 0, h1: 0, h6: 0, h24: 0, ...priceChange } })]);
+
+    assert.equal(moved({ m5: 29.9, h1: 49.9, h24: 299 }).extremePriceMove, false);
+    assert.equal(moved({ m5: -30 }).extremePriceMove, true);
+    assert.equal(moved({ h1: 50 }).extremePriceMove, true);
+    assert.equal(moved({ h24: 300 }).extremePriceMove, true);
+    assert.equal(moved({ h6: 1000 }).extremePriceMove, false);
+    assert.match(moved({ h24: -80 }).message, /Price moved -80% in h24/);
+  });
+
+  it('uses the most liquid pair as the main pair', () => {
+    const result = analyze([pair({ pairAddress: '0xsmall', liquidity: { usd: 10 } }), pair({ pairAddress: '0xmain' })]);
+    assert.equal(result.mainPair.pairAddress, '0xmain');
+    assert.equal(result.pairCount, 2);
+  });
+});
@@ -0,0 +1,133 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeSource } = require('../source-analyzer');
+
+const contract = (body) => `pragma solidity ^0.8.0;
+
+contract Token {
+${body}
+}
+`;
+
+const findingsOf = (source, abi) => analyzeSource(source, abi, 'Token').findings;
+const summarize = (findings) => findings.map(f => `${f.category}:${f.function}`);
+
+describe('source analyzer', () => {
+  it('is unavailable without source or ABI', () => {
+    assert.equal(analyzeSource('', 'Contract source code not verified').available, false);
+  });
+
+  it('only reports capabilities behind access control', () => {
+    const findings = findingsOf(contract(`
+  uint256 public fee;
+  function setFee(uint256 value) external onlyOwner { fee = value; }
+  function setMyFee(uint256 value) external { fee = value; }
+  function mint(address to, uint256 amount) external {
+    require(msg.sender == owner);
+    _mint(to, amount);
+  }`));
+
+    assert.deepEqual(summarize(findings), ['fees:setFee', 'mint:mint']);
+    assert.equal(findings[0].access, 'onlyOwner');
+    assert.equal(findings[1].access, 'inline sender check');
+    assert.equal(findings[0].startLine, 6);
+  });
+
+  it('matches capabilities by what the body writes, not just the name', () => {
+    const findings = findingsOf(contract(`
+  mapping(address => bool) private bots;
+  function configure(address account) external onlyOwner { bots[account] = true; }`));
+    assert.deepEqual(summarize(findings), ['blacklist:configure']);
+  });
+
+  it('skips view, internal and fee-exemption functions', () => {
+    const findings = findingsOf(contract(`
+  function getFee() external view onlyOwner returns (uint256) { return 1; }
+  function _setFee(uint256 value) internal onlyOwner { fee = value; }
+  function excludeFromFee(address account) external onlyOwner { isExcluded[account] = true; }`));
+    assert.deepEqual(findings, []);
+  });
+
+  it('ignores code inside comments and strings', () => {
+    const findings = findingsOf(contract(`
+  // function setFee(uint256 value) external onlyOwner { fee = value; }
+  /* function mint(address to) external onlyOwner { _mint(to, 1); } */
+  string constant NOTE = "function pause() external onlyOwner { _pause(); }";`));
+    assert.deepEqual(findings, []);
+  });
+
+  it('flags credits to non-public and hardcoded recipients reachable from transfer', () => {
+    const findings = findingsOf(contract(`
+  mapping(address => uint256) private _balances;
+  address private marketing;
+  address public treasury;
+  function transfer(address to, uint256 amount) external returns (bool) {
+    _transfer(msg.sender, to, amount);
+    return true;
+  }
+  function _transfer(address from, address to, uint256 amount) internal {
+    _balances[to] += amount;
+    _balances[marketing] += amount / 100;
+    _balances[treasury] += amount / 100;
+    _balances[0x1111111111111111111111111111111111111111] += 1;
+  }`));
+
+    const recipients = findings.filter(f => f.category === 'hiddenFeeRecipient');
+    assert.deepEqual(recipients.map(f => [f.recipient, f.hardcoded]), [
+      ['marketing', false],
+      ['0x1111111111111111111111111111111111111111', true]
+    ]);
+    assert.equal(recipients[0].severity, 'high');
+  });
+
+  it('treats a recipient with an ABI getter as public', () => {
+    const source = contract(`
+  mapping(address => uint256) private _balances;
+  address private marketing;
+  function _transfer(address from, address to, uint256 amount) internal {
+    _balances[marketing] += amount;
+  }`);
+    const abi = JSON.stringify([{ type: 'function', name: 'marketing', inputs: [], stateMutability: 'view' }]);
+    assert.deepEqual(findingsOf(source, abi), []);
+  });
+
+  it('follows transfer helpers two calls deep for external calls', () => {
+    const source = (depth) => {
+      const helpers = Array.from({ length: depth }, (_, i) => i + 1)
+        .map(i => `  function step${i}() internal { ${i === depth ? 'router.call(data);' : `step${i + 1}();`} }`)
+        .join('\n');
+      return contract(`
+  function _transfer(address from, address to, uint256 amount) internal { step1(); }
+${helpers}`);
+    };
+
+    const reachable = findingsOf(source(2)).filter(f => f.category === 'transferExternalCall');
+    assert.equal(reachable.length, 1);
+    assert.equal(reachable[0].callPath, '_transfer → step1 → step2');
+
+    assert.deepEqual(findingsOf(source(3)).filter(f => f.category === 'transferExternalCall'), []);
+  });
+
+  it('falls back to ABI names when the source is not parsable', () => {
+    const abi = JSON.stringify([
+      { type: 'function', name: 'setTaxes', stateMutability: 'nonpayable', inputs: [] },
+      { type: 'function', name: 'maxWallet', stateMutability: 'view', inputs: [] },
+      { type: 'function', name: 'rescueTokens', stateMutability: 'nonpayable', inputs: [] }
+    ]);
+    const result = analyzeSource(null, abi);
+    assert.equal(result.basis, 'abi');
+    assert.deepEqual(summarize(result.findings), ['fees:setTaxes', 'withdraw:rescueTokens']);
+    assert.equal(result.findings[0].access, 'unknown');
+  });
+
+  it('unwraps standard JSON input from the explorer', () => {
+    const input = JSON.stringify({
+      language: 'Solidity',
+      sources: { 'src/Token.sol': { content: contract('  function pause() external onlyOwner { _pause(); }') } }
+    });
+    const result = analyzeSource(`{${input}}`, null);
+    assert.equal(result.fileCount, 1);
+    assert.equal(result.findings[0].file, 'src/Token.sol');
+    assert.equal(result.findings[0].category, 'pauseTrading');
+  });
+});
@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const DEFAULT_DB_FILE = path.join(__dirname, 'data', 'watchlist.db');
+const LIQUIDITY_DROP_THRESHOLD = 0.3;
+const ALERT_SEVERITIES = ['critical', 'high'];
+
+let db = null;
+let statements = null;
+
+const normalizeAddress = (network, address) => network === 'solana' ? address : address.toLowerCase();
+
+function openWatchlist(file = process.env.WATCHLIST_DB || DEFAULT_DB_FILE) {
+  if (file !== ':memory:') {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+  }
+
+  db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS watches (
+      chat_id TEXT NOT NULL,
+      network TEXT NOT NULL,
+      address TEXT NOT NULL,
+      label TEXT,
+      created_at TEXT NOT NULL,
+      snapshot TEXT,
+      checked_at TEXT,
+      PRIMARY KEY (chat_id, network, address)
+    );
+  `);
+
+  statements = {
+    add: db.prepare(`
+      INSERT OR IGNORE INTO watches (chat_id, network, address, label, created_at, snapshot, checked_at)
+      VALUES (@chatId, @network, @address, @label, @createdAt, @snapshot, @checkedAt)
+    `),
+    remove: db.prepare('DELETE FROM watches WHERE chat_id = ? AND network = ? AND address = ?'),
+    listForChat: db.prepare('SELECT * FROM watches WHERE chat_id = ? ORDER BY created_at'),
+    countForChat: db.prepare('SELECT COUNT(*) AS count FROM watches WHERE chat_id = ?'),
+    tokens: db.prepare('SELECT DISTINCT network, address FROM watches'),
+    watchersOf: db.prepare('SELECT * FROM watches WHERE network = ? AND address = ?'),
+    updateSnapshot: db.prepare(`
+      UPDATE watches SET snapshot = @snapshot, checked_at = @checkedAt, label = COALESCE(@label, label)
+      WHERE chat_id = @chatId AND network = @network AND address = @address
+    `)
+  };
+
+  return db;
+}
+
+function addWatch(chatId, network, address, label, snapshot) {
+  const now = new Date().toISOString();
+  const info = statements.add.run({
+    chatId: String(chatId),
+    network,
+    address: normalizeAddress(network, address),
+    label: label || null,
+    createdAt: now,
+    snapshot: snapshot ? JSON.stringify(snapshot) : null,
+    checkedAt: snapshot ? now : null
+  });
+  return info.changes > 0;
+}
+
+function removeWatch(chatId, network, address) {
+  return statements.remove.run(String(chatId), network, normalizeAddress(network, address)).changes > 0;
+}
+
+function countWatches(chatId) {
+  return statements.countForChat.get(String(chatId)).count;
+}
+
+function listWatches(chatId) {
+  return statements.listForChat.all(String(chatId)).map(row => ({
+    network: row.network,
+    address: row.address,
+    label: row.label,
+    createdAt: row.created_at,
+    checkedAt: row.checked_at,
+    snapshot: row.snapshot ? JSON.parse(row.snapshot) : null
+  }));
+}
+
+function listWatchedTokens() {
+  return statements.tokens.all();
+}
+
+function getWatchers(network, address) {
+  return statements.watchersOf.all(network, normalizeAddress(network, address)).map(row => ({
+    chatId: row.chat_id,
+    label: row.label,
+    snapshot: row.snapshot ? JSON.parse(row.snapshot) : null
+  }));
+}
+
+function saveSnapshot(chatId, network, address, snapshot, label) {
+  statements.updateSnapshot.run({
+    chatId: String(chatId),
+    network,
+    address: normalizeAddress(network, address),
+    snapshot: JSON.stringify(snapshot),
+    checkedAt: new Date().toISOString(),
+    label: label || null
+  });
+}
+
+// What the scheduler compares between runs, from a check-token and token-info response
+function buildSnapshot(scan, market) {
+  const details = scan.riskAssessment.riskDetails || [];
+  const taxPercent = (value) => {
+    const n = parseFloat(value);
+    return Number.isNaN(n) ? null : n;
+  };
+
+  return {
+    level: scan.riskAssessment.level,
+    score: scan.riskAssessment.score,
+    risks: details.map(risk => ({ id: risk.id, severity: risk.severity, message: risk.message })),
+    buyTax: taxPercent(scan.security.buyTax),
+    sellTax: taxPercent(scan.security.sellTax),
+    liquidityUsd: market && market.liquidity ? parseFloat(market.liquidity) : null
+  };
+}
+
+function detectAlerts(previous, current) {
+  if (!previous) return [];
+
+  const alerts = [];
+
+  if (previous.level !== current.level) {
+    alerts.push({
+      type: 'level',
+      message: `Risk level changed: ${previous.level.toUpperCase()} → ${current.level.toUpperCase()} (${previous.score} → ${current.score})`
+    });
+  }
+
+  const knownRiskIds = new Set(previous.risks.map(risk => risk.id));
+  current.risks
+    .filter(risk => ALERT_SEVERITIES.includes(risk.severity) && !knownRiskIds.has(risk.id))
+    .forEach(risk => alerts.push({
+      type: 'risk',
+      message: `New ${risk.severity.toUpperCase()} risk: ${risk.message}`
+    }));
+
+  if (previous.liquidityUsd && current.liquidityUsd !== null) {
+    const drop = (previous.liquidityUsd - current.liquidityUsd) / previous.liquidityUsd;
+    if (drop >= LIQUIDITY_DROP_THRESHOLD) {
+      alerts.push({
+        type: 'liquidity',
+        message: `Liquidity dropped ${(drop * 100).toFixed(0)}%: $${Math.round(previous.liquidityUsd).toLocaleString('en-US')} → $${Math.round(current.liquidityUsd).toLocaleString('en-US')}`
+      });
+    }
+  }
+
+  [['buyTax', 'Buy tax'], ['sellTax', 'Sell tax']].forEach(([field, label]) => {
+    if (previous[field] !== null && current[field] !== null && previous[field] !== current[field]) {
+      alerts.push({
+        type: 'tax',
+        message: `${label} changed: ${previous[field]}% → ${current[field]}%`
+      });
+    }
+  });
+
+  return alerts;
+}
+
+module.exports = {
+  openWatchlist,
+  addWatch,
+  removeWatch,
+  countWatches,
+  listWatches,
+  listWatchedTokens,
+  getWatchers,
+  saveSnapshot,
+  buildSnapshot,
+  detectAlerts
+};
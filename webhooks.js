@@ -0,0 +1,443 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const path = require('path');
+const axios = require('axios');
+const Database = require('better-sqlite3');
+
+const DEFAULT_DB_FILE = path.join(__dirname, 'data', 'webhooks.db');
+const SEVERITY_RANK = { info: 0, low: 1, medium: 2, high: 3, critical: 4 };
+
+const DELIVERY_TIMEOUT_MS = 10000;
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 2000;
+
+// Receivers must be on the public internet. Loopback, private, link-local (cloud metadata at
+// 169.254.169.254) and other special-purpose ranges are refused when subscribing and again on
+// every delivery. IPv4-mapped IPv6 addresses are checked against the IPv4 ranges.
+const BLOCKED_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+// WEBHOOK_ALLOW_PRIVATE_URLS=true lifts the restriction for local development only
+const allowPrivateUrls = () => process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  return family !== 0 && !BLOCKED_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// Used for every delivery socket, so a host that re-resolves to an internal address after the
+// URL was checked (DNS rebinding) is still refused
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+    if (blocked && !allowPrivateUrls()) {
+      return callback(new Error(`${hostname} resolves to non-public address ${blocked.address}`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const deliveryAgents = {
+  httpAgent: new http.Agent({ lookup: publicOnlyLookup }),
+  httpsAgent: new https.Agent({ lookup: publicOnlyLookup })
+};
+
+let db = null;
+let statements = null;
+
+function openWebhooks(file = process.env.WEBHOOKS_DB || DEFAULT_DB_FILE) {
+  if (file !== ':memory:') {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+  }
+
+  db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+      id TEXT PRIMARY KEY,
+      url TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      networks TEXT,
+      addresses TEXT,
+      min_severity TEXT NOT NULL,
+      owner_key TEXT,
+      created_at TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      subscription_id TEXT NOT NULL,
+      event_id TEXT NOT NULL,
+      event TEXT NOT NULL,
+      attempt INTEGER NOT NULL,
+      success INTEGER NOT NULL,
+      status_code INTEGER,
+      error TEXT,
+      duration_ms INTEGER,
+      next_retry_at TEXT,
+      created_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_deliveries_subscription ON webhook_deliveries (subscription_id, id);
+    CREATE TABLE IF NOT EXISTS webhook_pending (
+      subscription_id TEXT NOT NULL,
+      event_id TEXT NOT NULL,
+      event TEXT NOT NULL,
+      body TEXT NOT NULL,
+      attempt INTEGER NOT NULL,
+      due_at TEXT NOT NULL,
+      PRIMARY KEY (subscription_id, event_id)
+    );
+  `);
+
+  // Subscriptions created before ownership keep a NULL owner and are visible to no one
+  const columns = db.prepare('PRAGMA table_info(webhook_subscriptions)').all().map(column => column.name);
+  if (!columns.includes('owner_key')) {
+    db.exec('ALTER TABLE webhook_subscriptions ADD COLUMN owner_key TEXT');
+  }
+
+  statements = {
+    insert: db.prepare(`
+      INSERT INTO webhook_subscriptions (id, url, secret, networks, addresses, min_severity, owner_key, created_at)
+      VALUES (@id, @url, @secret, @networks, @addresses, @minSeverity, @ownerKey, @createdAt)
+    `),
+    all: db.prepare('SELECT * FROM webhook_subscriptions ORDER BY created_at'),
+    byOwner: db.prepare('SELECT * FROM webhook_subscriptions WHERE owner_key = ? ORDER BY created_at'),
+    get: db.prepare('SELECT * FROM webhook_subscriptions WHERE id = ?'),
+    getOwned: db.prepare('SELECT * FROM webhook_subscriptions WHERE id = ? AND owner_key = ?'),
+    remove: db.prepare('DELETE FROM webhook_subscriptions WHERE id = ?'),
+    removeDeliveries: db.prepare('DELETE FROM webhook_deliveries WHERE subscription_id = ?'),
+    logDelivery: db.prepare(`
+      INSERT INTO webhook_deliveries
+        (subscription_id, event_id, event, attempt, success, status_code, error, duration_ms, next_retry_at, created_at)
+      VALUES (@subscriptionId, @eventId, @event, @attempt, @success, @statusCode, @error, @durationMs, @nextRetryAt, @createdAt)
+    `),
+    deliveries: db.prepare('SELECT * FROM webhook_deliveries WHERE subscription_id = ? ORDER BY id DESC LIMIT ?'),
+    savePending: db.prepare(`
+      INSERT OR REPLACE INTO webhook_pending (subscription_id, event_id, event, body, attempt, due_at)
+      VALUES (@subscriptionId, @eventId, @event, @body, @attempt, @dueAt)
+    `),
+    removePending: db.prepare('DELETE FROM webhook_pending WHERE subscription_id = ? AND event_id = ?'),
+    removePendingFor: db.prepare('DELETE FROM webhook_pending WHERE subscription_id = ?'),
+    pending: db.prepare('SELECT * FROM webhook_pending ORDER BY due_at')
+  };
+
+  return db;
+}
+
+function toSubscription(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    filters: {
+      networks: row.networks ? JSON.parse(row.networks) : null,
+      addresses: row.addresses ? JSON.parse(row.addresses) : null,
+      minSeverity: row.min_severity
+    },
+    createdAt: row.created_at
+  };
+}
+
+function validateSubscription({ url, networks, addresses, minSeverity }) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return 'url must be an absolute http(s) URL';
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return 'url must be an absolute http(s) URL';
+  }
+  if (networks !== undefined && (!Array.isArray(networks) || networks.some(n => typeof n !== 'string'))) {
+    return 'networks must be an array of network names';
+  }
+  if (addresses !== undefined && (!Array.isArray(addresses) || addresses.some(a => typeof a !== 'string'))) {
+    return 'addresses must be an array of token addresses';
+  }
+  if (minSeverity !== undefined && SEVERITY_RANK[minSeverity] === undefined) {
+    return `minSeverity must be one of ${Object.keys(SEVERITY_RANK).join(', ')}`;
+  }
+  return null;
+}
+
+// Resolves the URL's host; returns an error message when it is not a public address, else null
+async function checkDestination(url) {
+  if (allowPrivateUrls()) return null;
+
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [host];
+  } else {
+    try {
+      addresses = (await dns.promises.lookup(host, { all: true })).map(entry => entry.address);
+    } catch (error) {
+      return `url host ${host} could not be resolved`;
+    }
+  }
+
+  const blocked = addresses.find(address => !isPublicAddress(address));
+  if (!blocked) return null;
+  return blocked === host
+    ? `url must point to a public address, not ${host}`
+    : `url must point to a public address (${host} resolves to ${blocked})`;
+}
+
+// The secret is only ever returned here; receivers use it to verify signatures.
+// ownerKey is the creating API key's id; every other call is scoped to it.
+function createSubscription({ url, networks, addresses, minSeverity = 'info' }, ownerKey) {
+  const row = {
+    id: `wh_${crypto.randomBytes(8).toString('hex')}`,
+    url,
+    secret: `whsec_${crypto.randomBytes(24).toString('hex')}`,
+    networks: networks && networks.length > 0 ? JSON.stringify(networks.map(n => n.toLowerCase())) : null,
+    addresses: addresses && addresses.length > 0 ? JSON.stringify(addresses.map(a => a.toLowerCase())) : null,
+    minSeverity,
+    ownerKey,
+    createdAt: new Date().toISOString()
+  };
+  statements.insert.run(row);
+
+  return { ...toSubscription(statements.get.get(row.id)), secret: row.secret };
+}
+
+function listSubscriptions(ownerKey) {
+  return statements.byOwner.all(ownerKey).map(toSubscription);
+}
+
+function getSubscription(id, ownerKey) {
+  const row = statements.getOwned.get(id, ownerKey);
+  return row ? toSubscription(row) : null;
+}
+
+function deleteSubscription(id, ownerKey) {
+  if (!statements.getOwned.get(id, ownerKey)) return false;
+  statements.removeDeliveries.run(id);
+  statements.removePendingFor.run(id);
+  return statements.remove.run(id).changes > 0;
+}
+
+function listDeliveries(id, limit = 50) {
+  return statements.deliveries.all(id, limit).map(row => ({
+    id: row.id,
+    eventId: row.event_id,
+    event: row.event,
+    attempt: row.attempt,
+    success: row.success === 1,
+    statusCode: row.status_code,
+    error: row.error,
+    durationMs: row.duration_ms,
+    nextRetryAt: row.next_retry_at,
+    createdAt: row.created_at
+  }));
+}
+
+// Receivers recompute HMAC-SHA256(secret, `${t}.${rawBody}`) and compare with v1
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+async function postEvent(row, event, body) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+  const destinationError = await checkDestination(row.url);
+  if (destinationError) {
+    return { success: false, statusCode: null, error: destinationError, durationMs: Date.now() - startedAt };
+  }
+
+  let statusCode = null;
+  let error = null;
+
+  try {
+    const response = await axios.post(row.url, body, {
+      timeout: DELIVERY_TIMEOUT_MS,
+      upstream: 'webhook',
+      ...deliveryAgents,
+      // A redirect could point anywhere, including an IP literal the lookup never sees
+      maxRedirects: 0,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'TokenScanner-Webhooks/1.3',
+        'X-Scanner-Event': event.event,
+        'X-Scanner-Delivery': event.id,
+        'X-Scanner-Signature': `t=${timestamp},v1=${signPayload(row.secret, timestamp, body)}`
+      },
+      // Body is serialized once so the signature covers exactly these bytes
+      transformRequest: [(data) => data],
+      validateStatus: () => true
+    });
+    statusCode = response.status;
+    if (statusCode < 200 || statusCode >= 300) {
+      error = `HTTP ${statusCode}`;
+    }
+  } catch (err) {
+    error = err.message;
+  }
+
+  return { success: error === null, statusCode, error, durationMs: Date.now() - startedAt };
+}
+
+function logDelivery(row, event, attempt, result, nextRetryAt = null) {
+  statements.logDelivery.run({
+    subscriptionId: row.id,
+    eventId: event.id,
+    event: event.event,
+    attempt,
+    success: result.success ? 1 : 0,
+    statusCode: result.statusCode,
+    error: result.error,
+    durationMs: result.durationMs,
+    nextRetryAt,
+    createdAt: new Date().toISOString()
+  });
+}
+
+function scheduleRetry(subscriptionId, event, body, attempt, dueAt) {
+  setTimeout(() => {
+    // Subscription may have been deleted while waiting
+    const current = statements.get.get(subscriptionId);
+    if (!current) {
+      statements.removePending.run(subscriptionId, event.id);
+      return;
+    }
+    attemptDelivery(current, event, body, attempt).catch(err => {
+      console.log(`   ⚠️  Webhook retry failed: ${err.message}`);
+    });
+  }, Math.max(Date.parse(dueAt) - Date.now(), 0));
+}
+
+// A retry is stored in webhook_pending until its attempt settles, so a restart resumes it
+// (resumePendingDeliveries) rather than dropping it. Receivers dedupe on X-Scanner-Delivery.
+async function attemptDelivery(row, event, body, attempt) {
+  const result = await postEvent(row, event, body);
+  const retryDelay = RETRY_BASE_MS * 2 ** (attempt - 1);
+  const willRetry = !result.success && attempt < MAX_ATTEMPTS;
+  const nextRetryAt = willRetry ? new Date(Date.now() + retryDelay).toISOString() : null;
+
+  logDelivery(row, event, attempt, result, nextRetryAt);
+
+  if (willRetry) {
+    statements.savePending.run({
+      subscriptionId: row.id,
+      eventId: event.id,
+      event: event.event,
+      body,
+      attempt: attempt + 1,
+      dueAt: nextRetryAt
+    });
+    scheduleRetry(row.id, event, body, attempt + 1, nextRetryAt);
+  } else {
+    statements.removePending.run(row.id, event.id);
+    if (!result.success) {
+      console.log(`   ⚠️  Webhook ${row.id} gave up after ${attempt} attempts: ${result.error}`);
+    }
+  }
+
+  return { ...result, attempt };
+}
+
+// Reschedules retries left over from a previous process; overdue ones go out right away
+function resumePendingDeliveries() {
+  if (!db) return 0;
+
+  const pending = statements.pending.all();
+  pending.forEach(row => {
+    scheduleRetry(row.subscription_id, { id: row.event_id, event: row.event }, row.body, row.attempt, row.due_at);
+  });
+  return pending.length;
+}
+
+function buildEvent(eventName, data) {
+  return {
+    id: `evt_${crypto.randomBytes(8).toString('hex')}`,
+    event: eventName,
+    createdAt: new Date().toISOString(),
+    data
+  };
+}
+
+function matchesFilters(row, { network, address, severity }) {
+  const networks = row.networks ? JSON.parse(row.networks) : null;
+  const addresses = row.addresses ? JSON.parse(row.addresses) : null;
+
+  if (networks && !networks.includes(network)) return false;
+  if (addresses && !addresses.includes(address.toLowerCase())) return false;
+  return SEVERITY_RANK[severity] >= SEVERITY_RANK[row.min_severity];
+}
+
+// Event severity is the most severe risk still present after the change
+function highestSeverity(riskDetails) {
+  return (riskDetails || []).reduce((highest, risk) =>
+    SEVERITY_RANK[risk.severity] > SEVERITY_RANK[highest] ? risk.severity : highest, 'info');
+}
+
+function notifyRiskLevelChange(scan, previous) {
+  if (!db) return 0;
+
+  const severity = highestSeverity(scan.riskAssessment.riskDetails);
+  const targets = statements.all.all().filter(row =>
+    matchesFilters(row, { network: scan.network, address: scan.address, severity }));
+
+  if (targets.length === 0) return 0;
+
+  const event = buildEvent('risk.level_changed', {
+    network: scan.network,
+    address: scan.address,
+    token: { name: scan.tokenInfo.name, symbol: scan.tokenInfo.symbol },
+    severity,
+    previous: { level: previous.level, score: previous.score, scannedAt: previous.scannedAt },
+    current: {
+      level: scan.riskAssessment.level,
+      score: scan.riskAssessment.score,
+      risks: scan.riskAssessment.riskDetails,
+      scannedAt: scan.timestamp
+    },
+    explorerUrl: scan.explorerUrl
+  });
+  const body = JSON.stringify(event);
+
+  console.log(`📨 Webhook: ${scan.network}/${scan.address.substring(0, 8)}... ${previous.level} → ${scan.riskAssessment.level} (${targets.length} subscribers)`);
+  targets.forEach(row => {
+    attemptDelivery(row, event, body, 1).catch(err => console.log(`   ⚠️  Webhook delivery error: ${err.message}`));
+  });
+  return targets.length;
+}
+
+// Single attempt, no retries, so the caller sees the receiver's answer directly
+async function sendTestEvent(id, ownerKey) {
+  const row = statements.getOwned.get(id, ownerKey);
+  if (!row) return null;
+
+  const event = buildEvent('webhook.test', {
+    message: 'Test delivery from Token Safety Scanner',
+    subscriptionId: id
+  });
+  const result = await postEvent(row, event, JSON.stringify(event));
+  logDelivery(row, event, 1, result);
+
+  return { eventId: event.id, ...result };
+}
+
+module.exports = {
+  openWebhooks,
+  validateSubscription,
+  checkDestination,
+  createSubscription,
+  listSubscriptions,
+  getSubscription,
+  deleteSubscription,
+  listDeliveries,
+  notifyRiskLevelChange,
+  resumePendingDeliveries,
+  sendTestEvent
+};